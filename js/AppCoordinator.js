@@ -11,6 +11,20 @@ import { EventManager } from './modules/eventManager.js';
 import { MessageHandler } from './modules/messageHandler.js';
 import { SiteCheckManager } from './modules/siteCheckManager.js';
 import { NotificationManager } from './modules/notificationManager.js';
+import { workspaceManager } from './modules/workspaceManager.js';
+import { SelectionManager } from './modules/selectionManager.js';
+import { undoManager } from './modules/undoManager.js';
+import { trashManager } from './modules/trashManager.js';
+import { metadataStore } from './modules/metadataStore.js';
+import { tagManager } from './modules/tagManager.js';
+import { openHistory } from './modules/openHistory.js';
+import { commandRegistry } from './modules/commandRegistry.js';
+import { buildBookmarksHtml } from './modules/bookmarkExport.js';
+import { contentIndex } from './modules/contentIndex.js';
+import { searchHistory } from './modules/searchHistory.js';
+import { recentColumns } from './modules/recentColumns.js';
+import { parseQuery, buildRuleQuery } from './modules/bookmarkSearch.js';
+import { normalizeTags } from './modules/utils.js';
 
 export class AppCoordinator {
   constructor() {
@@ -32,20 +46,63 @@ export class AppCoordinator {
       this.displayManager = displayManager;
       await this.displayManager.initializeDisplayMode();
 
+      // 初始化工作区（首次运行时迁移旧布局），并应用当前工作区外观
+      this.workspaceManager = workspaceManager;
+      await this.workspaceManager.initialize();
+      this.workspaceManager.applyAppearance();
+
       // 初始化书签管理器
       this.bookmarkManager = new BookmarkManager();
 
+      // 初始化撤销管理器，记录看板上的每次书签变更
+      this.undoManager = undoManager;
+      this.undoManager.initialize(this);
+
       // 初始化 UI 管理器
       this.uiManager = new UIManager(this.bookmarkManager);
+      this.uiManager.setWorkspace(this.workspaceManager.getActiveWorkspace());
+      this.uiManager.renderWorkspaceSelector(
+        this.workspaceManager.getWorkspaces(),
+        this.workspaceManager.getActiveWorkspace().id
+      );
+
+      // 加载书签元数据（标签、图标、备注、颜色）
+      this.metadataStore = metadataStore;
+      await this.metadataStore.load();
+      this.tagManager = tagManager;
+      await this.tagManager.load();
+
+      // 加载书签打开记录（用于搜索排序）
+      this.openHistory = openHistory;
+      await this.openHistory.load();
+      this.openHistory.onRecord(bookmark => this.handleBookmarkOpened(bookmark));
+
+      // 加载搜索历史和保存的搜索（固定为列的搜索随看板渲染），其他标签页修改了固定在当前看板上的搜索时刷新看板
+      this.searchHistory = searchHistory;
+      await this.searchHistory.load();
+      this.searchHistory.onChange(searches => {
+        const workspaceId = this.workspaceManager.getActiveWorkspace().id;
+        if (searches.some(search => search.pinnedIn.includes(workspaceId))) {
+          this.refreshBoard();
+        }
+      });
+
+      // 初始化回收站（清理过期条目），回收站变化时更新回收站列
+      this.trashManager = trashManager;
+      await this.trashManager.load();
+      this.trashManager.onChange(entries => this.uiManager.columnManager.updateTrashColumn(entries));
 
       // 初始化模态框管理器
       this.modalManager = new ModalManager(this.bookmarkManager, this.uiManager);
 
       // 初始化拖拽管理器
       this.dragManager = new DragManager(this.bookmarkManager, this.uiManager);
+      this.dragManager.setSmartColumnDropListener((searchId, bookmarkIds) => this.applySmartColumnRule(searchId, bookmarkIds));
+      // 从智能列或最近列拖出的书签移动后，原文件夹里的卡片已过期，需要重新渲染
+      this.dragManager.setBoardRefreshListener(() => this.refreshBoard());
 
       // 初始化命令面板
-      this.commandPalette = new CommandPalette(this.bookmarkManager);
+      this.commandPalette = new CommandPalette(this.bookmarkManager, this);
       await this.commandPalette.initialize();
 
       // 初始化事件管理器
@@ -60,6 +117,13 @@ export class AppCoordinator {
       // 初始化通知管理器
       this.notificationManager = new NotificationManager();
 
+      // 初始化多选管理器
+      this.selectionManager = new SelectionManager(this);
+      this.dragManager.setSelectionProvider(() => this.selectionManager.getSelectedIds());
+
+      // 注册命令面板中的应用级命令
+      this.registerCommands();
+
       // 检查是否启用新标签页
       const enabled = await this.checkNewTabEnabled();
       if (!enabled) {
@@ -85,6 +149,7 @@ export class AppCoordinator {
 
       // 添加全局事件监听器
       this.eventManager.setupEventListeners();
+      this.selectionManager.initialize();
 
       // 初始化图标懒加载
       this.initializeFaviconLoading();
@@ -126,41 +191,689 @@ export class AppCoordinator {
         }
 
         console.log('Processing bookmark changes, re-rendering board');
+        await this.refreshBoard();
+      } catch (error) {
+        console.error('Error processing bookmark changes:', error);
+      }
+    }, 300);
+  }
 
-        // 保存当前滚动位置
-        const scrollPosition = window.scrollY;
+  // 重新渲染看板并恢复拖拽、图标和布局
+  async refreshBoard(preserveScroll = true) {
+    // 保存当前滚动位置
+    const scrollPosition = preserveScroll ? window.scrollY : 0;
 
-        // 在重新渲染前销毁拖拽实例
-        if (this.dragManager) {
-          this.dragManager.destroy();
+    // 在重新渲染前清除多选并销毁拖拽实例
+    if (this.selectionManager) {
+      this.selectionManager.clear();
+    }
+    if (this.dragManager) {
+      this.dragManager.destroy();
+    }
+
+    // 重新渲染
+    await this.uiManager.renderKanban();
+
+    // 重新初始化拖拽
+    if (this.dragManager) {
+      this.dragManager.initialize();
+    }
+
+    this.initializeFaviconLoading();
+
+    // 保存新布局
+    this.dragManager.saveColumnOrder();
+    this.dragManager.saveBookmarkOrder();
+
+    // 使用 setTimeout 和 requestAnimationFrame 确保 DOM 已更新
+    setTimeout(() => {
+      requestAnimationFrame(() => {
+        // 恢复滚动位置
+        window.scrollTo(0, scrollPosition);
+      });
+    }, 100);
+  }
+
+  // 以指定文件夹为根重新渲染看板（下钻），null 表示默认看板
+  async openFolderAsBoard(folderId) {
+    try {
+      this.uiManager.setBoardRoot(folderId);
+      await this.refreshBoard(false);
+    } catch (error) {
+      console.error('Failed to open folder as board:', error);
+      this.notificationManager.showErrorToast('Failed to open folder');
+    }
+  }
+
+  // 切换工作区并以其根目录、列和外观重新渲染
+  async switchWorkspace(workspaceId) {
+    try {
+      const workspace = await this.workspaceManager.switchWorkspace(workspaceId);
+      this.uiManager.setWorkspace(workspace);
+      this.uiManager.renderWorkspaceSelector(this.workspaceManager.getWorkspaces(), workspace.id);
+      await this.refreshBoard(false);
+      this.notificationManager.showToast(`Switched to workspace "${workspace.name}"`);
+      return true;
+    } catch (error) {
+      console.error('Failed to switch workspace:', error);
+      this.notificationManager.showErrorToast('Failed to switch workspace');
+      return false;
+    }
+  }
+
+  // 创建或更新工作区，workspaceId 为空时新建
+  async saveWorkspace(data, workspaceId) {
+    try {
+      if (workspaceId) {
+        await this.workspaceManager.updateWorkspace(workspaceId, data);
+        if (workspaceId === this.workspaceManager.getActiveWorkspace().id) {
+          this.uiManager.setWorkspace(this.workspaceManager.getActiveWorkspace());
+          await this.refreshBoard(false);
         }
+        this.uiManager.renderWorkspaceSelector(
+          this.workspaceManager.getWorkspaces(),
+          this.workspaceManager.getActiveWorkspace().id
+        );
+      } else {
+        const workspace = await this.workspaceManager.createWorkspace(data);
+        await this.switchWorkspace(workspace.id);
+      }
+      return true;
+    } catch (error) {
+      console.error('Failed to save workspace:', error);
+      this.notificationManager.showErrorToast('Failed to save workspace');
+      return false;
+    }
+  }
+
+  async deleteWorkspace(workspaceId) {
+    try {
+      await this.workspaceManager.deleteWorkspace(workspaceId);
+      await this.switchWorkspace(this.workspaceManager.getActiveWorkspace().id);
+      return true;
+    } catch (error) {
+      console.error('Failed to delete workspace:', error);
+      this.notificationManager.showErrorToast(error.message || 'Failed to delete workspace');
+      return false;
+    }
+  }
+
+  // 在当前看板根目录下新建文件夹作为新列
+  async createColumn(title) {
+    try {
+      const workspace = this.workspaceManager.getActiveWorkspace();
+      const isFolderSet = this.uiManager.kanbanRenderer.isDefaultRoot() && workspace.folderIds;
+      const parentId = isFolderSet ? storageManager.SPECIAL_COLUMNS.BOOKMARKS_BAR : this.uiManager.getBoardRoot();
+
+      const folder = await this.undoManager.transaction(`Column "${title}" created`, tx => tx.create({ parentId, title }));
+      if (isFolderSet) {
+        await this.workspaceManager.updateWorkspace(workspace.id, { folderIds: [...workspace.folderIds, folder.id] });
+        this.uiManager.setWorkspace(this.workspaceManager.getActiveWorkspace());
+      }
 
-        // 重新渲染
-        await this.uiManager.renderKanban();
+      await this.refreshBoard();
+      const column = document.querySelector(`.kanban-column[data-folder-id="${folder.id}"]`);
+      if (column) {
+        column.scrollIntoView({ behavior: 'smooth', inline: 'nearest', block: 'nearest' });
+      }
+      return true;
+    } catch (error) {
+      console.error('Failed to create column:', error);
+      this.notificationManager.showErrorToast('Failed to create column');
+      return false;
+    }
+  }
+
+  // 处理列标题菜单操作
+  handleColumnAction(action, column) {
+    switch (action) {
+      case 'rename':
+        this.uiManager.columnManager.handleColumnTitleEdit(column);
+        break;
+      case 'delete':
+        this.deleteColumn(column);
+        break;
+      case 'merge':
+        this.mergeColumn(column);
+        break;
+      case 'index-content':
+        this.indexColumnContent(column);
+        break;
+      case 'edit-search':
+        this.editSavedSearch(searchHistory.getSavedSearch(column.dataset.searchId));
+        break;
+      case 'unpin-search':
+        this.setSavedSearchPinned(column.dataset.searchId, false);
+        break;
+      case 'hide-recent':
+        this.hideRecentColumn(column.dataset.recentKind);
+        break;
+    }
+  }
+
+  // 获取可作为移动/合并目标的列
+  getColumnTargets(excludeId) {
+    return Array.from(document.querySelectorAll('.kanban-column'))
+      .map(column => ({
+        id: column.dataset.columnType === 'uncategorized' ? storageManager.SPECIAL_COLUMNS.BOOKMARKS_BAR : column.dataset.folderId,
+        title: column.querySelector('.column-title').textContent
+      }))
+      .filter(target => target.id && target.id !== excludeId);
+  }
 
-        // 重新初始化拖拽
-        if (this.dragManager) {
-          this.dragManager.initialize();
+  async deleteColumn(column) {
+    const folderId = column.dataset.folderId;
+    const title = column.querySelector('.column-title').textContent;
+    const count = column.querySelectorAll('.bookmark-item').length;
+
+    const choice = await this.modalManager.showDeleteColumnModal(title, count, this.getColumnTargets(folderId));
+    if (!choice) return;
+
+    try {
+      await this.undoManager.transaction(`Column "${title}" deleted`, async tx => {
+        if (choice.targetId) {
+          await this.bookmarkManager.moveChildren(folderId, choice.targetId, tx.move);
         }
+        await tx.remove(folderId);
+      });
+      await this.refreshBoard();
+    } catch (error) {
+      console.error('Failed to delete column:', error);
+      this.notificationManager.showErrorToast('Failed to delete column');
+      await this.refreshBoard();
+    }
+  }
 
-        this.initializeFaviconLoading();
+  async mergeColumn(column) {
+    const folderId = column.dataset.folderId;
+    const title = column.querySelector('.column-title').textContent;
+    const targets = this.getColumnTargets(folderId);
+    if (targets.length === 0) {
+      this.notificationManager.showWarningToast('There is no other column to merge into');
+      return;
+    }
 
-        // 保存新布局
-        this.dragManager.saveColumnOrder();
-        this.dragManager.saveBookmarkOrder();
+    const targetId = await this.modalManager.showMergeColumnModal(title, targets);
+    if (!targetId) return;
+    const targetTitle = targets.find(target => target.id === targetId).title;
 
-        // 使用 setTimeout 和 requestAnimationFrame 确保 DOM 已更新
-        setTimeout(() => {
-          requestAnimationFrame(() => {
-            // 恢复滚动位置
-            window.scrollTo(0, scrollPosition);
-          });
-        }, 100);
+    try {
+      await this.undoManager.transaction(`Merged "${title}" into "${targetTitle}"`, async tx => {
+        await this.bookmarkManager.moveChildren(folderId, targetId, tx.move);
+        await tx.remove(folderId);
+      });
+      await this.refreshBoard();
+    } catch (error) {
+      console.error('Failed to merge columns:', error);
+      this.notificationManager.showErrorToast('Failed to merge columns');
+      await this.refreshBoard();
+    }
+  }
 
+  // 新建或编辑保存的搜索（智能列）；查询由规则生成，固定为列或取消固定时刷新看板
+  async editSavedSearch(search) {
+    if (!search) return null;
+
+    const workspaceId = this.workspaceManager.getActiveWorkspace().id;
+    const wasPinned = Boolean(search.id) && search.pinnedIn.includes(workspaceId);
+    const result = await this.modalManager.showSavedSearchModal({ ...search, rule: searchHistory.getRule(search) }, wasPinned);
+    if (!result) return null;
+
+    const query = buildRuleQuery(result.rule);
+    try {
+      parseQuery(query);
+    } catch (error) {
+      this.notificationManager.showErrorToast(error.message);
+      return null;
+    }
+
+    const changes = { name: result.name || query, query, rule: result.rule };
+    let saved;
+    try {
+      saved = search.id ?
+        await searchHistory.updateSavedSearch(search.id, changes) :
+        await searchHistory.saveSearch(changes);
+      await searchHistory.setPinned(saved.id, workspaceId, result.pinned);
+    } catch (error) {
+      // 同步存储配额用尽等情况
+      console.error('Failed to save search:', error);
+      this.notificationManager.showErrorToast(`Failed to save search: ${error.message}`);
+      return null;
+    }
+    this.notificationManager.showToast(`Saved search "${saved.name}"`);
+
+    if (wasPinned || result.pinned) {
+      await this.refreshBoard();
+    }
+    return saved;
+  }
+
+  // 新建智能列：按规则筛选书签的保存搜索，固定在当前看板上
+  createSmartColumn() {
+    return this.editSavedSearch({ name: '', query: '', rule: {}, pinnedIn: [this.workspaceManager.getActiveWorkspace().id] });
+  }
+
+  // 将卡片拖入智能列时，尽量让书签符合列的规则：添加规则中的标签，移入规则指定的文件夹
+  async applySmartColumnRule(searchId, bookmarkIds) {
+    const search = searchHistory.getSavedSearch(searchId);
+    if (!search) return;
+
+    const rule = searchHistory.getRule(search);
+    const tags = rule.tag ? normalizeTags([rule.tag]) : [];
+    let folder = null;
+    if (rule.folder) {
+      // 只有一个同名文件夹时才能确定移动目标
+      const matches = (await this.bookmarkManager.getFolders())
+        .filter(candidate => candidate.title.toLowerCase() === rule.folder.toLowerCase());
+      folder = matches.length === 1 ? matches[0] : null;
+    }
+
+    if (tags.length === 0 && !folder) {
+      this.notificationManager.showWarningToast(`Dropping can't make a bookmark match "${search.name}": its rule has no tag or folder to apply`);
+      await this.refreshBoard();
+      return;
+    }
+
+    try {
+      const label = bookmarkIds.length === 1 ? `Added to "${search.name}"` : `${bookmarkIds.length} bookmarks added to "${search.name}"`;
+      await this.undoManager.transaction(label, async tx => {
+        for (const id of bookmarkIds) {
+          const bookmark = await this.bookmarkManager.getBookmark(id);
+          const current = this.metadataStore.describe(bookmark).tags;
+          const missing = tags.filter(tag => !current.includes(tag));
+          if (missing.length > 0) {
+            await this.metadataStore.write(tx, bookmark, { tags: [...current, ...missing] });
+          }
+          if (folder && bookmark.parentId !== folder.id) {
+            await tx.move(id, { parentId: folder.id });
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Failed to apply smart column rule:', error);
+      this.notificationManager.showErrorToast('Failed to add bookmark to the column');
+    }
+    await this.refreshBoard();
+  }
+
+  // 隐藏"最近添加"或"最近打开"列（可在设置中重新开启）
+  async hideRecentColumn(kind) {
+    await recentColumns.setShown(kind, false);
+    await this.refreshBoard();
+  }
+
+  // 新建书签时放到"最近添加"列顶部，不重新渲染整个看板
+  handleBookmarkCreated(bookmark) {
+    this.uiManager.columnManager.addRecentBookmark(recentColumns.KINDS.ADDED, bookmark, bookmark.dateAdded || Date.now());
+  }
+
+  // 打开书签时放到"最近打开"列顶部
+  async handleBookmarkOpened(bookmark) {
+    if (!document.querySelector('.recent-column')) return;
+
+    try {
+      const node = await this.bookmarkManager.getBookmark(bookmark.id);
+      this.uiManager.columnManager.addRecentBookmark(recentColumns.KINDS.OPENED, node, Date.now());
+    } catch (error) {
+      // 书签已被删除
+    }
+  }
+
+  // 将保存的搜索固定为当前工作区看板上的列，或从看板移除
+  async setSavedSearchPinned(id, pinned) {
+    try {
+      await searchHistory.setPinned(id, this.workspaceManager.getActiveWorkspace().id, pinned);
+    } catch (error) {
+      console.error('Failed to pin saved search:', error);
+      this.notificationManager.showErrorToast(`Failed to ${pinned ? 'pin' : 'unpin'} search: ${error.message}`);
+      return;
+    }
+    await this.refreshBoard();
+  }
+
+  // 删除保存的搜索，它在看板上的列一并移除
+  async deleteSavedSearch(id) {
+    const search = searchHistory.getSavedSearch(id);
+    if (!search || !confirm(`Delete the saved search "${search.name}"?`)) return;
+
+    try {
+      await searchHistory.deleteSavedSearch(id);
+    } catch (error) {
+      console.error('Failed to delete saved search:', error);
+      this.notificationManager.showErrorToast(`Failed to delete search: ${error.message}`);
+      return;
+    }
+    this.notificationManager.showToast(`Deleted saved search "${search.name}"`);
+    if (search.pinnedIn.includes(this.workspaceManager.getActiveWorkspace().id)) {
+      await this.refreshBoard();
+    }
+  }
+
+  // 抓取并索引列中书签的页面内容，供命令面板搜索正文
+  async indexColumnContent(column) {
+    const bookmarks = Array.from(column.querySelectorAll('.bookmark-item'))
+      .map(item => ({ id: item.dataset.bookmarkId, url: item.dataset.url }))
+      .filter(bookmark => bookmark.url);
+    if (bookmarks.length === 0) return;
+
+    const settings = await contentIndex.getSettings();
+    if (!settings.enabled) {
+      this.notificationManager.showWarningToast('Turn on "Search page content" in Settings first');
+      return;
+    }
+
+    this.notificationManager.showToast(`Indexing ${bookmarks.length} page${bookmarks.length === 1 ? '' : 's'}…`);
+    try {
+      const { indexed, failed } = await contentIndex.requestIndexing(bookmarks);
+      const message = `Indexed ${indexed} of ${bookmarks.length} page${bookmarks.length === 1 ? '' : 's'}`;
+      if (failed > 0) {
+        this.notificationManager.showWarningToast(`${message}, ${failed} could not be fetched`);
+      } else {
+        this.notificationManager.showToast(message);
+      }
+    } catch (error) {
+      console.error('Failed to index page content:', error);
+      this.notificationManager.showErrorToast('Failed to index page content');
+    }
+  }
+
+  // 撤销时文件夹被重建并获得新 ID，布局和工作区列沿用到新 ID
+  async handleFolderRecreated(oldFolderId, newFolderId) {
+    await storageManager.replaceLayoutId(oldFolderId, newFolderId, this.uiManager.getBoardRoot());
+
+    const workspace = this.workspaceManager.getActiveWorkspace();
+    if (workspace.folderIds && workspace.folderIds.includes(oldFolderId)) {
+      await this.workspaceManager.updateWorkspace(workspace.id, {
+        folderIds: workspace.folderIds.map(id => (id === oldFolderId ? newFolderId : id))
+      });
+      this.uiManager.setWorkspace(this.workspaceManager.getActiveWorkspace());
+    }
+  }
+
+  // 将回收站条目恢复到原文件夹，原文件夹已不存在时恢复到“其他书签”
+  async restoreFromTrash(trashId) {
+    const entry = this.trashManager.getEntry(trashId);
+    if (!entry) return;
+
+    const title = entry.node.title || entry.node.url;
+    try {
+      let parentId = this.undoManager.resolve(entry.node.parentId);
+      let fallback = false;
+      try {
+        await this.bookmarkManager.getBookmark(parentId);
       } catch (error) {
-        console.error('Error processing bookmark changes:', error);
+        parentId = storageManager.SPECIAL_COLUMNS.OTHER_BOOKMARKS;
+        fallback = true;
       }
-    }, 300);
+
+      await this.undoManager.restoreNode(entry.node, parentId);
+      await this.trashManager.discard(trashId);
+      await this.refreshBoard();
+
+      this.notificationManager.showToast(fallback ?
+        `Restored "${title}" to Other Bookmarks, its folder no longer exists` :
+        `Restored "${title}"`);
+    } catch (error) {
+      console.error('Failed to restore from trash:', error);
+      this.notificationManager.showErrorToast('Failed to restore bookmark');
+    }
+  }
+
+  // 从回收站永久删除条目
+  async purgeFromTrash(trashId) {
+    const entry = this.trashManager.getEntry(trashId);
+    if (!entry) return;
+
+    const body = document.createElement('p');
+    body.className = 'confirm-message';
+    body.textContent = `Permanently delete "${entry.node.title || entry.node.url}"? This cannot be undone.`;
+    const confirmed = await this.modalManager.showDialog({
+      title: 'Delete Permanently',
+      body,
+      confirmLabel: 'Delete',
+      danger: true
+    });
+    if (confirmed) {
+      await this.trashManager.discard(trashId);
+    }
+  }
+
+  // 清空回收站
+  async emptyTrash() {
+    const count = this.trashManager.getEntries().length;
+    if (count === 0) return;
+
+    const body = document.createElement('p');
+    body.className = 'confirm-message';
+    body.textContent = `Permanently delete ${count} item${count === 1 ? '' : 's'} in the trash? This cannot be undone.`;
+    const confirmed = await this.modalManager.showDialog({
+      title: 'Empty Trash',
+      body,
+      confirmLabel: 'Empty Trash',
+      danger: true
+    });
+    if (confirmed) {
+      await this.trashManager.empty();
+      this.notificationManager.showToast('Trash emptied');
+    }
+  }
+
+  // 收集书签树中的所有书签
+  async getAllBookmarks() {
+    const bookmarks = [];
+    const collect = (node) => {
+      if (node.url) {
+        bookmarks.push(node);
+      }
+      (node.children || []).forEach(collect);
+    };
+    (await this.bookmarkManager.getBookmarkTree()).forEach(collect);
+    return bookmarks;
+  }
+
+  // 切换是否把标签和图标写入书签标题，并按新模式改写所有带元数据的书签
+  async setMetadataEmbedding(embedInTitle) {
+    try {
+      // 先按当前模式读取元数据，切换后再写回
+      const targets = (await this.getAllBookmarks())
+        .map(bookmark => ({ bookmark, metadata: this.metadataStore.describe(bookmark) }));
+      await this.metadataStore.setEmbedInTitle(embedInTitle);
+      if (!embedInTitle) return true;
+
+      const changed = targets.filter(({ bookmark, metadata }) =>
+        this.metadataStore.formatTitle(metadata.title, metadata) !== bookmark.title);
+      if (changed.length > 0) {
+        await this.undoManager.transaction(`Wrote tags and icons into ${changed.length} titles`, async tx => {
+          for (const { bookmark, metadata } of changed) {
+            await this.metadataStore.write(tx, bookmark, metadata);
+          }
+        });
+        await this.refreshBoard();
+      }
+      return true;
+    } catch (error) {
+      console.error('Failed to switch metadata mode:', error);
+      this.notificationManager.showErrorToast('Failed to update bookmark titles');
+      return false;
+    }
+  }
+
+  // 在所有书签上重命名标签；目标标签已存在时即为合并
+  async renameTag(from, to) {
+    try {
+      const usage = this.tagManager.getUsage(await this.getAllBookmarks());
+      const merge = usage.has(to);
+      await this.undoManager.transaction(
+        merge ? `Merged ${from} into ${to}` : `Renamed ${from} to ${to}`,
+        tx => this.tagManager.replaceTag(tx, usage.get(from) || [], from, to)
+      );
+      await this.refreshBoard();
+      return true;
+    } catch (error) {
+      console.error('Failed to rename tag:', error);
+      this.notificationManager.showErrorToast('Failed to rename tag');
+      await this.refreshBoard();
+      return false;
+    }
+  }
+
+  // 从所有书签上删除标签
+  async deleteTag(tag) {
+    try {
+      const usage = this.tagManager.getUsage(await this.getAllBookmarks());
+      await this.undoManager.transaction(
+        `Removed ${tag}`,
+        tx => this.tagManager.replaceTag(tx, usage.get(tag) || [], tag, null)
+      );
+      await this.refreshBoard();
+      return true;
+    } catch (error) {
+      console.error('Failed to delete tag:', error);
+      this.notificationManager.showErrorToast('Failed to delete tag');
+      await this.refreshBoard();
+      return false;
+    }
+  }
+
+  // 设置标签颜色，null 表示恢复默认颜色
+  async setTagColor(tag, color) {
+    await this.tagManager.setColor(tag, color);
+    await this.refreshBoard();
+  }
+
+  // 将旧版标题中的标签和图标标记迁移到元数据存储，并清理标题
+  async migrateTitleMetadata() {
+    try {
+      await this.metadataStore.setEmbedInTitle(false);
+      const bookmarks = (await this.getAllBookmarks())
+        .filter(bookmark => this.metadataStore.hasTitleMarkers(bookmark.title));
+      if (bookmarks.length === 0) {
+        this.notificationManager.showToast('No bookmark titles contain tags or icons');
+        return true;
+      }
+
+      await this.undoManager.transaction(`Moved tags and icons out of ${bookmarks.length} titles`, async tx => {
+        for (const bookmark of bookmarks) {
+          await this.metadataStore.write(tx, bookmark, {});
+        }
+      });
+      await this.refreshBoard();
+      return true;
+    } catch (error) {
+      console.error('Failed to migrate bookmark metadata:', error);
+      this.notificationManager.showErrorToast('Failed to move tags and icons out of titles');
+      return false;
+    }
+  }
+
+  // 注册主题、显示模式、布局、列和导出等命令（其他命令由各模块自行注册）
+  registerCommands() {
+    commandRegistry.register([
+      ...this.themeManager.getAvailableThemes().map(theme => ({
+        id: `theme.${theme}`,
+        category: 'Theme',
+        title: theme.split('-').map(word => word[0].toUpperCase() + word.slice(1)).join(' '),
+        when: () => this.themeManager.getCurrentTheme() !== theme,
+        run: () => this.switchTheme(theme)
+      })),
+      ...this.displayManager.getAvailableDisplayModes().map(mode => ({
+        id: `display.${mode}`,
+        category: 'Display',
+        title: mode === 'single' ? 'Single Line' : 'Double Line',
+        when: () => this.displayManager.getCurrentDisplayMode() !== mode,
+        run: () => this.switchDisplayMode(mode)
+      })),
+      {
+        id: 'layout.reset',
+        category: 'Layout',
+        title: 'Reset Board Layout',
+        run: () => {
+          if (confirm('Are you sure you want to reset the board layout? This will restore the default order of columns and bookmarks.')) {
+            this.resetLayout();
+          }
+        }
+      },
+      {
+        id: 'favicons.refresh',
+        category: 'Bookmarks',
+        title: 'Refresh Favicons',
+        run: () => {
+          faviconLoader.refreshAllFavicons();
+          this.notificationManager.showToast('Favicons refreshed');
+        }
+      },
+      {
+        id: 'column.create',
+        category: 'Column',
+        title: 'Create Column',
+        when: () => document.querySelector('.add-column-tile') !== null,
+        run: () => {
+          const tile = document.querySelector('.add-column-tile');
+          tile.scrollIntoView({ behavior: 'smooth', inline: 'nearest', block: 'nearest' });
+          this.uiManager.columnManager.startAddColumn(tile, title => this.createColumn(title));
+        }
+      },
+      {
+        id: 'column.create-smart',
+        category: 'Column',
+        title: 'Create Smart Column',
+        when: () => document.querySelector('.add-smart-column-tile') !== null,
+        run: () => this.createSmartColumn()
+      },
+      {
+        id: 'board.export',
+        category: 'Bookmarks',
+        title: 'Export Board as HTML',
+        run: () => this.exportBoard()
+      }
+    ]);
+
+    // 跳转到看板上的列
+    commandRegistry.registerProvider('column.goto', () =>
+      Array.from(document.querySelectorAll('.kanban-column')).map(column => ({
+        id: `column.goto.${column.dataset.folderId || column.dataset.searchId || column.dataset.recentKind || column.dataset.columnType}`,
+        category: 'Go to Column',
+        title: column.querySelector('.column-title').textContent,
+        run: () => {
+          column.scrollIntoView({ behavior: 'smooth', inline: 'center', block: 'nearest' });
+          column.classList.add('highlight');
+          setTimeout(() => column.classList.remove('highlight'), 2000);
+        }
+      }))
+    );
+  }
+
+  // 将当前看板的列导出为浏览器可导入的书签 HTML 文件
+  async exportBoard() {
+    try {
+      const columnManager = this.uiManager.columnManager;
+      const folders = [];
+      // 智能列和最近列没有对应的文件夹，不导出
+      for (const column of document.querySelectorAll('.kanban-column:not(.smart-column):not(.recent-column)')) {
+        const folder = await this.bookmarkManager.getSubTree(columnManager.getColumnFolderId(column));
+        if (column.dataset.columnType === 'uncategorized') {
+          // 未分类列只包含书签栏根目录下的书签，子文件夹各自成列
+          folders.push({ ...folder, title: column.querySelector('.column-title').textContent, children: folder.children.filter(child => child.url) });
+        } else {
+          folders.push(folder);
+        }
+      }
+
+      const workspace = this.workspaceManager.getActiveWorkspace();
+      const html = buildBookmarksHtml(`${workspace.name} Bookmarks`, folders);
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+      link.download = `bookmarks-${workspace.name.replace(/[^\w-]+/g, '-').toLowerCase()}-${new Date().toISOString().slice(0, 10)}.html`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+      this.notificationManager.showToast(`Exported ${folders.length} column${folders.length === 1 ? '' : 's'}`);
+      return true;
+    } catch (error) {
+      console.error('Failed to export board:', error);
+      this.notificationManager.showErrorToast('Failed to export board');
+      return false;
+    }
   }
 
   resetLayout() {
@@ -171,6 +884,7 @@ export class AppCoordinator {
   async switchTheme(theme) {
     try {
       await this.themeManager.switchTheme(theme);
+      await this.workspaceManager.rememberAppearance({ theme });
       this.notificationManager.showToast(`Theme switched to ${theme}`);
       return true;
     } catch (error) {
@@ -183,6 +897,7 @@ export class AppCoordinator {
   async switchDisplayMode(mode) {
     try {
       await this.displayManager.switchDisplayMode(mode);
+      await this.workspaceManager.rememberAppearance({ displayMode: mode });
       this.notificationManager.showToast(`Display mode switched to ${mode} line`);
       return true;
     } catch (error) {
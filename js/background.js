@@ -7,6 +7,10 @@
  */
 
 import { siteChecker } from './modules/siteChecker.js';
+import { metadataStore } from './modules/metadataStore.js';
+import { openHistory } from './modules/openHistory.js';
+import { contentIndex } from './modules/contentIndex.js';
+import { parseQuery, searchBookmarks, createSearchEntry, usesSiteStatus, QUERY_HINT, FRECENCY_WEIGHT } from './modules/bookmarkSearch.js';
 
 // Store check results in memory for current session
 let currentSessionResults = {};
@@ -112,6 +116,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return false; // We already responded, no need to keep channel open
   }
 
+  if (message.type === 'INDEX_PAGES') {
+    // Fetch and index bookmarked pages here, so it goes on after the board navigates away
+    contentIndex.indexBookmarks(message.bookmarks).then(sendResponse).catch((error) => {
+      console.error('Failed to index pages:', error);
+      sendResponse({ indexed: 0, skipped: 0, failed: message.bookmarks.length });
+    });
+    return true;
+  }
+
   // Return false to indicate no async response needed
   return false;
 });
@@ -170,6 +183,180 @@ chrome.action.onClicked.addListener((tab) => {
   }
 });
 
+// Omnibox: type "km" and a query in the address bar to search bookmarks, with the
+// same matching and filters (tag:, in:, ...) as the command palette
+const OMNIBOX_MAX_SUGGESTIONS = 8;
+
+// Searchable bookmarks, rebuilt after the bookmarks or their metadata change
+let searchEntries = null;
+// Suggested URL -> bookmark, so opening a suggestion can be recorded
+let lastSuggestions = new Map();
+
+// Escape text for an omnibox description, which is XML
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Escape text and wrap the matched characters in <match>
+const highlightXml = (text, indices) => {
+  const matched = new Set(indices);
+  let result = '';
+  let inMatch = false;
+  for (let i = 0; i < text.length; i++) {
+    if (matched.has(i) !== inMatch) {
+      result += inMatch ? '</match>' : '<match>';
+      inMatch = !inMatch;
+    }
+    result += escapeXml(text[i]);
+  }
+  return inMatch ? `${result}</match>` : result;
+};
+
+const OMNIBOX_HINT = `Search bookmarks <dim>${escapeXml(QUERY_HINT)}</dim>`;
+
+// Load the searchable bookmarks, reusing them until something changes
+async function getSearchEntries() {
+  if (!searchEntries) {
+    await metadataStore.load();
+    const tree = await chrome.bookmarks.getTree();
+    const entries = [];
+    const collect = (node, path) => {
+      if (node.url) {
+        entries.push(createSearchEntry(node, path, metadataStore.describe(node)));
+      }
+      (node.children || []).forEach(child => collect(child, node.title ? [...path, node.title] : path));
+    };
+    collect(tree[0], []);
+    searchEntries = entries;
+  }
+  return searchEntries;
+}
+
+// Find the bookmarks matching an omnibox query, best first
+async function searchOmnibox(query) {
+  if (query.clauses.length === 0) return [];
+
+  let siteStatus = {};
+  if (usesSiteStatus(query) && chrome.storage.session) {
+    siteStatus = (await chrome.storage.session.get('siteStatus')).siteStatus || {};
+  }
+  return searchBookmarks(query, await getSearchEntries(), {
+    siteStatus,
+    boost: entry => openHistory.getFrecency(entry.id) * FRECENCY_WEIGHT
+  });
+}
+
+const invalidateSearchEntries = () => {
+  searchEntries = null;
+};
+
+chrome.bookmarks.onCreated.addListener(invalidateSearchEntries);
+chrome.bookmarks.onRemoved.addListener(invalidateSearchEntries);
+chrome.bookmarks.onChanged.addListener(invalidateSearchEntries);
+chrome.bookmarks.onMoved.addListener(invalidateSearchEntries);
+// Drop indexed page text for removed bookmarks and bookmarks pointing elsewhere. Pages
+// indexed before indexing was turned off are dropped too, but the database is never
+// created just for this.
+const removeIndexedPage = async (id) => {
+  try {
+    if (await contentIndex.exists()) {
+      await contentIndex.remove(id);
+    }
+  } catch (error) {
+    _debug('Failed to remove indexed page:', id);
+  }
+};
+
+// Removing a folder only fires for the folder, so drop the pages of every bookmark in it
+const getBookmarkIds = (node) => node.url ? [node.id] : (node.children || []).flatMap(getBookmarkIds);
+chrome.bookmarks.onRemoved.addListener((id, removeInfo) => {
+  const ids = removeInfo && removeInfo.node ? getBookmarkIds(removeInfo.node) : [id];
+  ids.forEach(removeIndexedPage);
+});
+chrome.bookmarks.onChanged.addListener((id, changeInfo) => {
+  if (changeInfo.url) {
+    removeIndexedPage(id);
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if ((area === 'local' && changes[metadataStore.STORAGE_KEY]) || (area === 'sync' && changes.embedMetadataInTitle)) {
+    invalidateSearchEntries();
+  }
+});
+
+chrome.omnibox.setDefaultSuggestion({ description: OMNIBOX_HINT });
+
+chrome.omnibox.onInputStarted.addListener(() => {
+  // Pick up bookmarks opened from the board since the last search
+  openHistory.load();
+});
+
+chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
+  let query;
+  try {
+    query = parseQuery(text);
+  } catch (error) {
+    chrome.omnibox.setDefaultSuggestion({ description: escapeXml(error.message) });
+    suggest([]);
+    return;
+  }
+
+  try {
+    const results = (await searchOmnibox(query)).slice(0, OMNIBOX_MAX_SUGGESTIONS);
+
+    lastSuggestions = new Map(results.map(({ entry }) => [entry.url, entry]));
+    chrome.omnibox.setDefaultSuggestion({
+      description: results.length > 0 || query.clauses.length === 0 ?
+        OMNIBOX_HINT : `No bookmarks match <match>${escapeXml(text)}</match>`
+    });
+
+    suggest(results.map(({ entry, highlights }) => {
+      const details = [entry.path.join(' > '), entry.tags.join(' ')].filter(Boolean).join(' · ');
+      return {
+        content: entry.url,
+        description: `${highlightXml(entry.title || entry.url, entry.title ? highlights.title : [])}` +
+          (details ? ` <dim>${escapeXml(details)}</dim>` : '') +
+          ` <url>${escapeXml(entry.url)}</url>`
+      };
+    }));
+  } catch (error) {
+    console.error('Failed to search bookmarks:', error);
+    suggest([]);
+  }
+});
+
+chrome.omnibox.onInputEntered.addListener(async (text, disposition) => {
+  let bookmark = lastSuggestions.get(text);
+
+  // Enter without picking a suggestion opens the best match
+  if (!bookmark) {
+    try {
+      const [best] = await searchOmnibox(parseQuery(text));
+      bookmark = best && best.entry;
+    } catch (error) {
+      _debug('Invalid omnibox query:', error.message);
+    }
+  }
+  if (!bookmark) return;
+
+  try {
+    if (disposition === 'currentTab') {
+      await chrome.tabs.update({ url: bookmark.url });
+    } else {
+      await chrome.tabs.create({ url: bookmark.url, active: disposition === 'newForegroundTab' });
+    }
+    await openHistory.load();
+    await openHistory.record(bookmark);
+    await contentIndex.indexBookmarks([bookmark]);
+  } catch (error) {
+    console.error('Failed to open bookmark:', error);
+  }
+});
+
 // Check all bookmarks
 async function checkAllBookmarks() {
   try {
@@ -0,0 +1,50 @@
+// js/modules/bookmarkExport.js
+import { metadataStore } from './metadataStore.js';
+
+/**
+ * Escape text for HTML content and attributes
+ * @param {string} text Text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Render a bookmark node and its children as Netscape bookmark list entries
+ * @param {Object} node Bookmark tree node
+ * @param {string} indent Indentation
+ * @returns {string} HTML lines
+ */
+const renderNode = (node, indent) => {
+  const added = node.dateAdded ? ` ADD_DATE="${Math.floor(node.dateAdded / 1000)}"` : '';
+
+  if (node.url) {
+    const { title, tags } = metadataStore.describe(node);
+    const tagList = tags.length > 0 ? ` TAGS="${escapeHtml(tags.map(tag => tag.substring(1)).join(','))}"` : '';
+    return `${indent}<DT><A HREF="${escapeHtml(node.url)}"${added}${tagList}>${escapeHtml(title || node.url)}</A>\n`;
+  }
+
+  const children = (node.children || []).map(child => renderNode(child, `${indent}    `)).join('');
+  return `${indent}<DT><H3${added}>${escapeHtml(node.title || 'Untitled')}</H3>\n` +
+    `${indent}<DL><p>\n${children}${indent}</DL><p>\n`;
+};
+
+/**
+ * Build a bookmarks file in the Netscape format every browser can import,
+ * with each column as a folder and tags in the TAGS attribute
+ * @param {string} title File title
+ * @param {Array<Object>} folders Bookmark tree nodes, one per column
+ * @returns {string} HTML document
+ */
+export const buildBookmarksHtml = (title, folders) => [
+  '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+  '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+  `<TITLE>${escapeHtml(title)}</TITLE>`,
+  `<H1>${escapeHtml(title)}</H1>`,
+  '<DL><p>',
+  folders.map(folder => renderNode(folder, '    ')).join('') + '</DL><p>',
+  ''
+].join('\n');
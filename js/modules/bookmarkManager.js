@@ -173,6 +173,125 @@ export class BookmarkManager {
     });
   }
 
+  /**
+   * Get a single bookmark or folder
+   * @param {string} id Bookmark ID
+   * @returns {Promise<Object>} Bookmark object
+   */
+  getBookmark(id) {
+    return new Promise((resolve, reject) => {
+      chrome.bookmarks.get(id, (results) => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else {
+          resolve(results[0]);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get the direct children of a folder
+   * @param {string} id Folder ID
+   * @returns {Promise<Array>} Child nodes in index order
+   */
+  getChildren(id) {
+    return new Promise((resolve, reject) => {
+      chrome.bookmarks.getChildren(id, (children) => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else {
+          resolve(children);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get a folder with all of its descendants
+   * @param {string} id Folder ID
+   * @returns {Promise<Object>} Folder node with nested children
+   */
+  getSubTree(id) {
+    return new Promise((resolve, reject) => {
+      chrome.bookmarks.getSubTree(id, (results) => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else {
+          resolve(results[0]);
+        }
+      });
+    });
+  }
+
+  /**
+   * Create folder
+   * @param {string} parentId Parent folder ID
+   * @param {string} title Folder title
+   * @param {number} [index] Position within the parent, appended when omitted
+   * @returns {Promise<Object>} Created folder object
+   */
+  createFolder(parentId, title, index) {
+    const folder = { parentId, title };
+    if (index !== undefined) {
+      folder.index = index;
+    }
+    return this.createBookmark(folder);
+  }
+
+  /**
+   * Delete a folder together with everything inside it
+   * @param {string} id Folder ID
+   * @returns {Promise<void>}
+   */
+  removeTree(id) {
+    return new Promise((resolve, reject) => {
+      chrome.bookmarks.removeTree(id, () => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else {
+          this.updateBookmarkTreeCache();
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Move all children of a folder to the end of another folder, keeping their order
+   * @param {string} sourceId Source folder ID
+   * @param {string} targetId Target folder ID
+   * @param {Function} [move] Moves one node, e.g. an undo transaction's move (defaults to moveBookmark)
+   * @returns {Promise<Array>} IDs of the moved children, in their original order
+   */
+  async moveChildren(sourceId, targetId, move = (id, destination) => this.moveBookmark(id, destination)) {
+    const children = await this.getChildren(sourceId);
+    for (const child of children) {
+      await move(child.id, { parentId: targetId });
+    }
+    return children.map(child => child.id);
+  }
+
+  /**
+   * Get the titles of a node's ancestor folders
+   * @param {string} id Node ID
+   * @returns {Promise<Array>} Folder titles from the top level down, including the node itself
+   */
+  async getFolderPath(id) {
+    const path = [];
+    let currentId = id;
+    while (currentId && currentId !== '0') {
+      try {
+        const node = await this.getBookmark(currentId);
+        path.unshift(node.title);
+        currentId = node.parentId;
+      } catch (error) {
+        break;
+      }
+    }
+    return path;
+  }
+
   /**
    * Get bookmark folders
    * @returns {Promise<Array>} Folder list
@@ -0,0 +1,459 @@
+// js/modules/bookmarkSearch.js
+import { getDomain, tagMatches } from './utils.js';
+import { buildPinyinIndex } from './pinyin.js';
+
+/**
+ * Bookmark search queries
+ * Parses the command palette query language, and matches and ranks bookmarks against it.
+ * Kept free of DOM and Chrome APIs so other search surfaces can reuse it.
+ *
+ *   rust "error handling"   every term must fuzzily match the title, URL or folder path,
+ *                           or appear in the notes (or the page's text, when indexed)
+ *   jqxx  jiqixuexi         Chinese titles and paths also match by pinyin or its initials
+ *   tag:lang/rust           tag, or one of its children
+ *   domain:github.com       host or a subdomain of it
+ *   folder:work  in:work    a folder on the bookmark's path
+ *   is:dead  is:nohttps     results of the last site check
+ *   added:<30d  added:>1y  added:>2024-06-01
+ *   -term  -tag:old         exclude matches
+ */
+
+const FILTERS = ['tag', 'domain', 'folder', 'in', 'is', 'added'];
+const STATUSES = ['dead', 'nohttps'];
+const DAY = 24 * 60 * 60 * 1000;
+const UNIT_DAYS = { d: 1, w: 7, m: 30, y: 365 };
+
+// Fuzzy scoring: every matched character scores 1, plus bonuses for starting a word
+// and following the previous match; skipped characters between matches cost a little
+const WORD_START_BONUS = 6;
+const CONSECUTIVE_BONUS = 4;
+const GAP_PENALTY = 0.5;
+const WORD_SEPARATOR = /[\s\-_./:?#&=>()[\]|,]/;
+// A match must average this much per pattern character, which drops characters picked
+// one by one from far apart ("react" out of "Rust Extension Api Chat Test")
+const MIN_SCORE_PER_CHAR = 2;
+
+// Score and backtrack tables, reused across calls and grown as needed
+let scoreTable = new Float64Array(0);
+let fromTable = new Int32Array(0);
+
+// Score added per unit of frecency, so often-opened bookmarks rise above similar matches
+export const FRECENCY_WEIGHT = 8;
+
+// How much a match in each field counts
+const TITLE_WEIGHT = 2;
+const DOMAIN_WEIGHT = 1.5;
+const URL_WEIGHT = 1;
+const PATH_WEIGHT = 1;
+// Score per character of a term found only in the page's text
+const CONTENT_WEIGHT = 0.5;
+
+/**
+ * Short syntax reference shown next to the search box
+ */
+export const QUERY_HINT = 'tag: domain: in: is:dead added:<30d -exclude "phrase"';
+
+/**
+ * Build the searchable form of a bookmark
+ * @param {Object} node Bookmark tree node
+ * @param {string[]} path Titles of the folders above it
+ * @param {Object} metadata Its metadata, from metadataStore.describe
+ * @returns {Object} Searchable bookmark {id, title, url, notes, tags, path, parentId, dateAdded},
+ *   with the pinyin index of its title and path
+ */
+export const createSearchEntry = (node, path, metadata) => ({
+  id: node.id,
+  title: metadata.title,
+  url: node.url,
+  notes: metadata.notes,
+  tags: metadata.tags,
+  path,
+  parentId: node.parentId,
+  dateAdded: node.dateAdded || 0,
+  pinyin: {
+    title: buildPinyinIndex(metadata.title),
+    path: buildPinyinIndex(path.join(' > '))
+  }
+});
+
+/**
+ * Build the query a smart column rule stands for
+ * @param {Object} rule Rule {tag, domain, folder, added, status, text}; empty fields are left out.
+ *   added is a window such as "30d", status is "dead", "live" or "nohttps", and text is any
+ *   further words or filters
+ * @returns {string} Query, e.g. 'tag:read in:"Dev Tools" added:<30d -is:dead rust'
+ */
+export const buildRuleQuery = (rule) => {
+  const quote = value => (/[\s"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value);
+  const status = rule.status === 'live' ? '-is:dead' : rule.status && `is:${rule.status}`;
+  return [
+    rule.tag && `tag:${quote(rule.tag.replace(/^#/, ''))}`,
+    rule.domain && `domain:${quote(rule.domain)}`,
+    rule.folder && `in:${quote(rule.folder)}`,
+    rule.added && `added:<${rule.added}`,
+    status,
+    rule.text
+  ].filter(Boolean).join(' ');
+};
+
+/**
+ * Split a query into tokens, keeping quoted phrases together
+ * @param {string} input Query
+ * @returns {Array<{text: string, literal: boolean, negate: boolean}>} Tokens, filters still attached
+ *   ("tag:work"); literal tokens started with a quote and are never filters
+ */
+const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    let negate = false;
+    if (input[i] === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+      negate = true;
+      i++;
+    }
+
+    // A token runs to the next whitespace outside quotes: word, "phrase" or filter:"phrase"
+    let text = '';
+    const literal = input[i] === '"';
+    while (i < input.length && !/\s/.test(input[i])) {
+      if (input[i] === '"') {
+        const end = input.indexOf('"', i + 1);
+        if (end === -1) {
+          throw new Error('Missing closing quote');
+        }
+        text += input.slice(i + 1, end);
+        i = end + 1;
+      } else {
+        text += input[i++];
+      }
+    }
+    tokens.push({ text, literal, negate });
+  }
+  return tokens;
+};
+
+/**
+ * Parse an added: value into a date range
+ * @param {string} value Value such as "<30d", ">1y", "2w", "<2024-06-01" or "2024-06-01"
+ * @param {number} now Current time
+ * @returns {{from: number, to: number}} Range of dateAdded values (ms)
+ */
+const parseAdded = (value, now) => {
+  const match = value.match(/^([<>]?)(?:(\d+)([dwmy])|(\d{4}-\d{2}-\d{2}))$/i);
+  if (!match) {
+    throw new Error(`Can't read added:${value}. Use added:<30d, added:>1y or added:>2024-06-01`);
+  }
+
+  const [, operator, amount, unit, date] = match;
+  if (date) {
+    const day = new Date(`${date}T00:00:00`).getTime();
+    if (Number.isNaN(day)) {
+      throw new Error(`Invalid date in added:${value}`);
+    }
+    // <date: before that day, >date: after it, date alone: that day
+    if (operator === '<') return { from: -Infinity, to: day };
+    if (operator === '>') return { from: day + DAY, to: Infinity };
+    return { from: day, to: day + DAY };
+  }
+
+  // <30d: within the last 30 days, >30d: longer ago
+  const cutoff = now - Number(amount) * UNIT_DAYS[unit.toLowerCase()] * DAY;
+  return operator === '>' ? { from: -Infinity, to: cutoff } : { from: cutoff, to: Infinity };
+};
+
+/**
+ * Parse a query
+ * @param {string} input Query typed by the user
+ * @param {number} now Current time, for relative dates
+ * @returns {{clauses: Array<{type: string, value: *, negate: boolean}>, terms: string[]}}
+ *   Clauses to match, and the lowercase text terms (for ranking and highlighting)
+ * @throws {Error} With a message fit to show the user, if the query is malformed
+ */
+export const parseQuery = (input, now = Date.now()) => {
+  const clauses = [];
+
+  tokenize(input).forEach(({ text, literal, negate }) => {
+    // "filter:value" for the known filters, unless quoted as a whole; anything else
+    // with a colon (localhost:3000, todo:) is text
+    const filter = !literal && text.match(/^([a-z]+):(.*)$/is);
+    if (!filter || !FILTERS.includes(filter[1].toLowerCase())) {
+      if (text) {
+        clauses.push({ type: 'text', value: text.toLowerCase(), negate });
+      }
+      return;
+    }
+
+    const type = filter[1].toLowerCase();
+    const value = filter[2].trim();
+    if (!value) {
+      throw new Error(`${type}: needs a value`);
+    }
+
+    switch (type) {
+      case 'tag':
+        clauses.push({ type, value: `#${value.replace(/^#/, '')}`.toLowerCase(), negate });
+        break;
+      case 'domain':
+        clauses.push({ type, value: value.toLowerCase().replace(/^www\./, ''), negate });
+        break;
+      case 'folder':
+      case 'in':
+        clauses.push({ type: 'folder', value: value.toLowerCase(), negate });
+        break;
+      case 'is':
+        if (!STATUSES.includes(value.toLowerCase())) {
+          throw new Error(`Unknown status "is:${value}". Use ${STATUSES.map(status => `is:${status}`).join(' or ')}`);
+        }
+        clauses.push({ type, value: value.toLowerCase(), negate });
+        break;
+      case 'added':
+        clauses.push({ type, value: parseAdded(value, now), negate });
+        break;
+    }
+  });
+
+  return {
+    clauses,
+    terms: clauses.filter(clause => clause.type === 'text' && !clause.negate).map(clause => clause.value)
+  };
+};
+
+/**
+ * Check whether a query uses site check results
+ * @param {Object} query Parsed query
+ * @returns {boolean} True if the query has an is: filter
+ */
+export const usesSiteStatus = (query) => query.clauses.some(clause => clause.type === 'is');
+
+/**
+ * Check one clause against a bookmark
+ * @param {Object} clause Parsed clause
+ * @param {Object} entry Searchable bookmark
+ * @param {Object} siteStatus Bookmark ID -> site check result
+ * @returns {boolean} True if the clause matches, ignoring negation
+ */
+const matchClause = (clause, entry, siteStatus) => {
+  switch (clause.type) {
+    case 'text':
+      // Exclusions only drop exact matches, fuzzy ones would hide too much
+      return clause.negate ?
+        [entry.title, entry.url, entry.notes, ...entry.path].some(text => (text || '').toLowerCase().includes(clause.value)) :
+        matchText(clause.value, entry) !== null;
+    case 'tag':
+      return entry.tags.some(tag => tagMatches(tag.toLowerCase(), clause.value));
+    case 'domain': {
+      const host = getDomain(entry.url).toLowerCase().replace(/^www\./, '');
+      return host === clause.value || host.endsWith(`.${clause.value}`);
+    }
+    case 'folder':
+      return entry.path.some(folder => folder.toLowerCase().includes(clause.value));
+    case 'is': {
+      const status = siteStatus[entry.id];
+      return clause.value === 'dead' ? status === false : status === 'no-https';
+    }
+    case 'added':
+      return entry.dateAdded >= clause.value.from && entry.dateAdded < clause.value.to;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Check whether a bookmark matches every clause of a query
+ * @param {Object} query Parsed query
+ * @param {Object} entry Searchable bookmark {id, title, url, notes, tags, path, dateAdded}
+ * @param {Object} siteStatus Bookmark ID -> site check result (false, 'no-https', ...)
+ * @returns {boolean} True if the bookmark matches
+ */
+export const matchesQuery = (query, entry, siteStatus = {}) =>
+  query.clauses.every(clause => matchClause(clause, entry, siteStatus) !== clause.negate);
+
+/**
+ * Fuzzy-match a pattern as a subsequence of a text, picking the best-scoring alignment
+ * @param {string} pattern Lowercase pattern
+ * @param {string} text Text to search
+ * @returns {{score: number, indices: number[]}|null} Score and matched character positions, or null
+ */
+export const fuzzyMatch = (pattern, text) => {
+  const m = pattern.length;
+  const n = text.length;
+  if (m === 0 || m > n) return null;
+
+  // Most texts don't contain the pattern at all; rule them out before filling the tables
+  const lower = text.toLowerCase();
+  for (let i = 0, j = 0; i < m; i++, j++) {
+    j = lower.indexOf(pattern[i], j);
+    if (j === -1) return null;
+  }
+
+  const charScore = j => 1 + (j === 0 || WORD_SEPARATOR.test(text[j - 1]) ||
+    (/[a-z]/.test(text[j - 1]) && /[A-Z]/.test(text[j])) ? WORD_START_BONUS : 0);
+
+  // scores[i * n + j]: best score with pattern[i] matched at text[j]; from[i * n + j]: where pattern[i - 1] was
+  if (scoreTable.length < m * n) {
+    scoreTable = new Float64Array(m * n);
+    fromTable = new Int32Array(m * n);
+  }
+  const scores = scoreTable;
+  const from = fromTable;
+  scores.fill(-Infinity, 0, m * n);
+
+  for (let i = 0; i < m; i++) {
+    const row = i * n;
+    const previous = row - n;
+
+    // Best previous-row match before j - 1, less the penalty for the characters skipped up to j
+    let gapped = -Infinity;
+    let gappedAt = -1;
+    for (let j = i; j < n; j++) {
+      if (i > 0 && j >= 2) {
+        gapped -= GAP_PENALTY;
+        if (scores[previous + j - 2] - GAP_PENALTY > gapped) {
+          gapped = scores[previous + j - 2] - GAP_PENALTY;
+          gappedAt = j - 2;
+        }
+      }
+      if (lower[j] !== pattern[i]) continue;
+
+      if (i === 0) {
+        scores[row + j] = charScore(j);
+        continue;
+      }
+      const consecutive = scores[previous + j - 1] + CONSECUTIVE_BONUS;
+      if (consecutive > -Infinity && consecutive >= gapped) {
+        scores[row + j] = consecutive + charScore(j);
+        from[row + j] = j - 1;
+      } else if (gapped > -Infinity) {
+        scores[row + j] = gapped + charScore(j);
+        from[row + j] = gappedAt;
+      }
+    }
+  }
+
+  // Best end position, then walk back through the alignment
+  const last = (m - 1) * n;
+  let end = -1;
+  for (let j = m - 1; j < n; j++) {
+    if (scores[last + j] > -Infinity && (end === -1 || scores[last + j] > scores[last + end])) {
+      end = j;
+    }
+  }
+  if (end === -1 || scores[last + end] < m * MIN_SCORE_PER_CHAR) return null;
+
+  const indices = [];
+  for (let i = m - 1, j = end; i >= 0; j = from[i * n + j], i--) {
+    indices.unshift(j);
+  }
+  return { score: scores[last + end], indices };
+};
+
+/**
+ * Fuzzy-match a pattern against a text or, for Chinese text, its pinyin spellings
+ * @param {string} pattern Lowercase pattern
+ * @param {string} text Text to search
+ * @param {Array|null} spellings Pinyin index of the text, from buildPinyinIndex
+ * @returns {{score: number, indices: number[]}|null} Best match, with matched positions
+ *   in the original text, or null
+ */
+export const fuzzyMatchPinyin = (pattern, text, spellings) => {
+  let best = fuzzyMatch(pattern, text);
+  if (!spellings || !/[a-z]/.test(pattern)) return best;
+
+  spellings.forEach(spelling => {
+    const match = fuzzyMatch(pattern, spelling.text);
+    if (match && (!best || match.score > best.score)) {
+      const indices = match.indices.map(index => spelling.positions[index]).filter(index => index >= 0);
+      best = { score: match.score, indices: [...new Set(indices)] };
+    }
+  });
+  return best;
+};
+
+/**
+ * Match one text term against a bookmark's title, URL, folder path and notes
+ * @param {string} term Lowercase term
+ * @param {Object} entry Searchable bookmark
+ * @returns {{score: number, highlights: Object}|null} Best weighted score and the matched
+ *   positions in each field ({title, url, path}), or null if nothing matched
+ */
+export const matchText = (term, entry) => {
+  const highlights = {};
+  const pinyin = entry.pinyin || {};
+  let score = -Infinity;
+
+  const title = fuzzyMatchPinyin(term, entry.title, pinyin.title);
+  if (title) {
+    highlights.title = title.indices;
+    score = Math.max(score, title.score * TITLE_WEIGHT);
+  }
+
+  const url = fuzzyMatch(term, entry.url);
+  if (url) {
+    highlights.url = url.indices;
+    const hostStart = entry.url.indexOf(getDomain(entry.url));
+    const hostEnd = hostStart + getDomain(entry.url).length;
+    const inHost = hostStart >= 0 && url.indices.every(index => index >= hostStart && index < hostEnd);
+    score = Math.max(score, url.score * (inHost ? DOMAIN_WEIGHT : URL_WEIGHT));
+  }
+
+  const path = fuzzyMatchPinyin(term, entry.path.join(' > '), pinyin.path);
+  if (path) {
+    highlights.path = path.indices;
+    score = Math.max(score, path.score * PATH_WEIGHT);
+  }
+
+  if ((entry.notes || '').toLowerCase().includes(term)) {
+    score = Math.max(score, term.length);
+  }
+
+  return score > -Infinity ? { score, highlights } : null;
+};
+
+/**
+ * Find and rank the bookmarks matching a query
+ * @param {Object} query Parsed query
+ * @param {Array} entries Searchable bookmarks {id, title, url, notes, tags, path, dateAdded},
+ *   optionally with the pinyin index of the title and path ({pinyin: {title, path}})
+ * @param {Object} options Options
+ * @param {Object} options.siteStatus Bookmark ID -> site check result
+ * @param {Function} options.boost Extra score for a bookmark, e.g. from how often it's opened
+ * @param {Map} options.contentMatches Bookmark ID -> page content match, for bookmarks whose
+ *   page text contains every term; these match even when the terms aren't in the title or URL
+ * @returns {Array<{entry: Object, score: number, highlights: Object, content: Object}>} Matches,
+ *   best first, with matched positions per field ({title, url, path}) for highlighting and the
+ *   page content match, if any
+ */
+export const searchBookmarks = (query, entries, { siteStatus = {}, boost = () => 0, contentMatches = new Map() } = {}) => {
+  const filters = query.clauses.filter(clause => clause.type !== 'text' || clause.negate);
+  const results = [];
+
+  entries.forEach(entry => {
+    if (!filters.every(clause => matchClause(clause, entry, siteStatus) !== clause.negate)) return;
+
+    let score = 0;
+    const highlights = { title: [], url: [], path: [] };
+    const content = contentMatches.get(entry.id);
+    for (const term of query.terms) {
+      const match = matchText(term, entry);
+      if (!match) {
+        if (!content) return;
+        score += term.length * CONTENT_WEIGHT;
+        continue;
+      }
+      score += match.score;
+      Object.entries(match.highlights).forEach(([field, indices]) => {
+        highlights[field].push(...indices);
+      });
+    }
+
+    results.push({ entry, score: score + boost(entry), highlights, content });
+  });
+
+  return results.sort((a, b) => b.score - a.score ||
+    a.entry.title.toLowerCase().localeCompare(b.entry.title.toLowerCase()));
+};
@@ -1,16 +1,47 @@
 // js/modules/commandPalette.js
 
-import { createElement } from './utils.js';
+import { createElement, debounce } from './utils.js';
+import { metadataStore } from './metadataStore.js';
+import { openHistory } from './openHistory.js';
+import { undoManager } from './undoManager.js';
+import { commandRegistry } from './commandRegistry.js';
+import { contentIndex } from './contentIndex.js';
+import { searchHistory } from './searchHistory.js';
+import { parseQuery, searchBookmarks, createSearchEntry, fuzzyMatch, fuzzyMatchPinyin, usesSiteStatus, QUERY_HINT, FRECENCY_WEIGHT } from './bookmarkSearch.js';
+import { buildPinyinIndex } from './pinyin.js';
+
+const PLACEHOLDER = 'Search bookmarks... (type > for commands)';
 
 /**
  * Command Palette - VS Code style quick search
+ * Searches bookmarks, or runs registered commands when the query starts with ">".
+ * The selected bookmark can be opened in different ways with modifier keys, and
+ * → (or its ⋯ button) lists more actions, including moving it to another folder.
+ * ↑ in the empty box recalls earlier queries; Ctrl+S saves the query as a named
+ * search, listed when the box is empty and optionally pinned as a board column.
  */
 export class CommandPalette {
-  constructor(bookmarkManager) {
+  constructor(bookmarkManager, app) {
     this.bookmarkManager = bookmarkManager;
+    this.app = app;
     this.isVisible = false;
     this.allBookmarks = [];
+    this.allFolders = [];
     this.filteredBookmarks = [];
+    this.mode = 'search'; // search | actions | folders
+    this.menuItems = [];
+    this.actionTarget = null;
+    this.savedQuery = '';
+    this.historyIndex = -1;
+    this.siteStatus = {};
+    this.contentSearch = false;
+    this.contentResults = { key: null, matches: new Map() };
+    this.searchContentLater = debounce((terms, key) => this.searchContent(terms, key), 150);
+    this.searchPending = false;
+    this.handleSearchLater = debounce(() => {
+      if (this.searchPending) this.handleSearch();
+    }, 80);
+    this.queryError = '';
     this.selectedIndex = 0;
     this.initialized = false;
     this.boundKeydownHandler = this.handleGlobalKeydown.bind(this);
@@ -44,7 +75,7 @@ export class CommandPalette {
     // Create search input
     this.input = createElement('input', 'command-input');
     this.input.type = 'text';
-    this.input.placeholder = 'Search bookmarks...';
+    this.input.placeholder = PLACEHOLDER;
     this.input.setAttribute('spellcheck', 'false');
     
     // Create results container
@@ -61,6 +92,10 @@ export class CommandPalette {
         <span class="command-key">Enter</span>
         <span>Open</span>
       </div>
+      <div class="command-shortcut">
+        <span class="command-key">→</span>
+        <span>Actions</span>
+      </div>
       <div class="command-shortcut">
         <span class="command-key">Tab</span>
         <span>Focus</span>
@@ -69,7 +104,17 @@ export class CommandPalette {
         <span class="command-key">Esc</span>
         <span>Close</span>
       </div>
+      <div class="command-shortcut">
+        <span class="command-key">&gt;</span>
+        <span>Commands</span>
+      </div>
+      <div class="command-shortcut">
+        <span class="command-key">Ctrl+S</span>
+        <span>Save search</span>
+      </div>
+      <div class="command-shortcut command-syntax"></div>
     `;
+    this.shortcuts.querySelector('.command-syntax').textContent = QUERY_HINT;
     
     // Assemble palette
     this.palette.appendChild(this.input);
@@ -86,7 +131,13 @@ export class CommandPalette {
    */
   setupEventListeners() {
     // Input events
-    this.input.addEventListener('input', () => this.handleSearch());
+    this.input.addEventListener('input', () => {
+      // 手动输入后，↑ 从最近的查询重新开始
+      this.historyIndex = -1;
+      // 连续输入时只搜索一次，避免每个按键都对所有书签做模糊匹配
+      this.searchPending = true;
+      this.handleSearchLater();
+    });
     this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
     
     // Overlay click to close
@@ -151,10 +202,11 @@ export class CommandPalette {
     }, 50);
     
     // Reset state
+    this.mode = 'search';
+    this.input.placeholder = PLACEHOLDER;
     this.input.value = '';
-    this.filteredBookmarks = [];
-    this.selectedIndex = 0;
-    this.renderResults();
+    this.historyIndex = -1;
+    this.handleSearch();
   }
 
   /**
@@ -173,7 +225,17 @@ export class CommandPalette {
     try {
       const tree = await this.bookmarkManager.getBookmarkTree();
       this.allBookmarks = [];
+      this.allFolders = [];
       this.extractBookmarks(tree[0]);
+
+      // 最近一次站点检查的结果，用于 is:dead / is:nohttps
+      if (this.app && this.app.siteCheckManager) {
+        this.siteStatus = await this.app.siteCheckManager.getSiteStatus();
+      }
+
+      // 开启页面内容索引时，同时搜索页面正文
+      this.contentSearch = (await contentIndex.getSettings()).enabled;
+      this.contentResults = { key: null, matches: new Map() };
     } catch (error) {
       console.error('Failed to load bookmarks:', error);
     }
@@ -193,12 +255,18 @@ export class CommandPalette {
     }
     
     if (node.url) {
-      this.allBookmarks.push({
+      // 拼音索引随书签树加载时建立，避免每次输入都重新转换
+      this.allBookmarks.push(createSearchEntry(node, path, metadataStore.describe(node)));
+    } else if (node.parentId) {
+      // 文件夹（不含根节点），用于"移动到文件夹"
+      this.allFolders.push({
+        type: 'folder',
         id: node.id,
-        title: node.title || '',
-        url: node.url,
-        path: currentPath.slice(0, -1),
-        parentId: node.parentId
+        title: node.title || 'Untitled',
+        url: '',
+        path,
+        indent: path.length,
+        pinyin: buildPinyinIndex(node.title)
       });
     }
     
@@ -213,34 +281,65 @@ export class CommandPalette {
    * 处理搜索输入
    */
   handleSearch() {
-    const query = this.input.value.toLowerCase().trim();
+    this.searchPending = false;
+    const input = this.input.value.trim();
+    this.queryError = '';
     
-    if (!query) {
+    // 操作菜单和文件夹选择器中，输入用于筛选
+    if (this.mode !== 'search') {
+      this.handleMenuSearch(input.toLowerCase());
+      return;
+    }
+    
+    // ">" 开头进入命令模式
+    if (input.startsWith('>')) {
+      this.handleCommandSearch(input.slice(1).trim().toLowerCase());
+      return;
+    }
+    
+    // 输入为空时列出保存的搜索
+    if (!input) {
+      this.filteredBookmarks = this.findSavedSearches('');
+      this.selectedIndex = this.filteredBookmarks.length > 0 ? 0 : -1;
+      this.renderResults();
+      return;
+    }
+    
+    // 解析查询语法，语法错误直接显示在结果区域
+    let query;
+    try {
+      query = parseQuery(input);
+    } catch (error) {
+      this.queryError = error.message;
       this.filteredBookmarks = [];
+      this.selectedIndex = -1;
       this.renderResults();
       return;
     }
     
-    // Filter bookmarks
-    this.filteredBookmarks = this.allBookmarks.filter(bookmark => {
-      const titleMatch = bookmark.title.toLowerCase().includes(query);
-      const urlMatch = bookmark.url.toLowerCase().includes(query);
-      return titleMatch || urlMatch;
-    });
+    if (usesSiteStatus(query) && Object.keys(this.siteStatus).length === 0) {
+      this.queryError = 'is: filters use the results of a site check. Run "Check bookmarks" first.';
+    }
     
-    // Sort results (title matches first)
-    this.filteredBookmarks.sort((a, b) => {
-      const aTitle = a.title.toLowerCase();
-      const bTitle = b.title.toLowerCase();
-      const aInTitle = aTitle.includes(query);
-      const bInTitle = bTitle.includes(query);
-      
-      if (aInTitle && !bInTitle) return -1;
-      if (!aInTitle && bInTitle) return 1;
-      
-      // If both match title or both don't, sort by title
-      return aTitle.localeCompare(bTitle);
-    });
+    // 页面正文的匹配异步查询，结果返回后再搜索一次
+    const contentKey = query.terms.join('\n');
+    const contentMatches = this.contentResults.key === contentKey ? this.contentResults.matches : new Map();
+    if (this.contentSearch && query.terms.length > 0 && this.contentResults.key !== contentKey) {
+      this.searchContentLater(query.terms, contentKey);
+    }
+    
+    // 模糊匹配并排序，常用书签加分
+    this.filteredBookmarks = searchBookmarks(query, this.allBookmarks, {
+      siteStatus: this.siteStatus,
+      boost: bookmark => openHistory.getFrecency(bookmark.id) * FRECENCY_WEIGHT,
+      contentMatches
+    }).map(({ entry, highlights, content }) => ({ ...entry, highlights, content }));
+    
+    // Workspaces and saved searches matching by name go first (plain text queries only)
+    if (query.terms.length > 0 && query.terms.length === query.clauses.length) {
+      const name = query.terms.join(' ');
+      this.filteredBookmarks.unshift(...this.findWorkspaces(name), ...this.findSavedSearches(name));
+    }
     
     // Reset selection
     this.selectedIndex = this.filteredBookmarks.length > 0 ? 0 : -1;
@@ -249,14 +348,380 @@ export class CommandPalette {
     this.renderResults();
   }
 
+  /**
+   * 在页面内容索引中搜索，有结果时刷新列表
+   * @param {string[]} terms 查询词
+   * @param {string} key 查询词对应的缓存键
+   */
+  async searchContent(terms, key) {
+    let matches;
+    try {
+      matches = await contentIndex.search(terms);
+    } catch (error) {
+      console.error('Failed to search page content:', error);
+      matches = new Map();
+    }
+    this.contentResults = { key, matches };
+    if (!this.isVisible || this.mode !== 'search' || matches.size === 0) return;
+    
+    // 刷新后保持原来的选中项
+    const selected = this.filteredBookmarks[this.selectedIndex];
+    this.handleSearch();
+    const index = selected ?
+      this.filteredBookmarks.findIndex(item => item.type === selected.type && item.id === selected.id) : -1;
+    if (index > 0) {
+      this.selectedIndex = index;
+      this.renderResults();
+    }
+  }
+
+  /**
+   * 在已注册的命令中模糊搜索
+   * @param {string} query 小写查询，为空时列出全部命令
+   */
+  handleCommandSearch(query) {
+    const commands = commandRegistry.getCommands().map(command => ({
+      type: 'command',
+      command,
+      title: commandRegistry.getLabel(command),
+      shortcut: command.shortcut,
+      url: '',
+      path: []
+    }));
+    
+    if (query) {
+      this.filteredBookmarks = commands
+        .map(item => ({ item, match: fuzzyMatch(query, item.title) }))
+        .filter(({ match }) => match)
+        .sort((a, b) => b.match.score - a.match.score)
+        .map(({ item, match }) => ({ ...item, highlights: { title: match.indices } }));
+    } else {
+      this.filteredBookmarks = commands;
+    }
+    
+    this.selectedIndex = this.filteredBookmarks.length > 0 ? 0 : -1;
+    this.renderResults();
+  }
+
+  /**
+   * 筛选操作菜单或文件夹选择器
+   * @param {string} query 小写查询，为空时按原顺序列出全部
+   */
+  handleMenuSearch(query) {
+    if (query) {
+      this.filteredBookmarks = this.menuItems
+        .map(item => ({ item, match: fuzzyMatchPinyin(query, item.title, item.pinyin) }))
+        .filter(({ match }) => match)
+        .sort((a, b) => b.match.score - a.match.score)
+        // 筛选后不再缩进，改为显示所在路径
+        .map(({ item, match }) => ({ ...item, indent: undefined, highlights: { title: match.indices } }));
+    } else {
+      this.filteredBookmarks = this.menuItems;
+    }
+    this.selectedIndex = this.filteredBookmarks.length > 0 ? 0 : -1;
+    this.renderResults();
+  }
+
+  /**
+   * 切换到操作菜单或文件夹选择器
+   * @param {string} mode 'actions' 或 'folders'
+   * @param {Array} items 菜单项
+   * @param {string} placeholder 输入框提示
+   */
+  openMenu(mode, items, placeholder) {
+    if (this.mode === 'search') {
+      this.savedQuery = this.input.value;
+    }
+    this.mode = mode;
+    this.menuItems = items;
+    this.input.value = '';
+    this.input.placeholder = placeholder;
+    this.handleSearch();
+  }
+
+  /**
+   * 从菜单返回搜索结果
+   */
+  closeMenu() {
+    const target = this.actionTarget;
+    this.mode = 'search';
+    this.input.placeholder = PLACEHOLDER;
+    this.input.value = this.savedQuery;
+    this.handleSearch();
+    
+    // 重新选中原来的书签或保存的搜索
+    const index = this.filteredBookmarks.findIndex(item => target && item.type === target.type && item.id === target.id);
+    if (index >= 0) {
+      this.selectedIndex = index;
+      this.renderResults();
+    }
+  }
+
+  /**
+   * 显示书签的操作菜单
+   * @param {Object} bookmark 书签结果
+   */
+  showActions(bookmark) {
+    this.actionTarget = bookmark;
+    const action = (title, shortcut, run) => ({ type: 'action', title, shortcut, url: '', path: [], run });
+    
+    this.openMenu('actions', [
+      action('Open in New Tab', '', () => this.openBookmark(bookmark, 'new')),
+      action('Open in Current Tab', 'Alt+Enter', () => this.openBookmark(bookmark, 'current')),
+      action('Open in Background Tab', 'Ctrl+Enter', () => this.openBookmark(bookmark, 'background')),
+      action('Open in New Window', 'Shift+Enter', () => this.openBookmark(bookmark, 'window')),
+      action('Open in Incognito Window', 'Ctrl+Shift+Enter', () => this.openBookmark(bookmark, 'incognito')),
+      action('Locate on Board', 'Tab', () => this.locateBookmark(bookmark)),
+      action('Copy URL', '', () => this.copyText(bookmark.url, 'URL copied')),
+      action('Copy as Markdown', '', () => this.copyText(
+        `[${(bookmark.title || bookmark.url).replace(/([[\]])/g, '\\$1')}](${bookmark.url})`,
+        'Copied as Markdown'
+      )),
+      action('Edit…', '', () => this.editBookmark(bookmark)),
+      action('Delete…', '', () => this.deleteBookmark(bookmark)),
+      action('Move to Folder…', '', () => this.openMenu('folders', this.allFolders, `Move "${bookmark.title || bookmark.url}" to...`))
+    ], `Actions for "${bookmark.title || bookmark.url}"`);
+  }
+
+  /**
+   * 显示保存的搜索的操作菜单
+   * @param {Object} item 保存的搜索结果
+   */
+  showSavedSearchActions(item) {
+    this.actionTarget = item;
+    const { search } = item;
+    const pinned = search.pinnedIn.includes(this.app.workspaceManager.getActiveWorkspace().id);
+    const action = (title, shortcut, run) => ({ type: 'action', title, shortcut, url: '', path: [], run });
+    
+    this.openMenu('actions', [
+      action('Run Search', '', () => this.runSavedSearch(search)),
+      action('Edit…', '', () => {
+        this.hide();
+        this.app.editSavedSearch(search);
+      }),
+      pinned ?
+        action('Remove Column from Board', '', () => {
+          this.hide();
+          this.app.setSavedSearchPinned(search.id, false);
+        }) :
+        action('Pin as Column on Board', '', () => {
+          this.hide();
+          this.app.setSavedSearchPinned(search.id, true);
+        }),
+      action('Delete…', '', () => {
+        this.hide();
+        this.app.deleteSavedSearch(search.id);
+      })
+    ], `Actions for "${search.name}"`);
+  }
+
+  /**
+   * 打开结果的操作菜单
+   * @param {Object} item 书签或保存的搜索结果
+   */
+  showItemActions(item) {
+    if (item.type === 'saved-search') {
+      this.showSavedSearchActions(item);
+    } else {
+      this.showActions(item);
+    }
+  }
+
+  /**
+   * 将保存的搜索填入输入框并搜索
+   * @param {Object} search 保存的搜索
+   */
+  runSavedSearch(search) {
+    this.mode = 'search';
+    this.input.placeholder = PLACEHOLDER;
+    this.input.value = search.query;
+    this.historyIndex = -1;
+    this.handleSearch();
+    this.input.focus();
+  }
+
+  /**
+   * 将当前查询保存为命名搜索
+   */
+  async saveCurrentSearch() {
+    const query = this.input.value.trim();
+    if (!query || query.startsWith('>')) return;
+    
+    this.hide();
+    const saved = await this.app.editSavedSearch({ name: '', query });
+    if (saved) {
+      searchHistory.addRecent(query);
+    }
+  }
+
+  /**
+   * 从搜索历史中调出查询
+   * @param {number} index 历史位置，0 为最近一次
+   * @returns {boolean} 是否调出了查询
+   */
+  recallQuery(index) {
+    const recent = searchHistory.getRecent();
+    if (index < 0 || index >= recent.length) return false;
+    
+    this.historyIndex = index;
+    this.input.value = recent[index];
+    this.handleSearch();
+    this.input.setSelectionRange(this.input.value.length, this.input.value.length);
+    return true;
+  }
+
+  /**
+   * 记录打开结果时的查询，供 ↑ 调出
+   */
+  async rememberQuery() {
+    const query = (this.mode === 'search' ? this.input.value : this.savedQuery).trim();
+    if (query && !query.startsWith('>')) {
+      await searchHistory.addRecent(query);
+    }
+  }
+
+  /**
+   * 复制文本到剪贴板
+   * @param {string} text 文本
+   * @param {string} message 成功提示
+   */
+  async copyText(text, message) {
+    this.hide();
+    try {
+      await navigator.clipboard.writeText(text);
+      this.app.notificationManager.showToast(message);
+    } catch (error) {
+      console.error('Failed to copy to clipboard:', error);
+      this.app.notificationManager.showErrorToast('Failed to copy to clipboard');
+    }
+  }
+
+  /**
+   * 打开编辑对话框
+   * @param {Object} bookmark 书签结果
+   */
+  async editBookmark(bookmark) {
+    this.hide();
+    try {
+      this.app.modalManager.showEditModal(await this.bookmarkManager.getBookmark(bookmark.id));
+    } catch (error) {
+      console.error('Failed to get bookmark:', error);
+      this.app.notificationManager.showErrorToast('Failed to retrieve bookmark information');
+    }
+  }
+
+  /**
+   * 打开删除确认对话框
+   * @param {Object} bookmark 书签结果
+   */
+  async deleteBookmark(bookmark) {
+    this.hide();
+    try {
+      this.app.modalManager.showConfirmModal(await this.bookmarkManager.getBookmark(bookmark.id));
+    } catch (error) {
+      console.error('Failed to get bookmark:', error);
+      this.app.notificationManager.showErrorToast('Failed to retrieve bookmark information');
+    }
+  }
+
+  /**
+   * 将操作菜单中的书签移动到文件夹末尾
+   * @param {Object} folder 文件夹结果
+   */
+  async moveToFolder(folder) {
+    const bookmark = this.actionTarget;
+    this.hide();
+    try {
+      await undoManager.transaction(`Moved "${bookmark.title || bookmark.url}" to ${folder.title}`,
+        tx => tx.move(bookmark.id, { parentId: folder.id }));
+      await this.app.refreshBoard();
+    } catch (error) {
+      console.error('Failed to move bookmark:', error);
+      this.app.notificationManager.showErrorToast('Failed to move bookmark');
+      await this.app.refreshBoard();
+    }
+  }
+
+  /**
+   * 按名称匹配工作区
+   * @param {string} query 小写查询
+   * @returns {Array} 工作区结果
+   */
+  findWorkspaces(query) {
+    if (!this.app || !this.app.workspaceManager) return [];
+    
+    const activeId = this.app.workspaceManager.getActiveWorkspace().id;
+    return this.app.workspaceManager.getWorkspaces()
+      .filter(workspace => workspace.id !== activeId && workspace.name.toLowerCase().includes(query))
+      .map(workspace => ({
+        type: 'workspace',
+        id: workspace.id,
+        title: `Switch workspace: ${workspace.name}`,
+        url: '',
+        path: ['Workspace']
+      }));
+  }
+
+  /**
+   * 按名称匹配保存的搜索
+   * @param {string} query 小写查询，为空时列出全部
+   * @returns {Array} 保存的搜索结果
+   */
+  findSavedSearches(query) {
+    const workspaceId = this.app && this.app.workspaceManager ?
+      this.app.workspaceManager.getActiveWorkspace().id : null;
+    return searchHistory.getSavedSearches()
+      .filter(search => search.name.toLowerCase().includes(query))
+      .map(search => ({
+        type: 'saved-search',
+        id: search.id,
+        title: search.name,
+        url: '',
+        path: [search.pinnedIn.includes(workspaceId) ? 'Saved search · Column on board' : 'Saved search'],
+        search
+      }));
+  }
+
   /**
    * 处理键盘导航
    * @param {KeyboardEvent} e 键盘事件
    */
   handleKeydown(e) {
     if (!this.isVisible) return;
+
+    // 输入后立即按键时先完成搜索，避免作用于旧的结果
+    if (this.searchPending && ['Enter', 'Tab', 'ArrowRight', 'ArrowDown', 'ArrowUp'].includes(e.key)) {
+      this.handleSearch();
+    }
+    
+    const selected = this.selectedIndex >= 0 ? this.filteredBookmarks[this.selectedIndex] : null;
     
     switch (e.key) {
+      case 'Escape':
+        // 菜单中返回搜索结果，而不是关闭面板
+        if (this.mode !== 'search') {
+          e.preventDefault();
+          e.stopPropagation();
+          this.closeMenu();
+        }
+        break;
+        
+      case 'ArrowLeft':
+        if (this.mode !== 'search' && !this.input.value) {
+          e.preventDefault();
+          this.closeMenu();
+        }
+        break;
+        
+      case 'ArrowRight':
+        // 光标在末尾时打开书签或保存的搜索的操作菜单
+        if (this.mode === 'search' && selected && (!selected.type || selected.type === 'saved-search') &&
+            this.input.selectionStart === this.input.value.length) {
+          e.preventDefault();
+          this.showItemActions(selected);
+        }
+        break;
+        
       case 'ArrowDown':
         e.preventDefault();
         this.moveSelection(1);
@@ -264,20 +729,35 @@ export class CommandPalette {
         
       case 'ArrowUp':
         e.preventDefault();
+        // 输入为空，或正在浏览历史且已在第一项时，调出更早的查询
+        if (this.mode === 'search' && (!this.input.value || (this.historyIndex >= 0 && this.selectedIndex <= 0)) &&
+            this.recallQuery(this.historyIndex + 1)) {
+          break;
+        }
         this.moveSelection(-1);
         break;
         
       case 'Enter':
         e.preventDefault();
-        if (this.selectedIndex >= 0) {
-          this.openBookmark(this.filteredBookmarks[this.selectedIndex]);
+        if (selected) {
+          this.openBookmark(selected, this.getDisposition(e));
+        }
+        break;
+        
+      case 's':
+      case 'S':
+        // Ctrl/Cmd + S 保存当前查询（而不是保存布局）
+        if ((e.ctrlKey || e.metaKey) && this.mode === 'search') {
+          e.preventDefault();
+          e.stopPropagation();
+          this.saveCurrentSearch();
         }
         break;
         
       case 'Tab':
         e.preventDefault();
-        if (this.selectedIndex >= 0) {
-          this.locateBookmark(this.filteredBookmarks[this.selectedIndex]);
+        if (selected && !selected.type) {
+          this.locateBookmark(selected);
         }
         break;
     }
@@ -314,9 +794,15 @@ export class CommandPalette {
     this.results.innerHTML = '';
     
     if (this.filteredBookmarks.length === 0) {
-      if (this.input.value.trim()) {
+      if (this.queryError) {
+        const error = createElement('div', 'command-error');
+        error.textContent = this.queryError;
+        this.results.appendChild(error);
+      } else if (this.input.value.trim()) {
         const empty = createElement('div', 'command-empty');
-        empty.textContent = '未找到匹配的书签';
+        const messages = { actions: '未找到匹配的操作', folders: '未找到匹配的文件夹' };
+        empty.textContent = messages[this.mode] ||
+          (this.input.value.trim().startsWith('>') ? '未找到匹配的命令' : '未找到匹配的书签');
         this.results.appendChild(empty);
       }
       return;
@@ -326,25 +812,69 @@ export class CommandPalette {
     
     this.filteredBookmarks.forEach((bookmark, index) => {
       const item = createElement('div', 'command-item');
+      if (bookmark.type === 'workspace') {
+        item.classList.add('command-item-workspace');
+      }
       if (index === this.selectedIndex) {
         item.classList.add('selected');
       }
       
-      const title = createElement('div', 'command-item-title');
-      title.textContent = bookmark.title || '(无标题)';
-      
-      const url = createElement('div', 'command-item-url');
-      url.textContent = bookmark.url;
-      
-      const path = createElement('div', 'command-item-path');
-      path.textContent = bookmark.path.join(' > ') || '书签栏';
+      const highlights = bookmark.highlights || {};
       
+      const title = createElement('div', 'command-item-title');
+      this.appendHighlighted(title, bookmark.title || '(无标题)', bookmark.title ? highlights.title : []);
       item.appendChild(title);
-      item.appendChild(url);
-      item.appendChild(path);
       
-      item.addEventListener('click', () => {
-        this.openBookmark(bookmark);
+      if (bookmark.type === 'command' || bookmark.type === 'action') {
+        // 命令和操作只显示标题和快捷键
+        item.classList.add('command-item-command');
+        if (bookmark.shortcut) {
+          const shortcut = createElement('span', 'command-key');
+          shortcut.textContent = bookmark.shortcut;
+          item.appendChild(shortcut);
+        }
+      } else if (bookmark.type === 'folder') {
+        // 未筛选时按层级缩进，筛选后显示所在路径
+        if (bookmark.indent !== undefined) {
+          item.style.paddingLeft = `${16 + bookmark.indent * 16}px`;
+        } else {
+          const path = createElement('div', 'command-item-path');
+          path.textContent = bookmark.path.join(' > ');
+          item.appendChild(path);
+        }
+      } else if (bookmark.type === 'saved-search') {
+        // 显示查询本身，以及是否固定为看板列
+        const query = createElement('div', 'command-item-url');
+        query.textContent = bookmark.search.query;
+        const path = createElement('div', 'command-item-path');
+        path.textContent = bookmark.path.join(' > ');
+        item.appendChild(query);
+        item.appendChild(path);
+        item.appendChild(this.createActionsButton(bookmark));
+      } else {
+        const url = createElement('div', 'command-item-url');
+        this.appendHighlighted(url, bookmark.url, highlights.url);
+        
+        const path = createElement('div', 'command-item-path');
+        const pathText = bookmark.path.join(' > ');
+        this.appendHighlighted(path, pathText || '书签栏', pathText ? highlights.path : []);
+        
+        item.appendChild(url);
+        if (bookmark.content) {
+          // 页面正文中匹配的片段
+          const snippet = createElement('div', 'command-item-snippet');
+          this.appendHighlighted(snippet, bookmark.content.snippet, bookmark.content.highlights);
+          item.appendChild(snippet);
+        }
+        item.appendChild(path);
+        
+        if (bookmark.type !== 'workspace') {
+          item.appendChild(this.createActionsButton(bookmark));
+        }
+      }
+      
+      item.addEventListener('click', (e) => {
+        this.openBookmark(bookmark, this.getDisposition(e));
       });
       
       item.addEventListener('mousemove', () => {
@@ -359,12 +889,125 @@ export class CommandPalette {
   }
 
   /**
-   * 打开书签
-   * @param {Object} bookmark 书签对象
+   * 创建打开操作菜单的 ⋯ 按钮
+   * @param {Object} bookmark 书签或保存的搜索结果
+   * @returns {HTMLElement} 按钮
    */
-  openBookmark(bookmark) {
-    window.open(bookmark.url, '_blank');
+  createActionsButton(bookmark) {
+    const actionsButton = createElement('button', 'command-item-actions-btn');
+    actionsButton.type = 'button';
+    actionsButton.textContent = '⋯';
+    actionsButton.title = 'More actions (→)';
+    actionsButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.showItemActions(bookmark);
+      this.input.focus();
+    });
+    return actionsButton;
+  }
+
+  /**
+   * 渲染文本并高亮匹配的字符
+   * @param {HTMLElement} element 目标元素
+   * @param {string} text 文本
+   * @param {number[]} indices 匹配字符的位置
+   */
+  appendHighlighted(element, text, indices = []) {
+    const matched = new Set(indices);
+    let i = 0;
+    while (i < text.length) {
+      // 连续的匹配或未匹配字符合并为一段
+      const isMatch = matched.has(i);
+      let j = i;
+      while (j < text.length && matched.has(j) === isMatch) j++;
+      
+      const segment = text.slice(i, j);
+      if (isMatch) {
+        const mark = createElement('mark', 'command-match');
+        mark.textContent = segment;
+        element.appendChild(mark);
+      } else {
+        element.appendChild(document.createTextNode(segment));
+      }
+      i = j;
+    }
+  }
+
+  /**
+   * 根据修饰键决定书签的打开方式
+   * @param {KeyboardEvent|MouseEvent} e 事件
+   * @returns {string} 打开方式
+   */
+  getDisposition(e) {
+    const primary = e.ctrlKey || e.metaKey;
+    if (primary && e.shiftKey) return 'incognito';
+    if (primary) return 'background';
+    if (e.shiftKey) return 'window';
+    if (e.altKey) return 'current';
+    return 'default';
+  }
+
+  /**
+   * 打开选中的结果：书签、命令、工作区、操作或文件夹
+   * @param {Object} bookmark 结果对象
+   * @param {string} disposition 书签打开方式：default（按设置）、new、current、background、window 或 incognito
+   */
+  async openBookmark(bookmark, disposition = 'default') {
+    switch (bookmark.type) {
+      case 'command':
+        this.hide();
+        commandRegistry.execute(bookmark.command);
+        return;
+      case 'workspace':
+        this.rememberQuery();
+        this.app.switchWorkspace(bookmark.id);
+        this.hide();
+        return;
+      case 'action':
+        bookmark.run();
+        return;
+      case 'folder':
+        this.moveToFolder(bookmark);
+        return;
+      case 'saved-search':
+        this.runSavedSearch(bookmark.search);
+        return;
+    }
+    
+    const remembered = this.rememberQuery();
+    
+    if (disposition === 'default') {
+      disposition = this.app.uiManager.bookmarkRenderer.openInNewTab ? 'new' : 'current';
+    }
     this.hide();
+    
+    try {
+      switch (disposition) {
+        case 'current':
+          // 先保存打开记录和查询，再离开当前页面
+          await remembered;
+          await openHistory.record(bookmark);
+          await contentIndex.indexOpened([bookmark]);
+          window.open(bookmark.url, '_self');
+          return;
+        case 'background':
+          await chrome.tabs.create({ url: bookmark.url, active: false });
+          break;
+        case 'window':
+          await chrome.windows.create({ url: bookmark.url });
+          break;
+        case 'incognito':
+          await chrome.windows.create({ url: bookmark.url, incognito: true });
+          break;
+        default:
+          window.open(bookmark.url, '_blank');
+      }
+      openHistory.record(bookmark);
+      contentIndex.indexOpened([bookmark]);
+    } catch (error) {
+      console.error('Failed to open bookmark:', error);
+      this.app.notificationManager.showErrorToast('Failed to open bookmark');
+    }
   }
 
   /**
@@ -0,0 +1,92 @@
+// js/modules/commandRegistry.js
+
+/**
+ * Command Registry
+ * Actions listed by the command palette's ">" mode. Any module can contribute
+ * commands, either as a fixed list or through a provider called each time the
+ * list is shown (for commands that depend on the board, like "Go to column").
+ *
+ * A command is {id, title, category, shortcut, run, when}:
+ * - category groups commands and prefixes the title ("Theme: Dark")
+ * - shortcut is display text only ("Ctrl+S"); binding the key is up to the module
+ * - when, if given, hides the command while it returns false
+ */
+export class CommandRegistry {
+  constructor() {
+    this.commands = new Map();
+    this.providers = new Map();
+  }
+
+  /**
+   * Register commands, replacing any with the same ID
+   * @param {Object|Object[]} commands Command or commands
+   * @returns {Function} Call to unregister them
+   */
+  register(commands) {
+    const list = Array.isArray(commands) ? commands : [commands];
+    list.forEach(command => {
+      if (!command.id || !command.title || typeof command.run !== 'function') {
+        throw new Error(`Invalid command: ${command.id || command.title}`);
+      }
+      this.commands.set(command.id, command);
+    });
+    return () => list.forEach(command => this.commands.delete(command.id));
+  }
+
+  /**
+   * Register a function that lists commands on demand
+   * @param {string} id Provider ID, registering it again replaces the provider
+   * @param {Function} provider Returns an array of commands
+   * @returns {Function} Call to unregister it
+   */
+  registerProvider(id, provider) {
+    this.providers.set(id, provider);
+    return () => this.providers.delete(id);
+  }
+
+  /**
+   * Get every available command, sorted by category then title
+   * @returns {Object[]} Commands
+   */
+  getCommands() {
+    const commands = [...this.commands.values()];
+    this.providers.forEach((provider, id) => {
+      try {
+        commands.push(...provider());
+      } catch (error) {
+        console.error(`Failed to list commands from ${id}:`, error);
+      }
+    });
+
+    return commands
+      .filter(command => !command.when || command.when())
+      .sort((a, b) => (a.category || '').localeCompare(b.category || '') || a.title.localeCompare(b.title));
+  }
+
+  /**
+   * Get the label shown for a command
+   * @param {Object} command Command
+   * @returns {string} "Category: Title", or the title
+   */
+  getLabel(command) {
+    return command.category ? `${command.category}: ${command.title}` : command.title;
+  }
+
+  /**
+   * Run a command
+   * @param {Object} command Command
+   */
+  async execute(command) {
+    try {
+      await command.run();
+    } catch (error) {
+      console.error(`Command failed: ${command.id}`, error);
+      if (window.app && window.app.notificationManager) {
+        window.app.notificationManager.showErrorToast(`${this.getLabel(command)} failed`);
+      }
+    }
+  }
+}
+
+// Export singleton
+export const commandRegistry = new CommandRegistry();
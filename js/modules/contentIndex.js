@@ -0,0 +1,484 @@
+// js/modules/contentIndex.js
+
+/**
+ * Content Index
+ * Optional full-text index of what bookmarked pages say, so the command palette can
+ * find a bookmark by its page's text rather than its title. When turned on, a page is
+ * fetched and its readable text extracted when its bookmark is opened (or for a whole
+ * column on demand), and its words are kept as an inverted index in IndexedDB.
+ *
+ * Fetching pages needs the optional host permission, requested when the index is
+ * turned on. Pages on excluded domains are never fetched, and are dropped from the
+ * index when their domain is excluded. Kept free of DOM APIs so the background
+ * service worker can do the indexing.
+ */
+
+const DB_NAME = 'kanbanmark_content_index';
+const DB_VERSION = 1;
+const PAGES = 'pages';
+const TERMS = 'terms';
+
+const HOST_PERMISSIONS = { origins: ['http://*/*', 'https://*/*'] };
+
+// Keep the index compact: text kept per page (for snippets) and words indexed per page
+const MAX_TEXT_LENGTH = 20000;
+const MAX_TERMS_PER_PAGE = 3000;
+const MAX_HTML_LENGTH = 2 * 1024 * 1024;
+const FETCH_TIMEOUT = 10000;
+
+// Characters of context shown around the first match
+const SNIPPET_BEFORE = 60;
+const SNIPPET_LENGTH = 180;
+
+// Chinese text has no spaces, so runs of Han characters are indexed as overlapping pairs
+const WORD = /\p{Script=Han}+|(?:[^\P{L}\p{Script=Han}]|\p{N})+/gu;
+const HAN = /\p{Script=Han}/u;
+
+// Elements whose text isn't part of the page's content
+const SKIPPED_ELEMENTS = ['head', 'script', 'style', 'noscript', 'template', 'svg', 'nav', 'header', 'footer', 'aside', 'form'];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…', laquo: '«', raquo: '»', copy: '©' };
+
+/**
+ * Decode HTML character references
+ * @param {string} text Text with entities
+ * @returns {string} Decoded text
+ */
+const decodeEntities = (text) => text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+  if (name[0] === '#') {
+    const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  }
+  return ENTITIES[name.toLowerCase()] || match;
+});
+
+/**
+ * Extract the title and readable text of an HTML page. Uses the page's <article> or
+ * <main> when it has one, and drops scripts, navigation, headers and footers.
+ * @param {string} html Page HTML
+ * @returns {{title: string, text: string}} Page title and text
+ */
+export const extractText = (html) => {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const title = titleMatch ? decodeEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : '';
+
+  let body = html.replace(/<!--[\s\S]*?-->/g, ' ');
+  SKIPPED_ELEMENTS.forEach(tag => {
+    body = body.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}>`, 'gi'), ' ');
+  });
+
+  const main = body.match(/<(article|main)\b[^>]*>([\s\S]*)<\/\1>/i);
+  if (main) {
+    body = main[2];
+  }
+
+  // Tags become spaces so words in neighbouring elements don't run together
+  const text = decodeEntities(body.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+  return { title, text };
+};
+
+/**
+ * Split text into index terms: lowercase words, with Han runs cut into overlapping pairs
+ * @param {string} text Text
+ * @returns {string[]} Terms, in order, with repeats
+ */
+export const tokenize = (text) => {
+  const terms = [];
+  (text.toLowerCase().match(WORD) || []).forEach(word => {
+    if (HAN.test(word)) {
+      if (word.length === 1) {
+        terms.push(word);
+      }
+      for (let i = 0; i + 1 < word.length; i++) {
+        terms.push(word.slice(i, i + 2));
+      }
+    } else if (word.length > 1 && word.length <= 40) {
+      terms.push(word);
+    }
+  });
+  return terms;
+};
+
+/**
+ * Check whether a URL is on one of the excluded domains or a subdomain of one
+ * @param {string} url Page URL
+ * @param {string[]} domains Excluded domains
+ * @returns {boolean} True if the page must not be fetched
+ */
+export const isExcludedUrl = (url, domains) => {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return true;
+  }
+  return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+};
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request Request
+ * @returns {Promise<*>} Request result
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export class ContentIndex {
+  constructor() {
+    this.STORAGE_KEY = 'content_index_settings';
+    this.database = null;
+  }
+
+  /**
+   * Get the index settings
+   * @returns {Promise<{enabled: boolean, excludedDomains: string[]}>} Settings
+   */
+  async getSettings() {
+    const settings = await new Promise((resolve) => {
+      chrome.storage.local.get([this.STORAGE_KEY], (result) => {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to load content index settings:', chrome.runtime.lastError);
+          resolve({});
+        } else {
+          resolve(result[this.STORAGE_KEY] || {});
+        }
+      });
+    });
+    return {
+      enabled: settings.enabled === true,
+      excludedDomains: settings.excludedDomains || []
+    };
+  }
+
+  /**
+   * Update the index settings
+   * @param {Object} changes Settings to change {enabled, excludedDomains}
+   */
+  async saveSettings(changes) {
+    const settings = { ...(await this.getSettings()), ...changes };
+    await new Promise((resolve, reject) => {
+      chrome.storage.local.set({ [this.STORAGE_KEY]: settings }, () => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Turn indexing on or off. Turning it on asks for permission to fetch pages, so it
+   * must be called from a user gesture; turning it off gives the permission back.
+   * @param {boolean} enabled Whether to index pages
+   * @returns {Promise<boolean>} Whether indexing is on afterwards
+   */
+  async setEnabled(enabled) {
+    if (enabled) {
+      const granted = await chrome.permissions.request(HOST_PERMISSIONS);
+      if (!granted) return false;
+    } else {
+      await chrome.permissions.remove(HOST_PERMISSIONS);
+    }
+    await this.saveSettings({ enabled });
+    return enabled;
+  }
+
+  /**
+   * Set the domains whose pages are never fetched, and drop their pages already indexed
+   * @param {string} text Domains, separated by lines, spaces or commas
+   * @returns {Promise<string[]>} Saved domains
+   */
+  async setExcludedDomains(text) {
+    const domains = [...new Set(text.split(/[\s,]+/)
+      .map(domain => domain.trim().toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/[/:].*$/, '')
+        .replace(/^www\./, ''))
+      .filter(Boolean))];
+    await this.saveSettings({ excludedDomains: domains });
+    await this.removeExcluded(domains);
+    return domains;
+  }
+
+  /**
+   * Remove the indexed pages on excluded domains
+   * @param {string[]} domains Excluded domains
+   */
+  async removeExcluded(domains) {
+    if (domains.length === 0) return;
+    const pages = await this.transaction('readonly', pageStore => promisify(pageStore.getAll()));
+    for (const page of pages) {
+      if (isExcludedUrl(page.url, domains)) {
+        await this.remove(page.id);
+      }
+    }
+  }
+
+  /**
+   * Check whether anything was ever indexed, without creating the database
+   * @returns {Promise<boolean>} True if the index database exists
+   */
+  async exists() {
+    if (this.database) return true;
+    const databases = await indexedDB.databases();
+    return databases.some(database => database.name === DB_NAME);
+  }
+
+  /**
+   * Open the index database, creating it on first use
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  openDatabase() {
+    if (!this.database) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        // pages: {id, url, title, text, terms, indexedAt}; terms: {term, ids}
+        request.result.createObjectStore(PAGES, { keyPath: 'id' });
+        request.result.createObjectStore(TERMS, { keyPath: 'term' });
+      };
+      this.database = promisify(request).catch(error => {
+        this.database = null;
+        throw error;
+      });
+    }
+    return this.database;
+  }
+
+  /**
+   * Run a transaction over the index stores
+   * @param {string} mode 'readonly' or 'readwrite'
+   * @param {Function} callback Called with the pages and terms stores
+   * @returns {Promise<*>} Callback result, once the transaction completes
+   */
+  async transaction(mode, callback) {
+    const db = await this.openDatabase();
+    const tx = db.transaction([PAGES, TERMS], mode);
+    const result = callback(tx.objectStore(PAGES), tx.objectStore(TERMS));
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+    return result;
+  }
+
+  /**
+   * Fetch a page and extract its text
+   * @param {string} url Page URL
+   * @returns {Promise<{title: string, text: string}>} Page title and text
+   */
+  async fetchPage(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+    try {
+      const response = await fetch(url, { credentials: 'omit', signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const type = response.headers.get('content-type') || '';
+      if (!/html|text\/plain/i.test(type)) {
+        throw new Error(`Unsupported content type ${type}`);
+      }
+      const body = (await response.text()).slice(0, MAX_HTML_LENGTH);
+      return /html/i.test(type) ? extractText(body) : { title: '', text: body.replace(/\s+/g, ' ').trim() };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Fetch and index bookmarked pages, one at a time. Does nothing while indexing is off.
+   * @param {Array<{id: string, url: string}>} bookmarks Bookmarks
+   * @returns {Promise<{indexed: number, skipped: number, failed: number}>} Outcome counts
+   */
+  async indexBookmarks(bookmarks) {
+    const outcome = { indexed: 0, skipped: 0, failed: 0 };
+    const settings = await this.getSettings();
+    if (!settings.enabled || !(await chrome.permissions.contains(HOST_PERMISSIONS))) {
+      outcome.skipped = bookmarks.length;
+      return outcome;
+    }
+
+    for (const bookmark of bookmarks) {
+      if (!/^https?:/i.test(bookmark.url) || isExcludedUrl(bookmark.url, settings.excludedDomains)) {
+        outcome.skipped++;
+        continue;
+      }
+      try {
+        const page = await this.fetchPage(bookmark.url);
+        await this.storePage({ id: bookmark.id, url: bookmark.url, ...page });
+        outcome.indexed++;
+      } catch (error) {
+        console.warn(`Failed to index ${bookmark.url}:`, error.message);
+        outcome.failed++;
+      }
+    }
+    return outcome;
+  }
+
+  /**
+   * Ask the background service worker to index bookmarked pages, so indexing goes on
+   * after the board navigates away
+   * @param {Array<{id: string, url: string}>} bookmarks Bookmarks
+   * @returns {Promise<{indexed: number, skipped: number, failed: number}>} Outcome counts
+   */
+  requestIndexing(bookmarks) {
+    return chrome.runtime.sendMessage({
+      type: 'INDEX_PAGES',
+      bookmarks: bookmarks.map(({ id, url }) => ({ id, url }))
+    });
+  }
+
+  /**
+   * Index the pages of bookmarks just opened, if indexing is on. Resolves once the
+   * request is sent, without waiting for the pages to be fetched.
+   * @param {Array<{id: string, url: string}>} bookmarks Opened bookmarks
+   */
+  async indexOpened(bookmarks) {
+    if (!(await this.getSettings()).enabled) return;
+    this.requestIndexing(bookmarks).catch(error => {
+      console.error('Failed to index opened pages:', error);
+    });
+  }
+
+  /**
+   * Store a page and update the term lists for the words it gained or lost
+   * @param {Object} page Page {id, url, title, text}
+   */
+  async storePage(page) {
+    const text = page.text.slice(0, MAX_TEXT_LENGTH);
+    const terms = [...new Set(tokenize(`${page.title} ${text}`))].slice(0, MAX_TERMS_PER_PAGE);
+
+    await this.transaction('readwrite', (pages, termStore) => {
+      promisify(pages.get(page.id)).then(previous => {
+        const before = new Set(previous ? previous.terms : []);
+        const after = new Set(terms);
+
+        before.forEach(term => {
+          if (after.has(term)) return;
+          promisify(termStore.get(term)).then(record => {
+            if (!record) return;
+            record.ids = record.ids.filter(id => id !== page.id);
+            if (record.ids.length > 0) {
+              termStore.put(record);
+            } else {
+              termStore.delete(term);
+            }
+          });
+        });
+
+        after.forEach(term => {
+          if (before.has(term)) return;
+          promisify(termStore.get(term)).then(record => {
+            termStore.put({ term, ids: record ? [...record.ids, page.id] : [page.id] });
+          });
+        });
+
+        pages.put({ id: page.id, url: page.url, title: page.title, text, terms, indexedAt: Date.now() });
+      });
+    });
+  }
+
+  /**
+   * Remove a page from the index
+   * @param {string} id Bookmark ID
+   */
+  async remove(id) {
+    // Storing it without text takes it out of every term list
+    await this.storePage({ id, url: '', title: '', text: '' });
+    await this.transaction('readwrite', pages => pages.delete(id));
+  }
+
+  /**
+   * Find the pages containing every word of the search terms
+   * @param {string[]} terms Lowercase search terms or phrases
+   * @param {number} limit Maximum number of pages
+   * @returns {Promise<Map<string, {snippet: string, highlights: number[]}>>} Bookmark ID ->
+   *   a snippet of the text around the first match, with matched positions for highlighting
+   */
+  async search(terms, limit = 50) {
+    const words = [...new Set(terms.flatMap(term => tokenize(term)))];
+    const matches = new Map();
+    if (words.length === 0) return matches;
+
+    // Pages indexed before their domain was excluded may still be stored
+    const { excludedDomains } = await this.getSettings();
+
+    const pages = await this.transaction('readonly', async (pageStore, termStore) => {
+      // Each word matches as a prefix ("rus" finds "rust"); a page must contain them all
+      let ids = null;
+      for (const word of words) {
+        const range = IDBKeyRange.bound(word, `${word}\uffff`);
+        const records = await promisify(termStore.getAll(range));
+        const found = new Set(records.flatMap(record => record.ids));
+        ids = ids ? new Set([...ids].filter(id => found.has(id))) : found;
+        if (ids.size === 0) return [];
+      }
+      return Promise.all([...ids].slice(0, limit).map(id => promisify(pageStore.get(id))));
+    });
+
+    pages.filter(page => page && !isExcludedUrl(page.url, excludedDomains)).forEach(page => {
+      matches.set(page.id, this.buildSnippet(page.text, terms));
+    });
+    return matches;
+  }
+
+  /**
+   * Cut the text around the first occurrence of a search term
+   * @param {string} text Page text
+   * @param {string[]} terms Lowercase search terms
+   * @returns {{snippet: string, highlights: number[]}} Snippet and matched positions in it
+   */
+  buildSnippet(text, terms) {
+    const lower = text.toLowerCase();
+    const first = Math.min(...terms.map(term => lower.indexOf(term)).filter(index => index >= 0), Infinity);
+    let start = first === Infinity ? 0 : Math.max(0, first - SNIPPET_BEFORE);
+    // Start at a word boundary
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      start = space >= 0 && space < first ? space + 1 : start;
+    }
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+    const prefix = start > 0 ? '…' : '';
+    const snippet = `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+    const highlights = [];
+    const snippetLower = snippet.toLowerCase();
+    terms.forEach(term => {
+      let index = snippetLower.indexOf(term);
+      while (term && index >= 0) {
+        for (let i = 0; i < term.length; i++) {
+          highlights.push(index + i);
+        }
+        index = snippetLower.indexOf(term, index + term.length);
+      }
+    });
+    return { snippet, highlights };
+  }
+
+  /**
+   * Count the indexed pages
+   * @returns {Promise<number>} Number of pages
+   */
+  async count() {
+    return this.transaction('readonly', pages => promisify(pages.count()));
+  }
+
+  /**
+   * Delete everything in the index
+   */
+  async clear() {
+    await this.transaction('readwrite', (pages, terms) => {
+      pages.clear();
+      terms.clear();
+    });
+  }
+}
+
+// Export singleton
+export const contentIndex = new ContentIndex();
@@ -1,5 +1,7 @@
 // js/modules/dragManager.js
 import { storageManager } from './storageManager.js';
+import { createElement, getDomain } from './utils.js';
+import { undoManager } from './undoManager.js';
 
 export class DragManager {
   constructor(bookmarkManager, uiManager) {
@@ -9,6 +11,97 @@ export class DragManager {
     this.dragTimeout = null;
     this.longPressDelay = 300; // Reduce long press delay time to increase responsiveness
     this.isDragging = false; // Add dragging state flag
+    this.dropIndicator = null;
+    this.externalDropBound = false;
+    this.smartColumnDropListener = null;
+    this.selectionProvider = null;
+    this.boardRefreshListener = null;
+    this.savedOrders = null; // Bookmark order this tab last saved
+  }
+
+  /**
+   * Set where the multi-selection of cards comes from
+   * @param {Function} provider Returns the selected bookmark IDs in board order
+   */
+  setSelectionProvider(provider) {
+    this.selectionProvider = provider;
+  }
+
+  /**
+   * Get the cards a drag carries: the dragged card, or the whole selection if it is selected
+   * @param {HTMLElement} item Dragged bookmark item
+   * @returns {HTMLElement[]} Bookmark items in board order
+   */
+  getDraggedItems(item) {
+    const id = item.dataset.bookmarkId;
+    const selectedIds = this.selectionProvider ? this.selectionProvider() : [];
+    if (selectedIds.length < 2 || !selectedIds.includes(id)) {
+      return [item];
+    }
+
+    // Prefer the card in its folder's column over copies in smart and recent columns
+    const findCard = selectedId =>
+      document.querySelector(`.kanban-column:not(.smart-column):not(.recent-column) .bookmark-item[data-bookmark-id="${selectedId}"]`) ||
+      document.querySelector(`.bookmark-item[data-bookmark-id="${selectedId}"]`);
+    return selectedIds
+      .map(selectedId => (selectedId === id ? item : findCard(selectedId)))
+      .filter(Boolean);
+  }
+
+  /**
+   * Show on a grabbed selected card how many cards it carries, and dim the others
+   * @param {HTMLElement} item Grabbed bookmark item
+   */
+  markDraggedItems(item) {
+    const items = this.getDraggedItems(item);
+    if (items.length < 2) return;
+    item.dataset.dragCount = items.length;
+    items.forEach(other => {
+      if (other !== item) other.classList.add('bookmark-drag-along');
+    });
+  }
+
+  /**
+   * Remove the marks added by markDraggedItems
+   */
+  clearDraggedItems() {
+    document.querySelectorAll('.bookmark-item[data-drag-count]').forEach(item => {
+      delete item.dataset.dragCount;
+    });
+    document.querySelectorAll('.bookmark-drag-along').forEach(item => {
+      item.classList.remove('bookmark-drag-along');
+    });
+  }
+
+  /**
+   * Put the other selected cards next to the dropped one, keeping their board order
+   * @param {HTMLElement} dropped Dropped bookmark item
+   * @param {HTMLElement[]} items Dragged items in board order, including the dropped one
+   */
+  gatherItems(dropped, items) {
+    const index = items.indexOf(dropped);
+    items.slice(0, index).forEach(item => dropped.before(item));
+    let previous = dropped;
+    items.slice(index + 1).forEach(item => {
+      previous.after(item);
+      previous = item;
+    });
+  }
+
+  /**
+   * Set the callback run when cards are dropped into a smart column
+   * @param {Function} callback Called with the saved search ID and the dropped bookmark IDs
+   */
+  setSmartColumnDropListener(callback) {
+    this.smartColumnDropListener = callback;
+  }
+
+  /**
+   * Set the callback that re-renders the whole board
+   * @param {Function} callback Callback function
+   */
+  setBoardRefreshListener(callback) {
+    this.boardRefreshListener = callback;
   }
 
   /**
@@ -24,6 +117,247 @@ export class DragManager {
       this.initializeColumnDrag();
       this.initializeBookmarkDrag();
     }, 100);
+
+    this.initializeExternalDrop();
+  }
+
+  /**
+   * Initialize dropping links from other windows and pasting URLs into a focused column
+   * Listeners live on the document, so they survive board re-renders and are bound once
+   */
+  initializeExternalDrop() {
+    if (this.externalDropBound) return;
+    this.externalDropBound = true;
+
+    document.addEventListener('dragover', (e) => this.handleExternalDragOver(e));
+    document.addEventListener('dragleave', (e) => {
+      // Leaving the window
+      if (!e.relatedTarget) {
+        this.clearDropIndicator();
+      }
+    });
+    document.addEventListener('drop', (e) => this.handleExternalDrop(e));
+    document.addEventListener('paste', (e) => this.handlePaste(e));
+  }
+
+  /**
+   * Check whether a native drag carries links from outside the board
+   * @param {DragEvent} e Drag event
+   * @returns {boolean} True for external link drags
+   */
+  isExternalLinkDrag(e) {
+    if (this.isDragging || !e.dataTransfer) return false;
+    const types = Array.from(e.dataTransfer.types);
+    return types.includes('text/uri-list') || types.includes('text/plain');
+  }
+
+  /**
+   * Get the list under the pointer that a link would be dropped into
+   * @param {EventTarget} target Event target
+   * @returns {HTMLElement|null} Bookmark list or subfolder items element
+   */
+  getDropList(target) {
+    if (!(target instanceof Element)) return null;
+
+    // Smart and recent columns have no folder to create bookmarks in
+    if (target.closest('.smart-column, .recent-column')) return null;
+
+    // Hovering a collapsed group's title drops into that group
+    const title = target.closest('.subfolder-title');
+    if (title) {
+      return title.parentElement.querySelector(':scope > .subfolder-items');
+    }
+
+    const list = target.closest('.subfolder-items, .bookmark-list');
+    if (list) return list;
+
+    const column = target.closest('.kanban-column');
+    return column ? column.querySelector('.bookmark-list') : null;
+  }
+
+  /**
+   * Find the bookmark item a drop at the pointer position should go before
+   * @param {HTMLElement} list Target list
+   * @param {number} clientY Pointer Y position
+   * @returns {HTMLElement|null} Bookmark item to insert before, or null to append
+   */
+  getDropReference(list, clientY) {
+    const items = list.querySelectorAll(':scope > .bookmark-item');
+    for (const item of items) {
+      const rect = item.getBoundingClientRect();
+      if (clientY < rect.top + rect.height / 2) {
+        return item;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Show where an external drop will land
+   * @param {DragEvent} e Drag event
+   */
+  handleExternalDragOver(e) {
+    if (!this.isExternalLinkDrag(e)) return;
+
+    const list = this.getDropList(e.target);
+    if (!list) {
+      this.clearDropIndicator();
+      return;
+    }
+
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+
+    if (!this.dropIndicator) {
+      this.dropIndicator = createElement('div', 'drop-indicator');
+    }
+    const reference = this.getDropReference(list, e.clientY);
+    list.insertBefore(this.dropIndicator, reference || list.querySelector(':scope > .subfolder-group'));
+  }
+
+  /**
+   * Remove the drop position indicator
+   */
+  clearDropIndicator() {
+    if (this.dropIndicator) {
+      this.dropIndicator.remove();
+    }
+  }
+
+  /**
+   * Create bookmarks for links dropped onto a column
+   * @param {DragEvent} e Drop event
+   */
+  async handleExternalDrop(e) {
+    if (!this.isExternalLinkDrag(e)) return;
+
+    const list = this.getDropList(e.target);
+    this.clearDropIndicator();
+    if (!list) return;
+
+    e.preventDefault();
+    const links = this.extractLinks(e.dataTransfer);
+    if (links.length === 0) {
+      this.uiManager.notificationService.showToast('No URL found in the dropped content', 'info');
+      return;
+    }
+
+    await this.createBookmarksInList(links, list, this.getDropReference(list, e.clientY));
+  }
+
+  /**
+   * Create bookmarks for URLs pasted while a column is focused
+   * @param {ClipboardEvent} e Paste event
+   */
+  async handlePaste(e) {
+    const active = document.activeElement;
+    if (!active || !active.classList.contains('kanban-column')) return;
+
+    const links = this.extractLinks(e.clipboardData);
+    if (links.length === 0) return;
+
+    e.preventDefault();
+    await this.createBookmarksInList(links, active.querySelector('.bookmark-list'), null);
+  }
+
+  /**
+   * Extract links and their titles from drag or clipboard data
+   * @param {DataTransfer} data Drag or clipboard data
+   * @returns {Array} Links [{url, title}]
+   */
+  extractLinks(data) {
+    if (!data) return [];
+
+    // Link titles from HTML anchors, when the source provides them
+    const titles = new Map();
+    const html = data.getData('text/html');
+    if (html) {
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      doc.querySelectorAll('a[href]').forEach(anchor => {
+        const text = anchor.textContent.trim();
+        if (text && !titles.has(anchor.href)) {
+          titles.set(anchor.href, text);
+        }
+      });
+    }
+
+    // text/uri-list has one URL per line, lines starting with # are comments
+    const uriList = data.getData('text/uri-list');
+    const candidates = uriList ?
+      uriList.split(/\r?\n/).filter(line => line && !line.startsWith('#')) :
+      data.getData('text/plain').split(/\s+/);
+
+    const links = [];
+    candidates.forEach(candidate => {
+      const url = this.normalizeUrl(candidate.trim());
+      if (url && !links.some(link => link.url === url)) {
+        links.push({ url, title: titles.get(url) || '' });
+      }
+    });
+
+    // A single plain-text link dragged with its label, e.g. "Title\nhttps://..."
+    if (links.length === 1 && !links[0].title && !uriList) {
+      const text = data.getData('text/plain').trim();
+      const label = text.split(/\r?\n/).find(line => !this.normalizeUrl(line.trim()));
+      if (label) links[0].title = label.trim();
+    }
+
+    return links;
+  }
+
+  /**
+   * Validate a dropped or pasted URL
+   * @param {string} text Candidate URL
+   * @returns {string|null} Normalized URL, or null if it is not a web URL
+   */
+  normalizeUrl(text) {
+    if (!text) return null;
+    try {
+      const url = new URL(text);
+      return ['http:', 'https:', 'ftp:', 'file:'].includes(url.protocol) ? url.href : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Create bookmarks in the folder behind a list and insert their cards
+   * @param {Array} links Links [{url, title}]
+   * @param {HTMLElement} list Bookmark list or subfolder items element
+   * @param {HTMLElement|null} reference Bookmark item to insert before, or null to append
+   */
+  async createBookmarksInList(links, list, reference) {
+    const parentId = this.getListFolderId(list);
+
+    try {
+      // Place the new bookmarks before the reference bookmark in Chrome as well
+      let index;
+      if (reference) {
+        const referenceBookmark = await this.bookmarkManager.getBookmark(reference.dataset.bookmarkId);
+        index = referenceBookmark.index;
+      }
+
+      const insertBefore = reference || list.querySelector(':scope > .subfolder-group');
+      const label = links.length === 1 ? 'Bookmark added' : `${links.length} bookmarks added`;
+      await undoManager.transaction(label, async tx => {
+        for (const link of links) {
+          const bookmark = { parentId, title: link.title || getDomain(link.url) || link.url, url: link.url };
+          if (index !== undefined) {
+            bookmark.index = index++;
+          }
+
+          const created = await tx.create(bookmark);
+          const item = this.uiManager.bookmarkRenderer.createBookmarkItem(created);
+          list.insertBefore(item, insertBefore);
+        }
+      });
+
+      this.refreshCounts(list);
+      await this.saveBookmarkOrder();
+    } catch (error) {
+      console.error('Failed to create bookmarks from drop:', error);
+      this.uiManager.notificationService.showToast('Failed to add bookmark', 'error');
+    }
   }
 
   /**
@@ -59,6 +393,10 @@ export class DragManager {
         ghostClass: 'column-ghost',
         chosenClass: 'column-chosen',
         dragClass: 'column-drag',
+        filter: '.column-menu-btn, .column-menu, .column-open-btn',
+        preventOnFilter: false,
+        onMove: (evt) => !evt.related.classList.contains('add-column-tile') &&
+          !evt.related.classList.contains('trash-column'),
         onStart: () => {
           this.isDragging = true;
         },
@@ -81,60 +419,79 @@ export class DragManager {
    * Initialize bookmark drag
    */
   initializeBookmarkDrag() {
-    // Initialize drag for each bookmark list
-    const bookmarkLists = document.querySelectorAll('.bookmark-list');
+    // Initialize drag for each bookmark list and for subfolder groups at any depth
+    const bookmarkLists = document.querySelectorAll('.bookmark-list, .subfolder-items');
     bookmarkLists.forEach(list => {
+      // Smart columns list search results: dragging a card out to a folder moves the
+      // bookmark there while the column keeps listing it, and cards dropped in get the
+      // column's rule applied instead of being moved. Recent columns are dragged from the
+      // same way, but take no drops
+      const isSmart = Boolean(list.closest('.smart-column'));
+      const isRecent = Boolean(list.closest('.recent-column'));
+      let group = 'bookmarks'; // Allow dragging between columns
+      if (isSmart || isRecent) {
+        group = { name: 'bookmarks', pull: 'clone', put: !isRecent };
+      }
       const instance = Sortable.create(list, {
         animation: 150,
-        group: 'bookmarks', // Allow dragging between columns
+        group,
+        sort: !isSmart && !isRecent,
         draggable: '.bookmark-item',
         ghostClass: 'bookmark-ghost',
         chosenClass: 'bookmark-chosen',
         dragClass: 'bookmark-drag',
+        // Selection is owned by SelectionManager rather than MultiDrag: Sortable.utils.select
+        // clears MultiDrag's selection whenever a card in another list is selected, so a
+        // selection spanning columns can't be mirrored into it. The dragged card shows how
+        // many cards it carries, and the others join it on drop
+        onChoose: (evt) => this.markDraggedItems(evt.item),
+        onUnchoose: () => this.clearDraggedItems(),
         onStart: () => {
           this.isDragging = true;
         },
         onEnd: async (evt) => {
           this.isDragging = false;
-          if (evt.from !== evt.to) {
-            // Handle cross-column movement
+          const smartColumn = evt.to.closest('.smart-column');
+          if (smartColumn && evt.from !== evt.to) {
+            // The board is re-rendered afterwards, which puts the dragged cards back
+            const items = this.getDraggedItems(evt.item);
+            if (this.smartColumnDropListener) {
+              await this.smartColumnDropListener(smartColumn.dataset.searchId, items.map(item => item.dataset.bookmarkId));
+            }
+            return;
+          }
+          const items = this.getDraggedItems(evt.item);
+          if (items.length > 1) {
+            // Dragged a multi-selection, possibly from several lists: bring it together
+            this.gatherItems(evt.item, items);
+            await this.handleMultiBookmarkMove(items);
+            document.querySelectorAll('.kanban-column').forEach(column => {
+              this.uiManager.columnManager.refreshColumnCounts(column);
+            });
+          } else if (evt.from !== evt.to) {
+            // Handle cross-column and cross-subfolder movement
             await this.handleBookmarkMove(evt);
+            this.refreshCounts(evt.from, evt.to);
           }
-          // Save all bookmark orders
-          this.saveBookmarkOrder();
-        }
-      });
-      
-      // Save instance for later cleanup
-      const folderId = list.closest('.kanban-column').dataset.folderId;
-      if (folderId) {
-        this.sortableInstances.set(`list-${folderId}`, instance);
-      }
-    });
 
-    // Initialize drag for subfolders as well
-    const subfolderGroups = document.querySelectorAll('.subfolder-group');
-    subfolderGroups.forEach(group => {
-      const instance = Sortable.create(group, {
-        animation: 150,
-        group: 'bookmarks',
-        draggable: '.bookmark-item',
-        ghostClass: 'bookmark-ghost',
-        chosenClass: 'bookmark-chosen',
-        dragClass: 'bookmark-drag',
-        onEnd: () => {
+          // Sortable left a clone in the smart or recent column, but the bookmark's card
+          // is still in its old folder: re-render, which also saves the orders
+          if (evt.from !== evt.to && evt.from.closest('.smart-column, .recent-column') && this.boardRefreshListener) {
+            await this.boardRefreshListener();
+            return;
+          }
           // Save all bookmark orders
           this.saveBookmarkOrder();
         }
       });
       
-      // Can save subfolder drag instance if needed
-      const parentFolderId = group.closest('.kanban-column').dataset.folderId;
-      if (parentFolderId) {
-        const subfolderId = group.querySelector('.subfolder-title')?.textContent;
-        if (subfolderId) {
-          this.sortableInstances.set(`subfolder-${parentFolderId}-${subfolderId}`, instance);
-        }
+      // Save instance for later cleanup
+      const subfolderGroup = list.closest('.subfolder-group');
+      const column = list.closest('.kanban-column');
+      const listId = subfolderGroup ? subfolderGroup.dataset.folderId :
+        column.dataset.folderId || column.dataset.searchId || column.dataset.recentKind;
+      if (listId) {
+        this.sortableInstances.set(`list-${listId}`, instance);
       }
     });
   }
@@ -147,31 +504,71 @@ export class DragManager {
   async handleBookmarkMove(evt) {
     try {
       const bookmarkId = evt.item.dataset.bookmarkId;
-      const targetColumn = evt.to.closest('.kanban-column');
-      let newFolderId;
-      
-      // Handle special column types
-      if (targetColumn.dataset.columnType === 'uncategorized') {
-        // Move to bookmarks bar (id: '1') when moving to uncategorized
-        newFolderId = '1'; 
-      } else {
-        newFolderId = targetColumn.dataset.folderId;
-      }
+      const newFolderId = this.getListFolderId(evt.to);
       
       // Get new position index
       const newIndex = Array.from(evt.to.children).indexOf(evt.item);
       
       // Move bookmark
-      await this.bookmarkManager.moveBookmark(bookmarkId, {
+      await undoManager.transaction('Bookmark moved', tx => tx.move(bookmarkId, {
         parentId: newFolderId,
         index: newIndex
-      });
+      }));
     } catch (error) {
       console.error('Failed to move bookmark:', error);
       // May need to rollback UI or show error message
     }
   }
 
+  /**
+   * Handle movement of several selected bookmarks dropped together
+   * @param {Array} items Moved bookmark item elements
+   */
+  async handleMultiBookmarkMove(items) {
+    try {
+      await undoManager.transaction(`${items.length} bookmarks moved`, async tx => {
+        for (const item of items) {
+          const list = item.parentElement;
+          await tx.move(item.dataset.bookmarkId, {
+            parentId: this.getListFolderId(list),
+            index: Array.from(list.children).indexOf(item)
+          });
+        }
+      });
+    } catch (error) {
+      console.error('Failed to move bookmarks:', error);
+    }
+  }
+
+  /**
+   * Get the folder a bookmark list or subfolder group belongs to
+   * @param {HTMLElement} list Bookmark list or subfolder items element
+   * @returns {string} Folder ID
+   */
+  getListFolderId(list) {
+    const group = list.closest('.subfolder-group');
+    if (group) {
+      // Dropped into a subfolder group
+      return group.dataset.folderId;
+    }
+
+    const column = list.closest('.kanban-column');
+    if (column.dataset.columnType === 'uncategorized') {
+      // Move to bookmarks bar (id: '1') when moving to uncategorized
+      return storageManager.SPECIAL_COLUMNS.BOOKMARKS_BAR;
+    }
+    return column.dataset.folderId;
+  }
+
+  /**
+   * Refresh bookmark counts of the columns involved in a move
+   * @param {...HTMLElement} lists Source and target lists
+   */
+  refreshCounts(...lists) {
+    const columns = new Set(lists.map(list => list.closest('.kanban-column')).filter(Boolean));
+    columns.forEach(column => this.uiManager.columnManager.refreshColumnCounts(column));
+  }
+
   /**
    * Save column order
    */
@@ -179,17 +576,49 @@ export class DragManager {
     const columns = document.querySelectorAll('.kanban-board > .kanban-column');
     if (columns.length === 0) return;
     
-    // Use storageManager to save column order
-    storageManager.saveColumnOrder(columns);
+    // Use storageManager to save column order for the current board root
+    storageManager.saveColumnOrder(columns, this.uiManager.getBoardRoot());
   }
 
   /**
    * Save bookmark order
    */
-  saveBookmarkOrder() {
-    // Use storageManager to collect and save bookmark order
+  async saveBookmarkOrder() {
+    // Use storageManager to collect bookmark order. Only the folders whose order changed
+    // in this tab are written over the stored order, so a board open in another tab
+    // doesn't put back an order from before it was changed here, and folders that are
+    // not on the current (possibly drilled-down) board keep their order
     const bookmarkOrders = storageManager.collectBookmarkOrderFromDOM();
-    storageManager.saveBookmarkOrder(bookmarkOrders);
+    const changed = Object.keys(bookmarkOrders).filter(key =>
+      !this.savedOrders || String(this.savedOrders[key]) !== String(bookmarkOrders[key]));
+    this.savedOrders = bookmarkOrders;
+
+    const folderIds = new Set((await this.bookmarkManager.getFolders()).map(folder => folder.id));
+    const orders = { ...(await storageManager.getBookmarkOrder()) };
+    changed.forEach(key => {
+      orders[key] = bookmarkOrders[key];
+    });
+
+    Object.keys(orders).forEach(key => {
+      // Subfolder orders used to be kept under "subfolder-<id>"
+      if (key.startsWith('subfolder-')) {
+        const folderId = key.slice('subfolder-'.length);
+        if (!orders[folderId]) {
+          orders[folderId] = orders[key];
+        }
+        delete orders[key];
+      }
+    });
+
+    // Drop the order of folders that have since been deleted
+    if (folderIds.size > 0) {
+      Object.keys(orders).forEach(key => {
+        if (key !== storageManager.SPECIAL_COLUMNS.UNCATEGORIZED && !folderIds.has(key)) {
+          delete orders[key];
+        }
+      });
+    }
+    storageManager.saveBookmarkOrder(orders);
   }
 
   /**
@@ -1,3 +1,5 @@
+import { commandRegistry } from './commandRegistry.js';
+
 export class EventManager {
   constructor(app) {
     this.app = app;
@@ -33,6 +35,85 @@ export class EventManager {
         return;
       }
       
+      // 处理标签管理按钮（标签过滤栏和设置）
+      if (target.closest('.tag-filter-manage, #manage-tags')) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.app.modalManager.showTagManagerModal();
+        return;
+      }
+      
+      // 处理列操作菜单
+      const menuButton = target.closest('.column-menu-btn');
+      if (menuButton) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.app.uiManager.columnManager.toggleColumnMenu(menuButton);
+        return;
+      }
+      
+      const menuItem = target.closest('.column-menu-item');
+      if (menuItem) {
+        e.preventDefault();
+        e.stopPropagation();
+        const column = menuItem.closest('.kanban-column');
+        this.app.uiManager.columnManager.closeColumnMenus();
+        this.app.handleColumnAction(menuItem.dataset.action, column);
+        return;
+      }
+      
+      // 点击其他位置时关闭列菜单
+      this.app.uiManager.columnManager.closeColumnMenus();
+      
+      // 处理添加智能列
+      if (target.closest('.add-smart-column-tile')) {
+        e.preventDefault();
+        this.app.createSmartColumn();
+        return;
+      }
+
+      // 处理添加列
+      const addColumnTile = target.closest('.add-column-tile');
+      if (addColumnTile) {
+        e.preventDefault();
+        this.app.uiManager.columnManager.startAddColumn(addColumnTile, title => this.app.createColumn(title));
+        return;
+      }
+      
+      // 处理列底部的添加书签按钮
+      const addButton = target.closest('.column-add-btn');
+      if (addButton) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.app.modalManager.showAddModal(addButton.closest('.kanban-column'));
+        return;
+      }
+      
+      // 处理回收站列：恢复、永久删除和清空
+      const trashButton = target.closest('.trash-restore-btn, .trash-purge-btn, .trash-empty-btn');
+      if (trashButton) {
+        e.preventDefault();
+        e.stopPropagation();
+        const trashItem = trashButton.closest('.trash-item');
+        if (trashButton.classList.contains('trash-empty-btn')) {
+          this.app.emptyTrash();
+        } else if (trashButton.classList.contains('trash-restore-btn')) {
+          this.app.restoreFromTrash(trashItem.dataset.trashId);
+        } else {
+          this.app.purgeFromTrash(trashItem.dataset.trashId);
+        }
+        return;
+      }
+
+      // 处理下钻：子文件夹名称、列标题按钮和面包屑
+      const folderLink = target.closest('.subfolder-name, .column-open-btn, .breadcrumb-item');
+      if (folderLink) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.app.openFolderAsBoard(folderLink.dataset.folderId);
+        return;
+      }
+      
       // 处理编辑按钮点击
       if (target.closest('.edit-btn')) {
         e.preventDefault();
@@ -53,13 +134,76 @@ export class EventManager {
         }
       }
     });
+
+    document.addEventListener('change', (e) => {
+      // 处理工作区切换、新建和编辑
+      if (e.target.id === 'workspace-selector') {
+        this.handleWorkspaceSelect(e.target);
+      }
+    });
+  }
+
+  handleWorkspaceSelect(selector) {
+    const workspaceManager = this.app.workspaceManager;
+    const active = workspaceManager.getActiveWorkspace();
+    const value = selector.value;
+
+    // 恢复选中项，直到切换真正完成
+    selector.value = active.id;
+
+    if (value === '__new') {
+      this.app.modalManager.showWorkspaceModal(null);
+    } else if (value === '__edit') {
+      this.app.modalManager.showWorkspaceModal(active);
+    } else if (value !== active.id) {
+      this.app.switchWorkspace(value);
+    }
   }
 
   setupKeyboardShortcuts() {
+    // 快捷键对应的命令也出现在命令面板中
+    commandRegistry.register([
+      {
+        id: 'edit.undo',
+        category: 'Edit',
+        title: 'Undo',
+        shortcut: 'Ctrl+Z',
+        when: () => this.app.undoManager.canUndo(),
+        run: () => this.app.undoManager.undo()
+      },
+      {
+        id: 'edit.redo',
+        category: 'Edit',
+        title: 'Redo',
+        shortcut: 'Ctrl+Shift+Z',
+        when: () => this.app.undoManager.canRedo(),
+        run: () => this.app.undoManager.redo()
+      },
+      {
+        id: 'layout.save',
+        category: 'Layout',
+        title: 'Save Layout',
+        shortcut: 'Ctrl+S',
+        run: () => this.saveCurrentLayout()
+      }
+    ]);
+
     document.addEventListener('keydown', (e) => {
-      // Ctrl/Cmd + F 触发搜索
-      if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
-        e.preventDefault();
+      // Ctrl/Cmd + F 由 BoardFilter 处理，聚焦看板过滤框
+      
+      // Ctrl/Cmd + Z 撤销，Ctrl/Cmd + Shift + Z 或 Ctrl/Cmd + Y 重做（输入框内保留原生行为）
+      if ((e.ctrlKey || e.metaKey) && !this.isEditingText(e.target)) {
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+          e.preventDefault();
+          this.app.undoManager.undo();
+          return;
+        }
+        if ((key === 'z' && e.shiftKey) || key === 'y') {
+          e.preventDefault();
+          this.app.undoManager.redo();
+          return;
+        }
       }
       
       // Ctrl/Cmd + S 手动保存当前布局
@@ -70,6 +214,10 @@ export class EventManager {
     });
   }
 
+  isEditingText(target) {
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+  }
+
   async handleEditClick(bookmarkItem) {
     const bookmarkId = bookmarkItem.dataset.bookmarkId;
     try {
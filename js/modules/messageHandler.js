@@ -19,6 +19,8 @@ export class MessageHandler {
           return this.handleCheckCompleted(message);
         case 'CHECK_FAILED':
           return this.handleCheckFailed(message);
+        case 'BOOKMARK_CREATED':
+          return this.handleBookmarkCreated(message);
       }
       return true;
     });
@@ -26,11 +28,13 @@ export class MessageHandler {
 
   handleThemeChanged(message, sendResponse) {
     this.app.themeManager.applyTheme(message.theme);
+    this.app.workspaceManager.rememberAppearance({ theme: message.theme });
     sendResponse({ success: true });
   }
 
   handleDisplayModeChanged(message, sendResponse) {
     this.app.displayManager.applyDisplayMode(message.mode);
+    this.app.workspaceManager.rememberAppearance({ displayMode: message.mode });
     sendResponse({ success: true });
   }
 
@@ -53,4 +57,8 @@ export class MessageHandler {
   handleCheckFailed(message) {
     this.app.siteCheckManager.handleCheckFailed(message.error);
   }
+
+  handleBookmarkCreated(message) {
+    this.app.handleBookmarkCreated(message.bookmark);
+  }
 } 
\ No newline at end of file
@@ -0,0 +1,318 @@
+// js/modules/metadataStore.js
+import { parseTitle, buildTitle } from './utils.js';
+
+/**
+ * Metadata Store
+ * Keeps per-bookmark metadata (tags, icon, notes, color and custom fields) in
+ * chrome.storage.local instead of markers embedded in the bookmark title.
+ *
+ * Records are keyed by bookmark ID and remember the bookmark's URL, so a bookmark
+ * re-created with a new ID (undo, trash restore, sync from another device) still
+ * finds its metadata. Markers left in titles by older versions are still read.
+ * Every board tab keeps a copy of the records, updated when another tab saves, and
+ * changes are applied to the stored records rather than the copy.
+ *
+ * Moving tags and icons out of titles is opt-in: until the user runs the migration
+ * (or turns the "embed in title" mode off), they keep being written into titles so
+ * they still sync to other devices. The "embed in title" mode keeps it that way for
+ * people who rely on Chrome sync.
+ */
+export class MetadataStore {
+  constructor() {
+    this.STORAGE_KEY = 'bookmark_metadata';
+    this.records = {};
+    this.urlIndex = new Map(); // URL -> ID of the most recently updated record
+    this.embedInTitle = false;
+    this.migrated = false; // Opted in to moving markers out of titles
+    this.watching = false;
+  }
+
+  /**
+   * Load records, the embed-in-title setting and whether titles were migrated
+   */
+  async load() {
+    const [records, settings] = await Promise.all([
+      this.readRecords(),
+      new Promise((resolve) => {
+        chrome.storage.sync.get(['embedMetadataInTitle', 'metadataMigrated'], (result) => {
+          resolve({
+            embedInTitle: result.embedMetadataInTitle === true,
+            migrated: result.metadataMigrated === true
+          });
+        });
+      })
+    ]);
+
+    this.records = records;
+    this.embedInTitle = settings.embedInTitle;
+    this.migrated = settings.migrated;
+    this.rebuildUrlIndex();
+    this.watchChanges();
+  }
+
+  /**
+   * Read the stored records
+   * @returns {Promise<Object>} Bookmark ID -> record
+   */
+  readRecords() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.STORAGE_KEY], (result) => {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to load bookmark metadata:', chrome.runtime.lastError);
+          resolve({});
+        } else {
+          resolve(result[this.STORAGE_KEY] || {});
+        }
+      });
+    });
+  }
+
+  /**
+   * Pick up records and settings saved by other tabs
+   */
+  watchChanges() {
+    if (this.watching) return;
+    this.watching = true;
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[this.STORAGE_KEY]) {
+        this.records = changes[this.STORAGE_KEY].newValue || {};
+        this.rebuildUrlIndex();
+      }
+      if (area === 'sync' && changes.embedMetadataInTitle) {
+        this.embedInTitle = changes.embedMetadataInTitle.newValue === true;
+      }
+      if (area === 'sync' && changes.metadataMigrated) {
+        this.migrated = changes.metadataMigrated.newValue === true;
+      }
+    });
+  }
+
+  /**
+   * Apply a change to the stored records, re-read first so changes saved by other
+   * tabs since this one loaded aren't written over
+   * @param {Function} change Called with the records to modify in place
+   */
+  async updateRecords(change) {
+    const records = await this.readRecords();
+    change(records);
+    this.records = records;
+    this.rebuildUrlIndex();
+    await this.save();
+  }
+
+  /**
+   * Rebuild the URL fallback index
+   */
+  rebuildUrlIndex() {
+    this.urlIndex.clear();
+    Object.entries(this.records)
+      .sort(([, a], [, b]) => (a.updatedAt || 0) - (b.updatedAt || 0))
+      .forEach(([id, record]) => {
+        if (record.url) {
+          this.urlIndex.set(record.url, id);
+        }
+      });
+  }
+
+  /**
+   * Get the stored record of a bookmark, falling back to a record with the same URL
+   * @param {Object} bookmark Bookmark {id, url}
+   * @returns {Object|null} Record
+   */
+  getRecord(bookmark) {
+    if (this.records[bookmark.id]) {
+      return this.records[bookmark.id];
+    }
+    const fallbackId = bookmark.url && this.urlIndex.get(bookmark.url);
+    return fallbackId ? this.records[fallbackId] : null;
+  }
+
+  /**
+   * Get everything shown for a bookmark: its clean title and merged metadata
+   * @param {Object} bookmark Bookmark {id, title, url}
+   * @returns {{title: string, tags: string[], emoji: string, faviconUrl: string, notes: string, color: string, fields: Object}} Metadata
+   */
+  describe(bookmark) {
+    const parsed = parseTitle(bookmark.title);
+    const record = this.getRecord(bookmark) || {};
+
+    return {
+      title: parsed.cleanTitle,
+      tags: [...new Set([...(record.tags || []), ...parsed.tags])],
+      emoji: record.emoji || parsed.emoji,
+      faviconUrl: record.faviconUrl || parsed.faviconUrl,
+      notes: record.notes || '',
+      color: record.color || '',
+      fields: { ...(record.fields || {}) }
+    };
+  }
+
+  /**
+   * Check whether a title still carries tag or icon markers
+   * @param {string} title Bookmark title
+   * @returns {boolean} True if the title has markers
+   */
+  hasTitleMarkers(title) {
+    const parsed = parseTitle(title);
+    return parsed.tags.length > 0 || Boolean(parsed.emoji || parsed.faviconUrl);
+  }
+
+  /**
+   * Check whether tags and icon are written into titles: in embed mode, and until
+   * the user opts in to moving them out
+   * @returns {boolean} True if titles carry the markers
+   */
+  keepsMarkersInTitles() {
+    return this.embedInTitle || !this.migrated;
+  }
+
+  /**
+   * Build the title stored in Chrome for a bookmark's metadata
+   * @param {string} title Clean title
+   * @param {Object} metadata Metadata {tags, emoji, faviconUrl}
+   * @returns {string} Title, with markers while titles carry them
+   */
+  formatTitle(title, metadata) {
+    return this.keepsMarkersInTitles() ? buildTitle(title, metadata) : title.trim();
+  }
+
+  /**
+   * Create a bookmark with metadata inside an undo transaction
+   * @param {Object} tx Undo transaction helpers
+   * @param {Object} bookmark Bookmark {parentId, index, title, url}, title without markers
+   * @param {Object} metadata Metadata {tags, emoji, faviconUrl, notes, color, fields}
+   * @returns {Promise<Object>} Created bookmark
+   */
+  async create(tx, bookmark, metadata = {}) {
+    const created = await tx.create({ ...bookmark, title: this.formatTitle(bookmark.title, metadata) });
+    const record = this.toRecord(metadata);
+    if (record) {
+      await tx.meta(created.id, { ...record, url: created.url });
+    }
+    return created;
+  }
+
+  /**
+   * Update a bookmark's title, URL and metadata inside an undo transaction.
+   * Legacy markers are moved out of the title unless embed mode is on.
+   * @param {Object} tx Undo transaction helpers
+   * @param {Object} bookmark Current bookmark {id, title, url}
+   * @param {Object} changes Changes {title, url, tags, emoji, faviconUrl, notes, color, fields}
+   * @returns {Promise<Object>} Updated bookmark
+   */
+  async write(tx, bookmark, changes) {
+    const next = { ...this.describe(bookmark), url: bookmark.url, ...changes };
+
+    const record = this.toRecord(next);
+    const current = this.records[bookmark.id] || null;
+    if (!this.isSameRecord(current, record) || (record && current.url !== next.url)) {
+      await tx.meta(bookmark.id, record && { ...record, url: next.url });
+    }
+
+    const update = {};
+    const title = this.formatTitle(next.title, next);
+    if (title !== bookmark.title) {
+      update.title = title;
+    }
+    if (next.url !== bookmark.url) {
+      update.url = next.url;
+    }
+    return Object.keys(update).length > 0 ? tx.update(bookmark.id, update) : bookmark;
+  }
+
+  /**
+   * Reduce metadata to the fields worth storing. While titles carry the markers, tags
+   * and icon live only in the title, so removing them in Chrome's bookmark manager sticks.
+   * @param {Object} metadata Metadata
+   * @returns {Object|null} Record without the URL, or null if there is nothing to store
+   */
+  toRecord(metadata) {
+    const record = {};
+    if (!this.keepsMarkersInTitles()) {
+      if (metadata.tags && metadata.tags.length > 0) record.tags = [...new Set(metadata.tags)];
+      if (metadata.emoji) record.emoji = metadata.emoji.trim();
+      if (metadata.faviconUrl) record.faviconUrl = metadata.faviconUrl.trim();
+    }
+    if (metadata.notes) record.notes = metadata.notes;
+    if (metadata.color) record.color = metadata.color;
+    if (metadata.fields && Object.keys(metadata.fields).length > 0) record.fields = { ...metadata.fields };
+    return Object.keys(record).length > 0 ? record : null;
+  }
+
+  /**
+   * Compare a stored record with new record fields
+   * @param {Object|null} current Stored record
+   * @param {Object|null} record New record without URL and timestamp
+   * @returns {boolean} True if nothing would change
+   */
+  isSameRecord(current, record) {
+    if (!current || !record) {
+      return !current && !record;
+    }
+    const { url, updatedAt, ...fields } = current;
+    return JSON.stringify(fields) === JSON.stringify(record);
+  }
+
+  /**
+   * Store or delete a bookmark's record (used by the undo journal)
+   * @param {string} id Bookmark ID
+   * @param {Object|null} record Record, or null to delete it
+   */
+  async setRecord(id, record) {
+    await this.updateRecords(records => {
+      if (record) {
+        records[id] = { ...record, updatedAt: Date.now() };
+      } else {
+        delete records[id];
+      }
+    });
+  }
+
+  /**
+   * Move a record to a bookmark's new ID after it was re-created
+   * @param {string} oldId Previous bookmark ID
+   * @param {string} newId New bookmark ID
+   */
+  async moveRecord(oldId, newId) {
+    if (!this.records[oldId] || oldId === newId) return;
+    await this.updateRecords(records => {
+      if (!records[oldId]) return;
+      records[newId] = records[oldId];
+      delete records[oldId];
+    });
+  }
+
+  /**
+   * Switch embed-in-title mode. Turning it off opts in to keeping markers out of titles.
+   * @param {boolean} embedInTitle Write tags and icon markers into titles
+   */
+  async setEmbedInTitle(embedInTitle) {
+    this.embedInTitle = embedInTitle;
+    const settings = { embedMetadataInTitle: embedInTitle };
+    if (!embedInTitle) {
+      this.migrated = true;
+      settings.metadataMigrated = true;
+    }
+    await new Promise((resolve) => {
+      chrome.storage.sync.set(settings, resolve);
+    });
+  }
+
+  /**
+   * Persist records
+   */
+  save() {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.STORAGE_KEY]: this.records }, () => {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to save bookmark metadata:', chrome.runtime.lastError);
+        }
+        resolve();
+      });
+    });
+  }
+}
+
+// Export singleton
+export const metadataStore = new MetadataStore();
@@ -1,4 +1,11 @@
-import { createElement } from './utils.js';
+import { createElement, normalizeTag, describeInvalidTag, tagMatches, splitTag } from './utils.js';
+import { undoManager } from './undoManager.js';
+import { metadataStore } from './metadataStore.js';
+import { TagInput } from './ui/TagInput.js';
+import { commandRegistry } from './commandRegistry.js';
+import { tagManager } from './tagManager.js';
+import { contentIndex } from './contentIndex.js';
+import { recentColumns } from './recentColumns.js';
 
 export class ModalManager {
   constructor(bookmarkManager, uiManager, app) {
@@ -7,6 +14,21 @@ export class ModalManager {
     this.app = app;
     this.activeModal = null;
     this.initializeModals();
+
+    commandRegistry.register([
+      {
+        id: 'settings.open',
+        category: 'Preferences',
+        title: 'Open Settings',
+        run: () => this.showSettingsModal()
+      },
+      {
+        id: 'tags.manage',
+        category: 'Tags',
+        title: 'Manage Tags',
+        run: () => this.showTagManagerModal()
+      }
+    ]);
   }
 
   /**
@@ -15,14 +37,29 @@ export class ModalManager {
   initializeModals() {
     // Create edit modal
     this.editModal = this.createEditModal();
+    this.editTagInput = new TagInput(this.editModal.querySelector('#bookmarkTags'));
+    // Create add bookmark modal
+    this.addModal = this.createAddModal();
+    this.addTagInput = new TagInput(this.addModal.querySelector('#addBookmarkTags'));
     // Create confirm delete modal
     this.confirmModal = this.createConfirmModal();
+    // Create workspace modal
+    this.workspaceModal = this.createWorkspaceModal();
+    // Create tag manager modal
+    this.tagManagerModal = this.createTagManagerModal();
+    // Create generic dialog modal
+    this.dialogModal = this.createDialogModal();
+    this.dialogResolve = null;
     // Create settings modal
     this.settingsModal = document.getElementById('settingsModal');
 
     // Add to document
     document.body.appendChild(this.editModal);
+    document.body.appendChild(this.addModal);
     document.body.appendChild(this.confirmModal);
+    document.body.appendChild(this.workspaceModal);
+    document.body.appendChild(this.tagManagerModal);
+    document.body.appendChild(this.dialogModal);
 
     // Bind global click event for closing modals
     document.addEventListener('click', (e) => {
@@ -60,6 +97,11 @@ export class ModalManager {
             <label for="bookmarkUrl">URL</label>
             <input type="url" id="bookmarkUrl" required>
           </div>
+          <div class="form-group">
+            <label for="bookmarkTags">Tags</label>
+            <input type="text" id="bookmarkTags" placeholder="Type a tag and press Enter">
+            <small class="form-help">Separate tags with spaces or commas</small>
+          </div>
           <div class="form-group">
             <label for="bookmarkFaviconUrl">Favicon URL (optional)</label>
             <input type="url" id="bookmarkFaviconUrl" placeholder="https://api.xinac.net/icon/?url=https://www.google.com">
@@ -71,6 +113,23 @@ export class ModalManager {
             <input type="text" id="bookmarkEmoji" placeholder="🔖" maxlength="4">
             <small class="form-help">Use emoji as favicon (takes priority over URL)</small>
           </div>
+          <div class="form-group">
+            <label for="bookmarkColor">Color</label>
+            <select id="bookmarkColor" class="dialog-select">
+              <option value="">None</option>
+              <option value="#ef4444">Red</option>
+              <option value="#f97316">Orange</option>
+              <option value="#eab308">Yellow</option>
+              <option value="#22c55e">Green</option>
+              <option value="#3b82f6">Blue</option>
+              <option value="#a855f7">Purple</option>
+              <option value="#64748b">Gray</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label for="bookmarkNotes">Notes</label>
+            <textarea id="bookmarkNotes" rows="3"></textarea>
+          </div>
           <div class="form-actions">
             <button type="button" class="btn-cancel">Cancel</button>
             <button type="submit" class="btn-save">Save</button>
@@ -97,6 +156,71 @@ export class ModalManager {
     return modal;
   }
 
+  /**
+   * Create add bookmark modal
+   * @returns {HTMLElement} Modal element
+   */
+  createAddModal() {
+    const modal = createElement('div', 'modal');
+    modal.id = 'addModal';
+
+    modal.innerHTML = `
+      <div class="modal-content">
+        <h2>Add Bookmark</h2>
+        <form id="addBookmarkForm">
+          <div class="form-group">
+            <label for="addBookmarkTitle">Title</label>
+            <input type="text" id="addBookmarkTitle" required>
+          </div>
+          <div class="form-group">
+            <label for="addBookmarkUrl">URL</label>
+            <input type="url" id="addBookmarkUrl" placeholder="https://" required>
+          </div>
+          <div class="form-group">
+            <label for="addBookmarkTags">Tags (optional)</label>
+            <input type="text" id="addBookmarkTags" placeholder="Type a tag and press Enter">
+            <small class="form-help">Separate tags with spaces or commas</small>
+          </div>
+          <div class="form-group">
+            <label for="addBookmarkEmoji">Emoji (optional)</label>
+            <input type="text" id="addBookmarkEmoji" placeholder="🔖" maxlength="4">
+          </div>
+          <div class="form-group">
+            <label for="addBookmarkFaviconUrl">Favicon URL (optional)</label>
+            <input type="url" id="addBookmarkFaviconUrl">
+            <small class="form-help">Emoji takes priority over the favicon URL</small>
+          </div>
+          <div class="form-group">
+            <label for="addBookmarkFolder">Folder</label>
+            <select id="addBookmarkFolder" class="dialog-select"></select>
+          </div>
+          <div class="form-group">
+            <label for="addBookmarkPosition">Position</label>
+            <select id="addBookmarkPosition" class="dialog-select">
+              <option value="bottom">At the bottom</option>
+              <option value="top">At the top</option>
+            </select>
+          </div>
+          <div class="form-actions">
+            <button type="button" class="btn-cancel">Cancel</button>
+            <button type="submit" class="btn-save">Add</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    // Prevent backspace key from triggering history navigation in input fields
+    modal.querySelectorAll('input').forEach(input => {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Backspace' && !e.target.value) {
+          e.preventDefault();
+        }
+      });
+    });
+
+    return modal;
+  }
+
   /**
    * Create confirm delete modal
    * @returns {HTMLElement} Modal element
@@ -119,6 +243,574 @@ export class ModalManager {
     return modal;
   }
 
+  /**
+   * Create generic dialog modal
+   * @returns {HTMLElement} Modal element
+   */
+  createDialogModal() {
+    const modal = createElement('div', 'modal');
+    modal.id = 'dialogModal';
+
+    modal.innerHTML = `
+      <div class="modal-content confirm-content">
+        <h2 class="dialog-title"></h2>
+        <div class="dialog-body"></div>
+        <div class="form-actions">
+          <button type="button" class="btn-cancel">Cancel</button>
+          <button type="button" class="btn-save dialog-confirm">OK</button>
+        </div>
+      </div>
+    `;
+
+    modal.querySelector('.btn-cancel').addEventListener('click', () => {
+      this.closeActiveModal();
+    });
+    modal.querySelector('.dialog-confirm').addEventListener('click', () => {
+      const resolve = this.dialogResolve;
+      this.dialogResolve = null;
+      this.closeActiveModal();
+      if (resolve) resolve(true);
+    });
+
+    return modal;
+  }
+
+  /**
+   * Show a dialog and wait for the user's choice
+   * @param {Object} options Dialog options
+   * @param {string} options.title Dialog title
+   * @param {HTMLElement} options.body Dialog content
+   * @param {string} options.confirmLabel Confirm button label
+   * @param {boolean} options.danger Style the confirm button as destructive
+   * @returns {Promise<boolean>} True if confirmed, false if cancelled or closed
+   */
+  showDialog({ title, body, confirmLabel = 'OK', danger = false }) {
+    const modal = this.dialogModal;
+    modal.querySelector('.dialog-title').textContent = title;
+
+    const bodyContainer = modal.querySelector('.dialog-body');
+    bodyContainer.innerHTML = '';
+    bodyContainer.appendChild(body);
+
+    const confirmBtn = modal.querySelector('.dialog-confirm');
+    confirmBtn.textContent = confirmLabel;
+    confirmBtn.className = `${danger ? 'btn-delete' : 'btn-save'} dialog-confirm`;
+
+    // A dialog still waiting for an answer counts as cancelled
+    if (this.dialogResolve) {
+      this.dialogResolve(false);
+    }
+
+    return new Promise(resolve => {
+      this.dialogResolve = resolve;
+      this.showModal(modal);
+    });
+  }
+
+  /**
+   * Build a select listing target columns
+   * @param {Array} targets Target columns [{id, title}]
+   * @returns {HTMLSelectElement} Select element
+   */
+  createColumnSelect(targets) {
+    const select = createElement('select', 'dialog-select');
+    targets.forEach(target => {
+      select.appendChild(new Option(target.title, target.id));
+    });
+    return select;
+  }
+
+  /**
+   * Ask how to delete a column
+   * @param {string} title Column title
+   * @param {number} count Number of bookmarks in the column
+   * @param {Array} targets Columns its bookmarks can be moved to [{id, title}]
+   * @returns {Promise<Object|null>} {targetId} (null targetId = delete bookmarks too), or null if cancelled
+   */
+  async showDeleteColumnModal(title, count, targets) {
+    const body = createElement('div', 'dialog-options');
+
+    const message = createElement('p', 'confirm-message');
+    message.textContent = `Delete column "${title}"? It contains ${count} bookmark${count === 1 ? '' : 's'}.`;
+    body.appendChild(message);
+
+    const select = this.createColumnSelect(targets);
+    const createOption = (value, labelText, checked) => {
+      const label = createElement('label', 'dialog-option');
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'deleteColumnMode';
+      radio.value = value;
+      radio.checked = checked;
+      label.appendChild(radio);
+      label.appendChild(document.createTextNode(` ${labelText}`));
+      body.appendChild(label);
+      return label;
+    };
+
+    if (targets.length > 0) {
+      createOption('move', 'Move its bookmarks and subfolders to', true).appendChild(select);
+    }
+    createOption('delete', 'Delete its bookmarks and subfolders too', targets.length === 0);
+
+    const confirmed = await this.showDialog({
+      title: 'Delete Column',
+      body,
+      confirmLabel: 'Delete',
+      danger: true
+    });
+    if (!confirmed) return null;
+
+    const mode = body.querySelector('input[name="deleteColumnMode"]:checked').value;
+    return { targetId: mode === 'move' ? select.value : null };
+  }
+
+  /**
+   * Ask which tags to add to or remove from several bookmarks
+   * @param {number} count Number of selected bookmarks
+   * @returns {Promise<Object|null>} {mode: 'add'|'remove', tags}, or null if cancelled
+   */
+  async showBulkTagModal(count) {
+    const body = createElement('div', 'dialog-options');
+
+    const message = createElement('p', 'confirm-message');
+    message.textContent = `Edit tags of ${count} bookmark${count === 1 ? '' : 's'}:`;
+    body.appendChild(message);
+
+    ['add', 'remove'].forEach((mode, index) => {
+      const label = createElement('label', 'dialog-option');
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'bulkTagMode';
+      radio.value = mode;
+      radio.checked = index === 0;
+      label.appendChild(radio);
+      label.appendChild(document.createTextNode(mode === 'add' ? ' Add tags' : ' Remove tags'));
+      body.appendChild(label);
+    });
+
+    const input = createElement('input', 'dialog-input');
+    input.type = 'text';
+    input.placeholder = 'work docs';
+    body.appendChild(input);
+
+    const pending = this.showDialog({
+      title: 'Edit Tags',
+      body,
+      confirmLabel: 'Apply'
+    });
+    input.focus();
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.dialogModal.querySelector('.dialog-confirm').click();
+      }
+    });
+
+    const confirmed = await pending;
+    if (!confirmed) return null;
+
+    return {
+      mode: body.querySelector('input[name="bulkTagMode"]:checked').value,
+      tags: input.value.trim()
+    };
+  }
+
+  /**
+   * Ask which column to merge a column into
+   * @param {string} title Column title
+   * @param {Array} targets Columns to merge into [{id, title}]
+   * @returns {Promise<string|null>} Target folder ID, or null if cancelled
+   */
+  async showMergeColumnModal(title, targets) {
+    const body = createElement('div', 'dialog-options');
+
+    const message = createElement('p', 'confirm-message');
+    message.textContent = `Move all bookmarks and subfolders of "${title}" into:`;
+    body.appendChild(message);
+
+    const select = this.createColumnSelect(targets);
+    body.appendChild(select);
+
+    const confirmed = await this.showDialog({
+      title: 'Merge Column',
+      body,
+      confirmLabel: 'Merge'
+    });
+    return confirmed ? select.value : null;
+  }
+
+  /**
+   * Ask for a saved search's name and rule: a tag, domain, folder, added-date window,
+   * link status and any further words or filters. It builds the search's query.
+   * @param {Object} search Saved search to edit, or {name, rule} for a new one
+   * @param {boolean} pinned Whether it shows as a column on the current board
+   * @returns {Promise<Object|null>} {name, rule, pinned}, or null if cancelled or empty
+   */
+  async showSavedSearchModal(search, pinned) {
+    const rule = search.rule || {};
+    const body = createElement('div', 'dialog-options');
+
+    const addLabel = (labelText) => {
+      const label = createElement('p', 'confirm-message');
+      label.textContent = labelText;
+      body.appendChild(label);
+    };
+    const addField = (labelText, value, placeholder) => {
+      addLabel(labelText);
+      const input = createElement('input', 'dialog-input');
+      input.type = 'text';
+      input.value = value || '';
+      input.placeholder = placeholder;
+      body.appendChild(input);
+      return input;
+    };
+    const addSelect = (labelText, value, options) => {
+      addLabel(labelText);
+      const select = createElement('select', 'dialog-select');
+      options.forEach(([optionValue, optionLabel]) => select.appendChild(new Option(optionLabel, optionValue)));
+      // Keep a value the options don't offer, e.g. added:<2w typed in the palette
+      if (value && !options.some(([optionValue]) => optionValue === value)) {
+        select.appendChild(new Option(value, value));
+      }
+      select.value = value || '';
+      body.appendChild(select);
+      return select;
+    };
+
+    const nameInput = addField('Name', search.name, 'Reading list');
+    const tagInput = addField('Tag', rule.tag, 'read');
+    const domainInput = addField('Domain', rule.domain, 'github.com');
+    const folderInput = addField('Folder', rule.folder, 'Work');
+    const addedSelect = addSelect('Added', rule.added, [
+      ['', 'Any time'],
+      ['7d', 'In the last 7 days'],
+      ['30d', 'In the last 30 days'],
+      ['90d', 'In the last 90 days'],
+      ['1y', 'In the last year']
+    ]);
+    const statusSelect = addSelect('Link status', rule.status, [
+      ['', 'Any'],
+      ['dead', 'Dead links'],
+      ['live', 'Not dead'],
+      ['nohttps', 'Not using HTTPS']
+    ]);
+    const textInput = addField('Words or filters', rule.text, 'rust "error handling" -draft');
+
+    const pinLabel = createElement('label', 'dialog-option');
+    const pinCheckbox = document.createElement('input');
+    pinCheckbox.type = 'checkbox';
+    pinCheckbox.checked = pinned;
+    pinLabel.appendChild(pinCheckbox);
+    pinLabel.appendChild(document.createTextNode(' Show as a column on this board'));
+    pinLabel.style.marginTop = 'var(--spacing-md)';
+    body.appendChild(pinLabel);
+
+    const pending = this.showDialog({
+      title: search.id ? 'Edit Saved Search' : 'Save Search',
+      body,
+      confirmLabel: 'Save'
+    });
+    nameInput.focus();
+    nameInput.select();
+    body.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target.classList.contains('dialog-input')) {
+        e.preventDefault();
+        this.dialogModal.querySelector('.dialog-confirm').click();
+      }
+    });
+
+    if (!(await pending)) return null;
+
+    const tagValue = tagInput.value.trim();
+    const tag = tagValue ? normalizeTag(tagValue) : '';
+    if (tagValue && !tag) {
+      this.showError(describeInvalidTag(tagValue));
+      return null;
+    }
+    const result = {
+      tag: tag ? tag.slice(1) : '',
+      domain: domainInput.value.trim(),
+      folder: folderInput.value.trim(),
+      added: addedSelect.value,
+      status: statusSelect.value,
+      text: textInput.value.trim()
+    };
+    if (!Object.values(result).some(Boolean)) return null;
+    return { name: nameInput.value.trim(), rule: result, pinned: pinCheckbox.checked };
+  }
+
+  /**
+   * Create tag manager modal
+   * @returns {HTMLElement} Modal element
+   */
+  createTagManagerModal() {
+    const modal = createElement('div', 'modal');
+    modal.id = 'tagManagerModal';
+
+    modal.innerHTML = `
+      <div class="modal-content">
+        <h2>Manage Tags</h2>
+        <p class="form-help">Rename a tag to an existing tag's name to merge them. Child tags (lang/rust under lang) follow their parent. Changes apply to every bookmark and can be undone.</p>
+        <div class="tag-manager-list"></div>
+        <div class="form-actions">
+          <button type="button" class="btn-primary tag-manager-close">Close</button>
+        </div>
+      </div>
+    `;
+
+    modal.querySelector('.tag-manager-close').addEventListener('click', () => {
+      this.closeActiveModal();
+    });
+
+    const list = modal.querySelector('.tag-manager-list');
+
+    // Rename (or merge) when a name input is committed
+    list.addEventListener('change', async (e) => {
+      const row = e.target.closest('.tag-manager-row');
+      if (!row || !window.app) return;
+      const tag = row.dataset.tag;
+
+      if (e.target.classList.contains('tag-name-input')) {
+        const value = e.target.value.trim();
+        const renamed = normalizeTag(value);
+        if (value && !renamed) {
+          this.showError(describeInvalidTag(value));
+        }
+        // A tag can't be moved below itself
+        if (!renamed || tagMatches(renamed, tag)) {
+          e.target.value = tag.substring(1);
+          return;
+        }
+        const exists = list.querySelector(`.tag-manager-row[data-tag="${CSS.escape(renamed)}"]`);
+        if (exists && !confirm(`${renamed} already exists. Merge ${tag} into it?`)) {
+          e.target.value = tag.substring(1);
+          return;
+        }
+        await window.app.renameTag(tag, renamed);
+        await this.renderTagManagerList();
+      } else if (e.target.classList.contains('tag-color-input')) {
+        await window.app.setTagColor(tag, e.target.value);
+        await this.renderTagManagerList();
+      }
+    });
+
+    list.addEventListener('click', async (e) => {
+      const row = e.target.closest('.tag-manager-row');
+      if (!row || !window.app) return;
+      const tag = row.dataset.tag;
+
+      if (e.target.closest('.tag-color-reset')) {
+        await window.app.setTagColor(tag, null);
+        await this.renderTagManagerList();
+      } else if (e.target.closest('.tag-delete-btn')) {
+        const count = row.querySelector('.tag-usage').textContent;
+        if (confirm(`Remove ${tag} and its child tags from ${count} bookmark${count === '1' ? '' : 's'}?`)) {
+          await window.app.deleteTag(tag);
+          await this.renderTagManagerList();
+        }
+      }
+    });
+
+    list.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target.classList.contains('tag-name-input')) {
+        e.preventDefault();
+        e.target.blur();
+      }
+    });
+
+    return modal;
+  }
+
+  /**
+   * Show the tag manager modal
+   */
+  async showTagManagerModal() {
+    // Opened from the settings modal, which it replaces
+    this.closeActiveModal();
+    await this.renderTagManagerList();
+    this.showModal(this.tagManagerModal);
+  }
+
+  /**
+   * List every tag with its usage count, color and actions
+   */
+  async renderTagManagerList() {
+    const list = this.tagManagerModal.querySelector('.tag-manager-list');
+    const usage = tagManager.getUsage(window.app ? await window.app.getAllBookmarks() : []);
+
+    list.innerHTML = '';
+    if (usage.size === 0) {
+      const empty = createElement('p', 'confirm-message');
+      empty.textContent = 'No bookmarks have tags yet.';
+      list.appendChild(empty);
+      return;
+    }
+
+    usage.forEach((bookmarks, tag) => {
+      const row = createElement('div', 'tag-manager-row');
+      row.dataset.tag = tag;
+      row.style.setProperty('--tag-depth', splitTag(tag).depth);
+
+      // The swatch opens the native color picker
+      const swatch = createElement('label', 'tag-color-swatch');
+      swatch.style.backgroundColor = tagManager.getColor(tag);
+      swatch.title = 'Change color';
+      const colorInput = createElement('input', 'tag-color-input');
+      colorInput.type = 'color';
+      if (tagManager.hasCustomColor(tag)) {
+        colorInput.value = tagManager.getColor(tag);
+      }
+      swatch.appendChild(colorInput);
+      row.appendChild(swatch);
+
+      const nameInput = createElement('input', 'tag-name-input');
+      nameInput.type = 'text';
+      nameInput.value = tag.substring(1);
+      nameInput.title = 'Rename';
+      row.appendChild(nameInput);
+
+      const count = createElement('span', 'tag-usage');
+      count.textContent = bookmarks.length;
+      row.appendChild(count);
+
+      if (tagManager.hasCustomColor(tag)) {
+        const resetButton = createElement('button', 'tag-color-reset');
+        resetButton.type = 'button';
+        resetButton.textContent = '↺';
+        resetButton.title = 'Use default color';
+        row.appendChild(resetButton);
+      }
+
+      const deleteButton = createElement('button', 'tag-delete-btn');
+      deleteButton.type = 'button';
+      deleteButton.textContent = 'Delete';
+      row.appendChild(deleteButton);
+
+      list.appendChild(row);
+    });
+  }
+
+  /**
+   * Create workspace modal
+   * @returns {HTMLElement} Modal element
+   */
+  createWorkspaceModal() {
+    const modal = createElement('div', 'modal');
+    modal.id = 'workspaceModal';
+
+    modal.innerHTML = `
+      <div class="modal-content workspace-content">
+        <h2 id="workspaceModalTitle">New Workspace</h2>
+        <form id="workspaceForm">
+          <div class="form-group">
+            <label for="workspaceName">Name</label>
+            <input type="text" id="workspaceName" required>
+          </div>
+          <div class="form-group">
+            <label for="workspaceRoot">Root folder</label>
+            <select id="workspaceRoot"></select>
+            <small class="form-help">Columns are the subfolders of this folder</small>
+          </div>
+          <div class="form-group">
+            <label>Columns (optional)</label>
+            <div id="workspaceFolders" class="workspace-folder-list"></div>
+            <small class="form-help">Pick specific folders to show as columns instead of the root's subfolders</small>
+          </div>
+          <div class="form-actions">
+            <button type="button" class="btn-delete workspace-delete">Delete</button>
+            <button type="button" class="btn-cancel">Cancel</button>
+            <button type="submit" class="btn-save">Save</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    return modal;
+  }
+
+  /**
+   * Show workspace modal
+   * @param {Object|null} workspace Workspace to edit, or null to create one
+   */
+  async showWorkspaceModal(workspace) {
+    const modal = this.workspaceModal;
+    const app = window.app;
+
+    // Replace the form to drop previous listeners
+    const oldForm = modal.querySelector('#workspaceForm');
+    const form = oldForm.cloneNode(true);
+    oldForm.parentNode.replaceChild(form, oldForm);
+
+    const nameInput = form.querySelector('#workspaceName');
+    const rootSelect = form.querySelector('#workspaceRoot');
+    const folderList = form.querySelector('#workspaceFolders');
+    const deleteBtn = form.querySelector('.workspace-delete');
+
+    modal.querySelector('#workspaceModalTitle').textContent = workspace ? 'Edit Workspace' : 'New Workspace';
+    nameInput.value = workspace ? workspace.name : '';
+
+    // Build folder options, indented by depth
+    const folders = await this.bookmarkManager.getFolders();
+    const depths = new Map();
+    const selectedIds = new Set(workspace && workspace.folderIds ? workspace.folderIds : []);
+    rootSelect.innerHTML = '';
+    folderList.innerHTML = '';
+
+    folders.forEach(folder => {
+      if (!folder.parentId) return; // Skip the invisible tree root
+      const depth = depths.has(folder.parentId) ? depths.get(folder.parentId) + 1 : 0;
+      depths.set(folder.id, depth);
+
+      const title = folder.title || 'Untitled';
+      rootSelect.appendChild(new Option(`${'\u00a0\u00a0'.repeat(depth)}${title}`, folder.id));
+
+      const label = createElement('label', 'workspace-folder-option');
+      label.style.paddingLeft = `${depth * 16}px`;
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = folder.id;
+      checkbox.checked = selectedIds.has(folder.id);
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${title}`));
+      folderList.appendChild(label);
+    });
+    rootSelect.value = workspace && workspace.rootId ? workspace.rootId : '1';
+
+    deleteBtn.style.display = workspace && app.workspaceManager.getWorkspaces().length > 1 ? '' : 'none';
+    deleteBtn.addEventListener('click', async () => {
+      if (!confirm(`Delete workspace "${workspace.name}"? Its layout will be lost, bookmarks are kept.`)) {
+        return;
+      }
+      this.closeActiveModal();
+      await app.deleteWorkspace(workspace.id);
+    });
+
+    form.querySelector('.btn-cancel').addEventListener('click', () => {
+      this.closeActiveModal();
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const data = {
+        name: nameInput.value.trim(),
+        rootId: rootSelect.value === '1' ? null : rootSelect.value,
+        folderIds: Array.from(folderList.querySelectorAll('input:checked')).map(input => input.value)
+      };
+
+      const saveBtn = form.querySelector('.btn-save');
+      saveBtn.disabled = true;
+      const saved = await app.saveWorkspace(data, workspace ? workspace.id : null);
+      saveBtn.disabled = false;
+      if (saved) {
+        this.closeActiveModal();
+      }
+    });
+
+    this.showModal(modal);
+    nameInput.focus();
+  }
+
   /**
    * Show edit modal
    * @param {Object} bookmark Bookmark data
@@ -130,23 +822,36 @@ export class ModalManager {
     const urlInput = modal.querySelector('#bookmarkUrl');
     const faviconUrlInput = modal.querySelector('#bookmarkFaviconUrl');
     const emojiInput = modal.querySelector('#bookmarkEmoji');
+    const colorSelect = modal.querySelector('#bookmarkColor');
+    const notesInput = modal.querySelector('#bookmarkNotes');
 
-    // Extract custom favicon data first
-    const customFaviconData = this.extractCustomFaviconData(bookmark);
-
-    // Fill current values - use clean title for editing
-    const { cleanTitle } = this.parseTitle(bookmark.title);
-    titleInput.value = cleanTitle || bookmark.title;
+    // Fill current values - use clean title and stored metadata for editing
+    const metadata = metadataStore.describe(bookmark);
+    titleInput.value = metadata.title || bookmark.title;
     urlInput.value = bookmark.url;
-    faviconUrlInput.value = customFaviconData.faviconUrl || '';
-    emojiInput.value = customFaviconData.emoji || '';
+    this.editTagInput.setTags(metadata.tags);
+    this.loadTagSuggestions(this.editTagInput);
+    faviconUrlInput.value = metadata.faviconUrl;
+    emojiInput.value = metadata.emoji;
+    notesInput.value = metadata.notes;
+
+    // Keep a color picked elsewhere selectable
+    if (metadata.color && !colorSelect.querySelector(`option[value="${metadata.color}"]`)) {
+      colorSelect.appendChild(new Option(metadata.color, metadata.color));
+    }
+    colorSelect.value = metadata.color;
 
     // Bind form submit event
     form.onsubmit = async (e) => {
       e.preventDefault();
-      await this.handleBookmarkEdit(bookmark.id, {
-        title: this.buildTitleWithFaviconData(titleInput.value, faviconUrlInput.value, emojiInput.value),
-        url: urlInput.value
+      await this.handleBookmarkEdit(bookmark, {
+        title: titleInput.value.trim(),
+        url: urlInput.value,
+        tags: this.editTagInput.getTags(),
+        faviconUrl: faviconUrlInput.value.trim(),
+        emoji: emojiInput.value.trim(),
+        color: colorSelect.value,
+        notes: notesInput.value.trim()
       });
     };
 
@@ -157,6 +862,118 @@ export class ModalManager {
     titleInput.focus();
   }
 
+  /**
+   * Offer every tag in the bookmark tree, most used first, as autocomplete suggestions
+   * @param {TagInput} tagInput Tag input
+   */
+  async loadTagSuggestions(tagInput) {
+    if (!window.app) return;
+    try {
+      const usage = tagManager.getUsage(await window.app.getAllBookmarks());
+      tagInput.setSuggestions([...usage.keys()].sort((a, b) => usage.get(b).length - usage.get(a).length));
+    } catch (error) {
+      console.error('Failed to load tag suggestions:', error);
+    }
+  }
+
+  /**
+   * Show add bookmark modal for a column
+   * @param {HTMLElement} column Column element
+   */
+  async showAddModal(column) {
+    const modal = this.addModal;
+    const form = modal.querySelector('#addBookmarkForm');
+    const titleInput = modal.querySelector('#addBookmarkTitle');
+    const urlInput = modal.querySelector('#addBookmarkUrl');
+    const emojiInput = modal.querySelector('#addBookmarkEmoji');
+    const faviconUrlInput = modal.querySelector('#addBookmarkFaviconUrl');
+    const folderSelect = modal.querySelector('#addBookmarkFolder');
+    const positionSelect = modal.querySelector('#addBookmarkPosition');
+
+    form.reset();
+    this.addTagInput.setTags([]);
+    this.loadTagSuggestions(this.addTagInput);
+
+    // The column folder and its subfolders (the uncategorized column has none)
+    const columnManager = this.uiManager.columnManager;
+    const folderId = columnManager.getColumnFolderId(column);
+    const columnTitle = column.querySelector('.column-title').textContent;
+    folderSelect.innerHTML = '';
+    folderSelect.appendChild(new Option(columnTitle, folderId));
+
+    if (column.dataset.columnType !== 'uncategorized') {
+      try {
+        const tree = await this.bookmarkManager.getSubTree(folderId);
+        const addSubfolders = (node, depth) => {
+          (node.children || []).forEach(child => {
+            if (child.children) {
+              folderSelect.appendChild(new Option(`${'\u00a0\u00a0'.repeat(depth)}${child.title || 'Untitled'}`, child.id));
+              addSubfolders(child, depth + 1);
+            }
+          });
+        };
+        addSubfolders(tree, 1);
+      } catch (error) {
+        console.error('Failed to load subfolders:', error);
+      }
+    }
+
+    form.onsubmit = async (e) => {
+      e.preventDefault();
+      const atTop = positionSelect.value === 'top';
+
+      const bookmark = {
+        parentId: folderSelect.value,
+        title: titleInput.value.trim(),
+        url: urlInput.value.trim()
+      };
+      if (atTop) {
+        bookmark.index = 0;
+      }
+
+      await this.handleBookmarkAdd(bookmark, {
+        tags: this.addTagInput.getTags(),
+        emoji: emojiInput.value.trim(),
+        faviconUrl: faviconUrlInput.value.trim()
+      }, column, atTop);
+    };
+
+    modal.querySelector('.btn-cancel').onclick = () => this.closeActiveModal();
+
+    this.showModal(modal);
+    titleInput.focus();
+  }
+
+  /**
+   * Handle bookmark creation
+   * @param {Object} bookmark Bookmark to create {parentId, title, url, index}
+   * @param {Object} metadata Bookmark metadata {tags, emoji, faviconUrl}
+   * @param {HTMLElement} column Column the bookmark was added from
+   * @param {boolean} atTop Whether the bookmark goes to the top of its folder
+   */
+  async handleBookmarkAdd(bookmark, metadata, column, atTop) {
+    const saveBtn = this.addModal.querySelector('.btn-save');
+    try {
+      saveBtn.disabled = true;
+      const created = await undoManager.transaction('Bookmark added', tx => metadataStore.create(tx, bookmark, metadata));
+      this.closeActiveModal();
+
+      // Insert the card in place; fall back to a re-render if its folder isn't shown yet
+      if (this.uiManager.columnManager.insertBookmarkItem(created, column, atTop)) {
+        if (window.app && window.app.dragManager) {
+          window.app.dragManager.saveBookmarkOrder();
+        }
+      } else if (window.app) {
+        await window.app.refreshBoard();
+      }
+    } catch (error) {
+      console.error('Failed to add bookmark:', error);
+      this.showToast('Failed to add bookmark: ' + (error.message || 'Unknown error'), 'error');
+    } finally {
+      saveBtn.disabled = false;
+    }
+  }
+
   /**
    * Show confirm delete modal
    * @param {Object} bookmark Bookmark data
@@ -188,25 +1005,25 @@ export class ModalManager {
         const scrollPosition = window.scrollY;
         console.log("Delete before scroll position:", scrollPosition);
 
-        // Execute delete operation
-        await this.bookmarkManager.deleteBookmark(bookmark.id);
+        // Execute delete operation (the undo toast confirms it)
+        await undoManager.transaction('Bookmark deleted', tx => tx.remove(bookmark.id));
 
         // Close modal
         this.closeActiveModal();
 
-        // Show success message
-        this.showToast('Bookmark deleted');
-
         // Important: Stop possible global refresh
         // Use direct DOM manipulation instead of triggering a full refresh
-        const bookmarkItem = document.querySelector(`[data-bookmark-id="${bookmark.id}"]`);
-        if (bookmarkItem) {
-          bookmarkItem.style.transition = 'opacity 0.3s ease';
-          bookmarkItem.style.opacity = '0';
+        // A bookmark also shows in the smart and recent columns it is listed in
+        const bookmarkItems = document.querySelectorAll(`.bookmark-item[data-bookmark-id="${bookmark.id}"]`);
+        if (bookmarkItems.length > 0) {
+          bookmarkItems.forEach(bookmarkItem => {
+            bookmarkItem.style.transition = 'opacity 0.3s ease';
+            bookmarkItem.style.opacity = '0';
+          });
 
           setTimeout(() => {
-            // Remove element after fade out
-            bookmarkItem.remove();
+            // Remove elements after fade out
+            bookmarkItems.forEach(bookmarkItem => bookmarkItem.remove());
 
             // Update bookmark order storage
             if (window.app && window.app.dragManager) {
@@ -283,8 +1100,38 @@ export class ModalManager {
           openInNewTabToggle.checked = result.openInNewTab !== false;
         });
       }
+
+      // Tags and icons in titles toggle
+      const embedMetadataToggle = modal.querySelector('#embed-metadata-toggle');
+      if (embedMetadataToggle) {
+        embedMetadataToggle.checked = metadataStore.keepsMarkersInTitles();
+      }
+
+      // Trash column toggle and retention
+      const showTrashToggle = modal.querySelector('#show-trash-column-toggle');
+      if (showTrashToggle && window.app.trashManager) {
+        window.app.trashManager.isColumnEnabled().then(enabled => {
+          showTrashToggle.checked = enabled;
+        });
+      }
+      const retentionSelector = modal.querySelector('#trash-retention-selector');
+      if (retentionSelector && window.app.trashManager) {
+        window.app.trashManager.getRetentionDays().then(days => {
+          retentionSelector.value = String(days);
+        });
+      }
     }
 
+    // Recent columns
+    recentColumns.getSettings().then(settings => {
+      modal.querySelector('#recently-added-column-toggle').checked = settings.added;
+      modal.querySelector('#recently-opened-column-toggle').checked = settings.opened;
+      modal.querySelector('#recent-column-size').value = String(settings.size);
+    });
+
+    // Page content search
+    this.refreshContentIndexSettings(modal);
+
     // Bind events if not already bound
     this.bindSettingsEvents(modal);
 
@@ -292,6 +1139,25 @@ export class ModalManager {
     this.showModal(modal);
   }
 
+  /**
+   * Show the page content search settings and the size of the index
+   * @param {HTMLElement} modal Settings modal element
+   */
+  async refreshContentIndexSettings(modal) {
+    const settings = await contentIndex.getSettings();
+    modal.querySelector('#content-index-toggle').checked = settings.enabled;
+    modal.querySelector('#content-index-excluded').value = settings.excludedDomains.join('\n');
+
+    const status = modal.querySelector('#content-index-status');
+    try {
+      const count = await contentIndex.count();
+      status.textContent = `${count} page${count === 1 ? '' : 's'} indexed`;
+    } catch (error) {
+      console.error('Failed to count indexed pages:', error);
+      status.textContent = '';
+    }
+  }
+
   /**
    * Bind settings modal events
    * @param {HTMLElement} modal Settings modal element
@@ -303,6 +1169,7 @@ export class ModalManager {
       themeSelector.addEventListener('change', (e) => {
         if (window.app && window.app.themeManager) {
           window.app.themeManager.switchTheme(e.target.value);
+          window.app.workspaceManager.rememberAppearance({ theme: e.target.value });
         }
       });
       themeSelector.dataset.bound = 'true';
@@ -314,6 +1181,7 @@ export class ModalManager {
       displayModeSelector.addEventListener('change', (e) => {
         if (window.app && window.app.displayManager) {
           window.app.displayManager.switchDisplayMode(e.target.value);
+          window.app.workspaceManager.rememberAppearance({ displayMode: e.target.value });
         }
       });
       displayModeSelector.dataset.bound = 'true';
@@ -334,6 +1202,156 @@ export class ModalManager {
       openInNewTabToggle.dataset.bound = 'true';
     }
 
+    // Tags and icons in titles toggle
+    const embedMetadataToggle = modal.querySelector('#embed-metadata-toggle');
+    if (embedMetadataToggle && !embedMetadataToggle.dataset.bound) {
+      embedMetadataToggle.addEventListener('change', async (e) => {
+        if (window.app) {
+          embedMetadataToggle.disabled = true;
+          const updated = await window.app.setMetadataEmbedding(e.target.checked);
+          embedMetadataToggle.disabled = false;
+          embedMetadataToggle.checked = metadataStore.keepsMarkersInTitles();
+          if (updated) {
+            this.showToast('Setting updated');
+          }
+        }
+      });
+      embedMetadataToggle.dataset.bound = 'true';
+    }
+
+    // Move tags and icons out of titles button
+    const migrateButton = modal.querySelector('#migrate-metadata');
+    if (migrateButton && !migrateButton.dataset.bound) {
+      migrateButton.addEventListener('click', () => {
+        if (confirm('Remove tags and icon markers from all bookmark titles and keep them in the extension instead? Tags and icons will no longer sync to other devices.')) {
+          if (window.app) {
+            this.closeActiveModal();
+            window.app.migrateTitleMetadata();
+          }
+        }
+      });
+      migrateButton.dataset.bound = 'true';
+    }
+
+    // Show Trash column toggle
+    const showTrashToggle = modal.querySelector('#show-trash-column-toggle');
+    if (showTrashToggle && !showTrashToggle.dataset.bound) {
+      showTrashToggle.addEventListener('change', (e) => {
+        const showTrashColumn = e.target.checked;
+        chrome.storage.sync.set({ showTrashColumn }, () => {
+          if (window.app) {
+            window.app.refreshBoard();
+          }
+          this.showToast('Setting updated');
+        });
+      });
+      showTrashToggle.dataset.bound = 'true';
+    }
+
+    // Trash retention selector
+    const retentionSelector = modal.querySelector('#trash-retention-selector');
+    if (retentionSelector && !retentionSelector.dataset.bound) {
+      retentionSelector.addEventListener('change', (e) => {
+        const trashRetentionDays = Number(e.target.value);
+        chrome.storage.sync.set({ trashRetentionDays }, () => {
+          if (window.app && window.app.trashManager) {
+            window.app.trashManager.purgeExpired();
+          }
+          this.showToast('Setting updated');
+        });
+      });
+      retentionSelector.dataset.bound = 'true';
+    }
+
+    // Recent column toggles
+    [
+      ['#recently-added-column-toggle', recentColumns.KINDS.ADDED],
+      ['#recently-opened-column-toggle', recentColumns.KINDS.OPENED]
+    ].forEach(([selector, kind]) => {
+      const toggle = modal.querySelector(selector);
+      if (toggle && !toggle.dataset.bound) {
+        toggle.addEventListener('change', async (e) => {
+          await recentColumns.setShown(kind, e.target.checked);
+          if (window.app) {
+            window.app.refreshBoard();
+          }
+          this.showToast('Setting updated');
+        });
+        toggle.dataset.bound = 'true';
+      }
+    });
+
+    // Recent column length
+    const recentSizeInput = modal.querySelector('#recent-column-size');
+    if (recentSizeInput && !recentSizeInput.dataset.bound) {
+      recentSizeInput.addEventListener('change', async (e) => {
+        const size = await recentColumns.setSize(e.target.value);
+        recentSizeInput.value = String(size);
+        if (window.app && document.querySelector('.recent-column')) {
+          window.app.refreshBoard();
+        }
+        this.showToast('Setting updated');
+      });
+      recentSizeInput.dataset.bound = 'true';
+    }
+
+    // Page content search toggle
+    const contentIndexToggle = modal.querySelector('#content-index-toggle');
+    if (contentIndexToggle && !contentIndexToggle.dataset.bound) {
+      contentIndexToggle.addEventListener('change', async (e) => {
+        contentIndexToggle.disabled = true;
+        try {
+          // Turning it on asks for permission to fetch pages
+          const enabled = await contentIndex.setEnabled(e.target.checked);
+          contentIndexToggle.checked = enabled;
+          if (enabled === e.target.checked) {
+            this.showToast('Setting updated');
+          }
+        } catch (error) {
+          console.error('Failed to update page content search:', error);
+          contentIndexToggle.checked = !e.target.checked;
+          this.showToast('Failed to update setting', 'error');
+        }
+        contentIndexToggle.disabled = false;
+      });
+      contentIndexToggle.dataset.bound = 'true';
+    }
+
+    // Excluded domains
+    const excludedDomains = modal.querySelector('#content-index-excluded');
+    if (excludedDomains && !excludedDomains.dataset.bound) {
+      excludedDomains.addEventListener('change', async (e) => {
+        try {
+          const domains = await contentIndex.setExcludedDomains(e.target.value);
+          excludedDomains.value = domains.join('\n');
+          this.showToast('Setting updated');
+        } catch (error) {
+          console.error('Failed to save excluded domains:', error);
+          this.showToast('Failed to update setting', 'error');
+        }
+      });
+      excludedDomains.dataset.bound = 'true';
+    }
+
+    // Clear page index button
+    const clearIndexButton = modal.querySelector('#clear-content-index');
+    if (clearIndexButton && !clearIndexButton.dataset.bound) {
+      clearIndexButton.addEventListener('click', async () => {
+        if (!confirm('Delete the text of every indexed page? Pages are indexed again as you open them while page content search is on.')) {
+          return;
+        }
+        try {
+          await contentIndex.clear();
+          this.showToast('Page index cleared');
+        } catch (error) {
+          console.error('Failed to clear page index:', error);
+          this.showToast('Failed to clear page index', 'error');
+        }
+        this.refreshContentIndexSettings(modal);
+      });
+      clearIndexButton.dataset.bound = 'true';
+    }
+
     // Refresh bookmarks button
     const refreshButton = modal.querySelector('#refresh-bookmarks');
     if (refreshButton && !refreshButton.dataset.bound) {
@@ -414,12 +1432,12 @@ export class ModalManager {
 
   /**
    * Handle bookmark edit
-   * @param {string} id Bookmark ID
-   * @param {Object} changes Changes to apply
+   * @param {Object} bookmark Bookmark being edited
+   * @param {Object} changes Title, URL and metadata changes to apply
    */
-  async handleBookmarkEdit(id, changes) {
+  async handleBookmarkEdit(bookmark, changes) {
     try {
-      const updatedBookmark = await this.bookmarkManager.updateBookmark(id, changes);
+      const updatedBookmark = await undoManager.transaction('Bookmark updated', tx => metadataStore.write(tx, bookmark, changes));
       this.uiManager.updateBookmarkItem(updatedBookmark);
       this.closeActiveModal();
     } catch (error) {
@@ -455,6 +1473,12 @@ export class ModalManager {
 
         this.activeModal.classList.remove('show');
         document.body.style.overflow = '';
+
+        // Closing a pending dialog cancels it
+        if (this.activeModal === this.dialogModal && this.dialogResolve) {
+          this.dialogResolve(false);
+          this.dialogResolve = null;
+        }
         this.activeModal = null;
       } catch (error) {
         console.error('Error closing modal:', error);
@@ -462,67 +1486,6 @@ export class ModalManager {
     }
   }
 
-  /**
-   * Extract custom favicon data from bookmark
-   * @param {Object} bookmark Bookmark data
-   * @returns {Object} Custom favicon data { faviconUrl, emoji }
-   */
-  extractCustomFaviconData(bookmark) {
-    const result = { faviconUrl: '', emoji: '' };
-
-    // Check if title contains favicon metadata in format: [favicon:url] or [emoji:🔖]
-    const faviconUrlMatch = bookmark.title.match(/\[favicon:(https?:\/\/[^\]]+)\]/);
-    const emojiMatch = bookmark.title.match(/\[emoji:([^\]]+)\]/);
-
-    if (faviconUrlMatch) {
-      result.faviconUrl = faviconUrlMatch[1];
-    }
-
-    if (emojiMatch) {
-      result.emoji = emojiMatch[1];
-    }
-
-    return result;
-  }
-
-  /**
-   * Parse title to remove favicon metadata and tags (simplified version)
-   * @param {string} title Bookmark title
-   * @returns {Object} Object with cleanTitle
-   */
-  parseTitle(title) {
-    if (!title) {
-      return { cleanTitle: '' };
-    }
-
-    // Remove tags and favicon metadata from title
-    let cleanTitle = title.replace(/#\w+/g, '').trim();
-    cleanTitle = cleanTitle.replace(/\[favicon:[^\]]+\]/g, '').replace(/\[emoji:[^\]]+\]/g, '').trim();
-
-    return { cleanTitle };
-  }
-
-  /**
-   * Build title with favicon data embedded
-   * @param {string} cleanTitle Clean title without metadata
-   * @param {string} faviconUrl Custom favicon URL
-   * @param {string} emoji Custom emoji
-   * @returns {string} Title with embedded favicon data
-   */
-  buildTitleWithFaviconData(cleanTitle, faviconUrl, emoji) {
-    // Start with clean title (remove existing favicon metadata)
-    let title = cleanTitle.replace(/\[favicon:[^\]]+\]/g, '').replace(/\[emoji:[^\]]+\]/g, '').trim();
-
-    // Add favicon metadata
-    if (emoji && emoji.trim()) {
-      title += ` [emoji:${emoji.trim()}]`;
-    } else if (faviconUrl && faviconUrl.trim()) {
-      title += ` [favicon:${faviconUrl.trim()}]`;
-    }
-
-    return title;
-  }
-
   /**
    * Show error message
    * @param {string} message Error message
@@ -0,0 +1,104 @@
+// js/modules/openHistory.js
+
+/**
+ * Open History
+ * Remembers how often and how recently each bookmark was opened from the board or
+ * the command palette (chrome.storage.local), so search can rank frequently and
+ * recently used bookmarks ("frecency") above the rest.
+ */
+export class OpenHistory {
+  constructor() {
+    this.STORAGE_KEY = 'bookmark_open_history';
+    this.MAX_ENTRIES = 1000;
+    this.HALF_LIFE_DAYS = 14;
+    this.entries = {};
+    this.listeners = [];
+  }
+
+  /**
+   * Load the open history
+   */
+  async load() {
+    this.entries = await new Promise((resolve) => {
+      chrome.storage.local.get([this.STORAGE_KEY], (result) => {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to load open history:', chrome.runtime.lastError);
+          resolve({});
+        } else {
+          resolve(result[this.STORAGE_KEY] || {});
+        }
+      });
+    });
+  }
+
+  /**
+   * Register a callback for bookmarks being opened
+   * @param {Function} callback Called with the opened bookmark
+   */
+  onRecord(callback) {
+    this.listeners.push(callback);
+  }
+
+  /**
+   * Record that a bookmark was opened
+   * @param {Object} bookmark Bookmark {id, url}
+   */
+  async record(bookmark) {
+    const entry = this.entries[bookmark.id] || { count: 0 };
+    this.entries[bookmark.id] = {
+      count: entry.count + 1,
+      lastOpened: Date.now(),
+      url: bookmark.url
+    };
+
+    // Forget the least recently opened bookmarks beyond the limit
+    const ids = Object.keys(this.entries);
+    if (ids.length > this.MAX_ENTRIES) {
+      ids.sort((a, b) => this.entries[a].lastOpened - this.entries[b].lastOpened)
+        .slice(0, ids.length - this.MAX_ENTRIES)
+        .forEach(id => delete this.entries[id]);
+    }
+    this.listeners.forEach(callback => callback(bookmark));
+    await this.save();
+  }
+
+  /**
+   * Get when a bookmark was last opened from the board or the command palette
+   * @param {string} id Bookmark ID
+   * @returns {number} Timestamp (ms), 0 if never opened
+   */
+  getLastOpened(id) {
+    const entry = this.entries[id];
+    return entry ? entry.lastOpened : 0;
+  }
+
+  /**
+   * Get a bookmark's frecency: grows with the number of opens and halves every
+   * HALF_LIFE_DAYS since the last one
+   * @param {string} id Bookmark ID
+   * @returns {number} Frecency, 0 if never opened
+   */
+  getFrecency(id) {
+    const entry = this.entries[id];
+    if (!entry) return 0;
+    const ageDays = (Date.now() - entry.lastOpened) / (24 * 60 * 60 * 1000);
+    return Math.log2(1 + entry.count) * Math.pow(0.5, ageDays / this.HALF_LIFE_DAYS);
+  }
+
+  /**
+   * Persist the open history
+   */
+  save() {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.STORAGE_KEY]: this.entries }, () => {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to save open history:', chrome.runtime.lastError);
+        }
+        resolve();
+      });
+    });
+  }
+}
+
+// Export singleton
+export const openHistory = new OpenHistory();
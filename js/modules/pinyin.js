@@ -0,0 +1,110 @@
+// js/modules/pinyin.js
+import { PINYIN } from './pinyinData.js';
+
+/**
+ * Pinyin
+ * Spells Chinese text in pinyin so search can find 机器学习 by typing its full
+ * pinyin ("jiqixuexi") or initials ("jqxx"). Readings come from the offline
+ * dictionary in pinyinData.js; text with polyphonic characters gets a spelling per
+ * combination of readings, so 银行 matches both "yinxing" and "yinhang".
+ */
+
+const HAN = /[㐀-䶿一-鿿豈-﫿]/;
+
+// Each polyphonic character multiplies the spellings, so stop at this many
+const MAX_SPELLINGS = 8;
+
+let readings = null;
+
+/**
+ * Get the character -> readings map, built from the dictionary on first use
+ * @returns {Map<string, string[]>} Readings per character
+ */
+const getReadings = () => {
+  if (!readings) {
+    readings = new Map();
+    Object.entries(PINYIN).forEach(([syllable, chars]) => {
+      for (const char of chars) {
+        if (readings.has(char)) {
+          readings.get(char).push(syllable);
+        } else {
+          readings.set(char, [syllable]);
+        }
+      }
+    });
+  }
+  return readings;
+};
+
+/**
+ * Check whether a text contains Chinese characters
+ * @param {string} text Text
+ * @returns {boolean} True if it does
+ */
+export const hasHan = (text) => HAN.test(text || '');
+
+/**
+ * Spell a text with one reading picked for each character
+ * @param {string} text Text
+ * @param {Array<string[]|undefined>} syllables Readings per position, undefined for other characters
+ * @param {number[]} picks Chosen reading per position
+ * @param {boolean} initialsOnly Use only the first letter of each syllable
+ * @returns {{text: string, positions: number[]}} Spelling, with the position in the original
+ *   text of each of its characters (-1 for inserted spaces)
+ */
+const spell = (text, syllables, picks, initialsOnly) => {
+  let spelled = '';
+  const positions = [];
+  let afterSyllable = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const syllable = syllables[i] && syllables[i][picks[i]];
+    // Start syllables and the text after them as new words, except between initials
+    const separate = syllable ? !initialsOnly || !afterSyllable : afterSyllable;
+    if (separate && spelled && !/\s$/.test(spelled) && !/\s/.test(text[i])) {
+      spelled += ' ';
+      positions.push(-1);
+    }
+
+    const part = syllable ? (initialsOnly ? syllable[0] : syllable) : text[i];
+    spelled += part;
+    for (let j = 0; j < part.length; j++) {
+      positions.push(i);
+    }
+    afterSyllable = Boolean(syllable);
+  }
+
+  return { text: spelled, positions };
+};
+
+/**
+ * Build the pinyin index of a text: its full pinyin and initials spellings
+ * @param {string} text Text, e.g. a title or folder path
+ * @returns {Array<{text: string, positions: number[]}>|null} Spellings ("ji qi xue xi",
+ *   "jqxx"), with the original position of each character for highlighting, or null if
+ *   the text has no Chinese characters
+ */
+export const buildPinyinIndex = (text) => {
+  if (!hasHan(text)) return null;
+
+  const table = getReadings();
+  const syllables = Array.from({ length: text.length }, (_, i) => table.get(text[i]));
+
+  // Every combination of readings, up to the limit
+  let combinations = [syllables.map(() => 0)];
+  syllables.forEach((options, i) => {
+    if (!options || options.length < 2) return;
+    combinations = combinations
+      .flatMap(picks => options.map((_, option) => picks.map((pick, j) => (j === i ? option : pick))))
+      .slice(0, MAX_SPELLINGS);
+  });
+
+  const spellings = new Map();
+  combinations.forEach(picks => {
+    [false, true].forEach(initialsOnly => {
+      const spelling = spell(text, syllables, picks, initialsOnly);
+      spellings.set(spelling.text, spelling);
+    });
+  });
+  return [...spellings.values()];
+};
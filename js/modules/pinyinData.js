@@ -0,0 +1,414 @@
+// js/modules/pinyinData.js
+
+/**
+ * Pinyin dictionary: syllable -> the characters read that way, tones dropped and ü
+ * written as v. Covers the GB2312 and Big5 character sets, each character under its
+ * usual reading from the Unicode CLDR pinyin collation, plus the common alternate
+ * readings of polyphonic characters (行 is under both xing and hang).
+ */
+export const PINYIN = {
+  a: '呵啊嗄锕阿',
+  ai: '僾哀哎唉啀嗌嗳噯埃壒娭娾嫒嬡愛挨捱敳昹暧曖欸毐溰溾濭爱瑷璦癌皑皚矮砹碍礙艾蔼薆藹譪譺鑀锿閡隘霭靄靉餲騃鴱',
+  an: '侒俺儑唵啽垵埯婩媕安岸峖庵按揞晻暗案桉氨洝犴玵痷盦胺腤荌菴萻諳谙豻銨錌铵闇雸鞍韽馣鵪鹌黯',
+  ang: '卬昂盎肮醠骯',
+  ao: '傲凹嗷坳墺奡奥奧媪媼岙岰嶴廒懊扷拗摮擙敖柪滶澳熬爊獒璈磝翱聱芺蔜螯袄襖謷遨鏊鏖镺隞隩驁骜鰲鳌鼇',
+  ba: '仈八叭吧坝壩岜峇巴弝扒把拔捌朳柭灞爸犮疤癹矲笆粑罢罷耙胈芭茇菝蚆詙豝跁跋軷鈀钯霸靶魃鲅鼥',
+  bai: '伯佰庍拜挀捭掰摆擘擺敗柏猈白百稗粨粺絔襬败',
+  ban: '伴办半坂坢姅怑扮扳拌搬攽斑斒昄板柈湴版班瓣瘢癍粄絆绊舨般蝂螁褩辦鈑鉡钣闆阪靽頒颁魬鳻',
+  bang: '傍垹塝帮幫搒梆棒棓榜浜牓玤磅綁縍绑膀艕蒡蚌謗谤邦鎊镑鞤',
+  bao: '保儤刨剥勹包堡報媬孢宝寶忁怉报抱暴枹煲爆窇笣胞苞菢葆蕔薄虣袌褒褓豹趵鉋鑤雹飽饱駂髱鮑鲍鳵鴇鸔鸨齙龅',
+  bei: '倍偝備北卑呗唄备孛悖悲惫憊揹杯桮梖椑焙牬犕狈狽珼琲盃碑碚糒背蓓藣被褙誖貝贝輩辈邶郥鄁鋇鐾钡陂鞁鞴骳鵯鹎',
+  ben: '坋坌奔本栟泍渀畚笨翉苯贲錛锛',
+  beng: '伻傰嘣埲塴崩泵琣琫甏甭痭祊絣繃绷菶蠯蹦迸閍',
+  bi: '佖俾偪匕吡哔嗶坒堛壁奰妣妼婢嬖屄币幣庇庳廦弊弼彃彼必怭愊愎敝斃朼柀柲梐楅比毕毖毙沘湢滗滭潷濞熚狴獘獙珌璧畀畢疕疪痹痺皕碧秕秘笓笔筆筚箄箅篦篳粊綼縪繴罼腷臂舭苾荜荸萆蓖蓽蔽薜蜌裨襞襣觱詖豍貏賁贔跸蹕躄逼避邲鄙鄨鄪鉍鎞鏎铋閉閟闭陛飶馝駜驆髀髲鮅鵖鷝鷩鼊鼻',
+  bian: '便匾卞变弁忭惼扁抃揙汳汴煸猵甂砭碥稨窆笾箯籩編緶缏编艑苄萹蝙褊變貶贬辨辩辫辮辯边遍邊釆閞鞭鳊鴘',
+  biao: '俵儦墂婊彪摽杓标標檦淲滮瀌灬熛爂猋瘭穮膘臕蔈藨表裱褾諘謤贆錶鏢鑣镖镳颩颮飆飑飙飚驃驫骠髟鰾鳔',
+  bie: '別别咇彆徶憋瘪癟虌蛂蟞襒蹩鱉鳖',
+  bin: '傧儐宾彬摈擯斌椕槟檳殡殯汃滨濒濱瀕玢璸砏繽缤膑臏虨豩豳賓邠鑌镔霦髌髕鬓鬢',
+  bing: '丙並併偋兵冫冰寎并庰怲掤摒昺柄炳病禀秉稟窉苪蛃誁邴鉼陃鞞餅饼',
+  bo: '亳伯僠僰剝剥勃博卜哱啵嚗嶓帗帛懪拨挬搏撥播柏檗欂泊波浡渤犦猼玻瓝瓟砵碆礡礴箔簙簸糪缽胉脖膊舶菠葧蔔蕃薄蘗袚袹襏襮譒豰跛踣蹳郣鈸鉑鋍鎛鑮钵钹铂餑餺饽馞駁駮驳髆鱍鵓鹁',
+  bu: '不佈卟吥咘哺埔埠堡峬布怖抪捕捗晡步瓿篰簿蔀补補誧踄轐逋部醭鈽钚钸餔鳪鵏',
+  ca: '嚓囃擦攃礤',
+  cai: '偲啋埰婇寀彩才採材棌猜睬綵縩纔菜蔡裁財财跴踩采',
+  can: '参參嬠孱惨惭慘慚憯掺摻朁残殘澯灿燦璨穇篸粲蚕蠶餐驂骖黪黲',
+  cang: '仓伧倉傖嵢沧滄獊舱艙苍蒼藏鑶鶬',
+  cao: '嘈嶆懆操曹槽漕糙肏艚艸艹草螬襙鄵騲',
+  ce: '侧側冊册厕廁恻惻憡拺测測畟策筴簎粣萴蓛',
+  cen: '参岑嵾梣涔笒',
+  ceng: '噌层層嶒曾蹭驓',
+  cha: '侘偛叉嗏垞奼姹察岔差扠插搽杈查槎檫汊猹疀碴秅紁臿艖茬茶衩詫诧蹅鍤锸镲馇',
+  chai: '侪儕喍囆差拆柴瘥祡虿蠆袃豺釵钗齜',
+  chan: '丳产僝儃儳冁剷劖单嘽嚵囅婵嬋嵼巉幝幨廛忏懺搀摲攙旵梴棎欃毚湹滻潺澶瀍瀺灛煘燀獑產磛禅禪簅繟纏缠羼艬蒇蕆蝉蟬蟾裧襜覘觇諂譂讒谄谗躔辴辿酁鉆鋋鋓鏟鑱铲镡闡阐顫颤饞馋骣',
+  chang: '伥倀倡偿償厂唱嘗嚐场場娼嫦尝常廠徜怅悵惝敞昌昶暢氅淐猖琩瑒畅肠腸苌菖萇裮鋹鋿錩长閶阊韔鬯鯧鱨鲳鼚',
+  chao: '勦吵嘲巢弨怊抄晁朝樔漅潮炒焣焯牊眧窲罺耖訬超轈鄛鈔钞',
+  che: '坼屮彻徹扯掣撤撦澈烢砗硨硩莗車车迠',
+  chen: '儭嗔嚫塵墋宸尘忱愖抻捵揨晨榇樄櫬沈沉煁琛疢瞋碜磣称綝縝臣茞莐蔯螴衬襯諃諶謓讖谌谶賝贂趁踸辰郴鈂鍖陈陳鷐麎齔龀',
+  cheng: '丞乘偁呈城埕塍宬峸庱悜惩懲成承掁撐撑晟朾枨柽棖棦橕橙檉浾湞溗澂澄牚珵琤盛瞠碀秤称程稱竀脀脭荿蛏蟶裎誠诚赬逞郕酲鋮鏿铖饓騁騬骋',
+  chi: '侈傺匙叱吃呎哧啻喫嗤坻墀媸尺弛彳恥懘抶持摛敕斥欼歭池湁漦炽熾瓻痴痸瘈瘛癡眵瞝笞箎篪絺翅翨耻胣胵茌荎蚇蚩蚳螭袲褫誺謘貾赤趍跮踟迟遫遲鉓鉹飭饎饬馳驰魑鴟鶒鷘鸱麶黐齒齝齿',
+  chong: '充冲宠寵崇忡憃憧揰沖浺爞珫种緟罿翀舂艟茺虫蝩蟲衝蹖重銃铳隀',
+  chou: '丑仇俦偢儔吜婤嬦帱幬怞惆愁懤抽搊杻杽栦椆殠燽犨畴疇瘳瞅稠筹篘籌紬絒綢绸臭菗薵裯讎踌躊酬醜雔雠',
+  chu: '亍俶储儊儲出刍初厨埱处媰幮廚怵憷搐摴敊斶杵柷楚楮樗橱檚櫥欻歜滀滁濋犓珿琡畜矗础礎篨絀绌耡臅芻蒢蓫藸處蜍褚触觸諔豖貙趎踀蹰躇躕鄐鉏鋤锄除雏雛鶵鸀黜齣',
+  chuai: '啜嘬揣搋膗膪踹',
+  chuan: '串伝传傳喘圌巛川暷椽歂氚汌猭玔瑏穿舛舡船荈賗踳輲遄釧钏鶨',
+  chuang: '傸凔创刱創幢床怆愴摐疮瘡磢窗闖闯',
+  chui: '倕吹垂捶搥棰椎槌炊箠腄菙錘鎚锤陲',
+  chun: '偆唇媋惷春暙杶椿橁淳漘犉純纯脣莼萶蓴蝽蠢賰輴醇錞鯙鰆鶉鶞鹑',
+  chuo: '嚽娕娖婼惙戳擉歠磭綽绰腏趠踔輟辍辶逴齪龊',
+  ci: '伺佌佽偨刺呲堲嬨差庛慈朿柌栨次此泚濨玼瓷疵皉磁祠糍絘縒茈茦茨莿薋蛓蠀詞词賜赐趀跐辞辭雌飺餈骴髊鮆鶿鹚齹',
+  cong: '丛从匆叢囪囱婃孮徖從悰慒暰枞棇樅欉淙漎潀熜琮瑽璁瞛聪聰苁葱蓯蔥藂蟌謥賨鏦驄骢',
+  cou: '凑湊腠輳辏',
+  cu: '促噈徂憱殂猝瘯簇粗蔟觕踧蹙蹴酢醋顣麤鼀',
+  cuan: '巑撺攛欑汆爨窜竄篡蹿躥鋑镩',
+  cui: '倅催凗啐墔崔嶉悴慛摧榱毳淬漼濢焠璀瘁磪竁粹綷縗翠脆脺膬膵萃趡鏙',
+  cun: '刌吋存寸忖拵村皴籿踆',
+  cuo: '剉剒厝夎嵯挫措搓撮斮棤瑳痤矬磋脞莝蒫蓌蔖蹉躦遳醝銼錯锉错鹺鹾',
+  da: '匒呾咑哒嗒噠大妲怛打搭撘汏沓炟畣瘩笚笪答繨羍耷荅薘褡躂达迖達鎉鎝鐽靼鞑韃龘',
+  dai: '代傣呆呔埭大岱带帶廗待怠戴柋歹殆瀻獃玳甙紿绐艜袋襶貸贷蹛軑軩迨逮靆骀黛',
+  dan: '丹亶伔但僤儋刐勯匰单啖啗啿單嘾噉嚪帎弹彈惮憚憺抌担掸撢撣擔旦暺柦殚殫氮沊泹淡澸澹狚玬甔疸瘅癉癚眈石砃禫窞箪簞紞繵耽聃聸胆膽萏蛋蜑衴襌觛誕诞贉赕郸鄲霮髧鴠黕黮',
+  dang: '儅党凼噹婸宕嵣当愓挡擋攩档檔欓潒澢璗璫瓽當盪砀碭礑簜簹艡荡菪蕩蟷裆襠讜谠逿鐺铛闣黨',
+  dao: '倒刀刂到叨壔导導岛島忉悼捣捯搗擣檤氘焘燾瓙盗盜祷禂禱稻箌纛翢翿舠菿蹈道魛',
+  de: '地得德淂的锝',
+  dei: '得',
+  den: '扥扽',
+  deng: '凳噔墱嬁嶝戥灯燈璒登瞪磴等簦豋蹬邓鄧鐙镫',
+  di: '低厎呧嘀嚁地堤墑墬娣嫡帝底弟弤彽抵提敌敵旳杕柢梊梑棣樀氐涤渧滌滴焍牴狄玓珶甋的眱睇砥碲磾禘笛第篴籴糴締缔羝翟聜苖荻菂菧蒂蔋蔕藡蝃螮袛覿觌觝詆諦诋谛踶蹢軧迪递遞遰邸釱鍉鏑镝阺隄靮鞮馰骶鬄鸐',
+  dia: '嗲',
+  dian: '佃傎典厧坫垫墊壂奠婝婰巅巔店惦扂掂敁槙橝殿淀滇澱点玷电甸瘨癜癫癲碘簟蒧蕇跕踮蹎钿阽電靛顛颠驔點齻',
+  diao: '伄凋刁叼吊屌弔彫扚掉殦琱瞗碉窵蓧藋虭蛁調调貂釣钓铞铫雕雿魡鯛鲷鳭鵰',
+  die: '叠喋垤堞峌嵽惵挕揲昳爹牒瓞疊眣碟絰耋胅臷艓苵蜨蝶褋詄諜谍跌蹀迭镻鰈鲽',
+  ding: '丁仃叮啶定嵿帄椗濎玎疔盯碇碠耵腚萣薡虰訂订酊釘鋌錠钉铤锭靪頂顁顶飣鼎',
+  diu: '丟丢銩铥',
+  dong: '东侗冬冻凍动動咚垌埬墥姛嬞岽峒崠恫懂戙挏東栋棟氡洞涷湩硐絧胨胴苳菄董蕫蝀迵霘駧鶇鸫鼕',
+  dou: '兜唗抖斗枓梪浢痘窦竇篼脰荳蔸蚪豆逗郖都酘鈄陡餖鬥',
+  du: '剢嘟堵妒帾度杜椟櫝殰毒渎渡瀆牍牘犊犢独獨皾督睹碡秺笃篤肚芏蝳蠹裻讀讟读賭贕赌都醏錖鍍镀闍韇韣韥髑黩黷',
+  duan: '偳剬媏断斷椴段毈煅短碫端簖籪緞缎耑腶葮躖鍛锻',
+  dui: '兌兑堆对對怼憝懟濧瀩痽碓祋薱譈鐓镦队隊頧鴭',
+  dun: '伅吨噸囤墩庉惇撉敦楯橔沌潡炖燉盹盾砘礅蜳趸蹲躉遁遯鈍钝頓顿驐',
+  duo: '剁剟剫咄哆哚喥嚲垛埵堕墮墯多夺奪奲嶞度惰掇敓敪朵柁柮椯毲綞缍舵裰趓跢跺踱躲鍺鐸铎陊陏鮵鵽',
+  e: '俄匎厄吪呃咢哦噁噩囮垩堊堮姶娥婀屙岋峉峨崿廅恶惡愕扼搤搹枙櫮歞涐珴痾皒睋砐砨腭苊莪萼蚅蛾蝁訛詻諤讹谔豟軛軶轭迗遏鄂鍔鑩钶锇锷閼阏阨阿頞額顎颚额餓餩饿魤鱷鳄鵝鶚鹅鹗齃齶',
+  ei: '誒诶',
+  en: '奀峎恩摁蒽',
+  er: '二佴侕儿兒刵咡唲尒尔峏栭栮樲毦洏洱爾珥而耳聏胹荋薾衈貳贰輀迩邇鉺铒陑鞥餌饵駬鮞鲕鴯鸸',
+  fa: '乏伐发垡沷法珐琺疺發瞂砝筏罚罰茷藅醱閥阀髮',
+  fan: '凡勫反墦奿嬏帆幡旛杋柉梵樊橎氾汎泛渢滼瀪瀿烦煩燔犯璠畈番矾礬笲笵範籓籵繁繙羳翻膰范蕃薠藩蘩蠜販贩蹯軓軬轓返釩鐇钒颿飯饭鱕鷭',
+  fang: '仿倣匚坊妨彷房放方昉枋汸淓瓬紡纺肪舫芳訪访邡鈁钫防髣魴鲂鶭',
+  fei: '俷剕匪厞吠啡奜妃婓屝废廢悱扉斐昲曊朏棐榧櫠沸淝濷狒疿痱癈篚緋绯翡肥肺胇腓芾菲萉蜚蜰蟦裶誹诽費费鐨镄陫霏非飛飞餥馡騑騛鯡鲱鼣',
+  fen: '份偾僨兝分吩坟墳奋奮妢幩弅忿愤憤昐枌梤棻棼橨氛汾濆瀵炃焚秎粉粪糞紛纷羒羵翂膹芬蒶蕡蚡衯豶轒酚鈖鐼雰饙魵鲼黂黺鼖鼢',
+  feng: '丰俸偑冯凤唪堸夆奉妦封峰崶捀摓枫桻楓檒沣灃烽焨犎猦甮疯瘋砜縫缝艂葑蘴蜂覂覅諷讽豐賵逢酆鋒锋風飌风馮鳳麷',
+  fo: '佛坲',
+  fou: '否殕紑缶缹鴀',
+  fu: '付伏伕佛俘俛俯偩傅冹凫刜副匐呋呒咈咐嘸垘垺复夫妇姇婦嬔孚孵富尃岪峊巿幅幞府弗弣彿復怤怫扶抚拂拊撫敷斧服枎柎柫桴棴榑氟泭洑浮涪滏澓烰父玸琈甫痡砆砩祓祔福稃符笰箙簠糐紨紱紼綍綒緮縛绂绋缚罘罦翇肤胕腐腑腹膚艀艴芙芣苻茀茯荂荴莩菔萯葍蕧虙蚥蚨蚹蛗蜅蜉蝜蝠蝮衭袱複褔襆覆訃諨讣負賦賻负赋赙赴趺跗踾輔輹輻辅辐邞郙郛鄜釜鈇鍑阜阝附韍頫馥駙驸鮒鰒鲋鳆鳧鳺鴔鵩鶝麩麸黻黼',
+  ga: '呷咖嘎噶夹尕尜尬旮钆',
+  gai: '丐侅垓峐戤摡改杚概溉瓂盖祴絯芥荄蓋該该豥賅賌赅鈣钙阣陔隑',
+  gan: '乾凎坩尴尷干幹感扞擀敢旰杆柑桿榦橄泔淦漧澉灨玕甘疳皯盰矸秆稈竿笴筸簳紺绀肝苷詌贛赣赶趕酐骭鰔鳱',
+  gang: '冈刚剛堈堽岗岡崗戆杠棡槓港犅疘矼筻綱纲缸罡肛釭鋼钢',
+  gao: '勂告搞暠杲槁槔檺櫜滜煰皋睾祰稿筶篙糕縞缟羔膏藁誥诰郜鋯锆镐韟高鷎鼛',
+  ge: '个仡佮個割各合咯哥哿嗝圪塥愅戈挌搁搿擱格歌滆滒犵獦疙硌箇纥肐胳膈舸茖葛虼袼觡輵轕铬镉閣閤阁隔革鞈鞷韐騔骼鬲鮯鴐鴿鸽',
+  gei: '給给',
+  gen: '亘亙哏揯根艮茛跟',
+  geng: '哽埂堩庚挭更梗浭綆緪绠羹耕耿菮賡赓郠颈骾鯁鲠鶊',
+  gong: '供公共功匑塨宫宮工巩幊廾弓恭愩拱拲攻栱汞珙羾肱蚣觥貢贡躬輁鞏龔龚',
+  gou: '佝冓勾垢够夠姤媾岣彀搆构枸構沟溝狗笱篝緱缑耇芶苟茩蚼袧覯觏詬诟購购遘鉤钩雊鞲韝',
+  gu: '估僱凅古呱咕唃啒嘏固堌夃姑嫴孤尳崮愲扢故柧梏棝榖榾橭毂汩沽泒淈濲瀔牯牿痼盬瞽稒穀箍箛縎罛罟羖股臌菇菰蓇薣蛄蛊蛌蠱觚詁诂谷軱轂轱辜酤鈲鈷錮钴锢雇顧顾骨鮕鲴鴣鶻鸪鹄鹘鼓',
+  gua: '刮剐剮劀卦寡挂掛栝瓜絓緺罣罫聒胍褂詿诖趏颳騧鴰鸹',
+  guai: '乖夬怪拐掴摑枴柺',
+  guan: '丱倌关冠官悹悺惯慣掼摜棺毌涫灌爟琯瓘痯瘝盥矔祼筦管罐莞觀观貫贯錧鑵關雚館馆鰥鱞鱹鳏鸛鹳',
+  guang: '俇光咣垙广廣撗桄洸炚烡犷獷珖胱臦臩茪逛銧',
+  gui: '佹傀刽刿劊劌匦匭匱厬圭垝妫姽媯嫢宄嶡巂庋庪廆归摫撌昋晷朹柜桂桧槶槻槼檜櫃歸氿湀炔珪瑰癐癸皈瞡瞶硅祪禬窐筀簂簋茥蛫螝蟡襘規规觤詭诡貴贵跪軌轨邽閨闺騩鬼鮭鱖鲑鳜龜龟',
+  gun: '丨惃棍滚滾璭睔磙緄绲蔉衮袞袬輥辊鯀鲧',
+  guo: '呙咼嘓国國埚堝墎崞帼幗彉惈慖果椁槨淉漍濄猓瘑粿聝膕蔮虢蜾蝈蟈裹輠过過郭錁鍋鐹锅馘',
+  ha: '哈蛤铪',
+  hai: '亥咍咳嗐嗨妎孩害氦海烸胲还還醢頦餀駭骇骸',
+  han: '函含咁哻唅喊嫨寒嵅悍憨憾捍撖撼旱晗晥暵梒歛汉汗涆涵漢瀚焊焓熯琀甝睅罕翰肣菡蔊虷蚶蜬蜭螒譀谽豃邗邯酣釬銲鋎鋡閈阚雗韓韩頇頷顄顸颔馯駻鬫魽鶾鼾',
+  hang: '夯斻杭沆珩笐絎绗航苀蚢行貥迒頏颃魧',
+  hao: '号哠嗥嚆嚎壕好悎昊昦毫浩淏滈澔濠灏灝皓皜皞秏籇耗茠蒿薃薅薧號蚝蠔諕譹豪貉郝鄗鎬顥颢鰝',
+  he: '何佫劾厒合吓和喝嗃嗬壑姀峆敆曷核楁欱毼河涸渮澕煂熆熇盉盍盒礉禾篕籺紇翮翯荷菏蚵螛褐覈訶謞诃貉賀贺赫輅郃鉌鑉闔阂阖鞨頜颌魺鶡鶴鹤麧齕龢',
+  hei: '嘿潶黑',
+  hen: '佷很恨拫狠痕鞎',
+  heng: '亨哼啈姮恆恒桁横橫烆胻脝蘅衡鑅',
+  hm: '噷',
+  hong: '仜吰吽哄嗊嚝妅宏弘彋揈汯泓洪浤渱渹澋澒灴烘焢玒竑竤紅紘红翃耾苰荭葒蕻薨虹訇訌讧谹谼谾輷轟轰鈜鋐鍧閎闳霐霟鞃鬨魟鴻鸿黉黌',
+  hou: '侯候厚后吼喉垕堠後洉猴瘊篌糇翭翵葔逅郈鄇鍭餱骺鯸鱟鲎齁',
+  hu: '乎互冱匢呼和唬唿嗀嘝囫垀壶壺婟媩嫭嫮寣岵幠弧忽怙惚戶户戽扈抇护搰斛昈昒曶枑核楛楜槲槴歑汻沍沪浒淴湖滬滸滹瀫烀焀煳熩狐猢琥瑚瓠祜笏糊綔縠胡膴芐葫蔰虍虎虖蝴螜衚觳謼護轷鄠醐鍙雽韄頀餬鬍魱鰗鵠鶘鶦鹕鹱',
+  hua: '划劃化华哗嘩姡嫿嬅崋搳摦杹桦槬樺滑澅猾画畫繣花華螖觟話譁话釪釫鋘錵鏵铧驊骅鷨',
+  huai: '咶坏壞徊怀懷槐櫰淮瀤蘹蘾褢褱諙踝',
+  huan: '唤喚嚾圜奂奐嬛宦寰峘幻患懽换換擐攌桓欢歡洹浣涣渙漶澣澴焕煥犿狟獾环瑍環瓛痪瘓睆瞣綄緩繯缓缳羦肒荁萑讙豢豲貆轘还逭郇酄鍰鐶锾闤雈驩鬟鯇鲩鴅',
+  huang: '偟凰喤堭媓崲巟幌徨怳恍惶慌晃楻榥湟滉潢炾煌熀熿獚璜癀皇皝磺穔篁篊簧肓艎荒葟蝗蟥衁諻謊谎趪遑鍠鎤隍韹餭騜鰉鳇鷬黃黄',
+  hui: '会佪匯卉咴哕喙嘒噅噦回圚孈彗彙徻徽恚恛恢悔惠慧憓拻挥揮撝晖晦暉會楎槥橞檓毀毁毇汇洃洄浍潓澮濊灰烠烩煇燬燴獩珲璯痐瘣瞺禈秽穢篲繢繪绘缋翬翽芔茴荟蔧蕙薈薉藱蘳虺蚘蛔蟪褘詼誨諱譓譭譿讳诙诲豗賄贿輝辉迴鏸鐬闠隓隳顪餯鰴麾',
+  hun: '倱圂婚惛慁掍昏梡棔殙浑涽混渾溷琿睧睯繉荤葷觨諢诨轋閽阍餛馄魂鼲',
+  huo: '伙佸劐吙和嚄嚯夥惑或捇掝攉曤檴沎活湱漷濩瀖火獲眓矐砉祸禍秮穫耠臛获藿蠖謋豁貨货鈥鑊钬锪镬霍靃騞',
+  ji: '丌丮乩亟伋伎佶偈偮冀几击刉剂剞劑勣即及叽吉咭哜唧嘰嚌圾基塈塉墼奇妀妓姞姬嫉季寂寄屐岌嵇嵴嶯己幾庴彐彶徛忌忣急悸惎懻戟戢技挤掎揤撠擊擠敧旡既暨暩期机极枅棘楫極槉機橶檕櫅殛毄汲泲洎济湒漃漈潗激濈濟瀱犄狤玑璣畸畿疾痵瘠癠癪矶磯祭禨积稘稷稽穄穊積穖穧笄笈箕簊籍系紀紒級緝績繼级纪给继绩缉罽羁羇羈耤肌脊膌臮芨芰茍茤荠蒺蓟蔇蕀蕺薊薺藉蘮蘻虀虮螏蟣裚襋覬觊觙觭計記誋諅譏计讥记诘谻赍趌跡跻跽踖蹐蹟躋輯轚辑迹鄿銈銡錤鏶鐖鑇际際隮集雞霁霵霽鞿飢饑饥驥骥髻鬾魕鯚鰶鰿鱀鱭鲚鲫鵋鶺鷑鸄鸡麂齌齎齏齑',
+  jia: '价伽佳假傢價加唊嘉夹夾婽嫁家岬幏徦恝戛扴抸斝架枷梜椵榎檟毠泇浃浹犌猳玾珈甲痂瘕稼笳耞胛茄荚莢葭蛱蛺袈袷裌豭貑賈贾跏跲迦郏郟鉀鉿鋏鎵钾铗镓鞂頰颊駕驾鴶鵊麚',
+  jian: '件俭俴健僭儉兼减剑剪劍劗囝坚堅堿奸姦寋尖幵建惤戋戔戩戬拣挸捡揀揃搛撿暕枧柬栫检椷楗榗檢櫼歼殲毽洊涧渐減湔湕溅漸澗濺瀳瀸煎熞熸牋牮犍猏珔瑊瑐监監睑瞷瞼硷碱礛笕笺筧简箋箭簡籛糋緘縑繭缄缣翦肩腱舰艦艰艱茧荐菅菺葌葥蒹蔪蕑薦藆虃螹袸裥襉襺見见諓諫謇譾谏谫豜賤贱趼践踐踺蹇轞鉴鋻鍵鐱鑑鑒鑯鑳锏键間间鞬鞯韉餞餰饯鬋鰎鰹鲣鳽鵳鶼鹣鹼麉',
+  jiang: '傋僵匠奖姜将將嵹弶强彊桨槳橿殭江洚浆漿犟獎疆礓糨絳绛缰翞耩膙茳蒋蔣薑螿袶講謽讲豇酱醬降韁顜',
+  jiao: '交佼侥僥僬儌剿劋叫嘂嘄噍噭嚼姣娇嬌嬓峤嶕嶠徼恔憍憿挍挢捁搅摷撟攪教敫敿斠曒校椒浇湫滘潐澆灚焦煍燋狡獥珓皎皦皭矫矯礁穚窌窖簥絞繳绞缴胶脚腳膠膲艽茭蕉蛟蟜蟭觉角譑譥趭跤較轇轎轿较郊酵醮釂鉸鐎铰餃饺驕骄鮫鱎鲛鵁鷍鷦鷮鹪',
+  jie: '介借倢傑劫劼卩吤喈嗟姐婕媎孑尐屆届岊岕崨嵥巀幯悈戒截拮捷接揭昅杰桀椄楬楶榤檞洁湝滐潔犗玠界疌疖疥痎癤皆睫砎碣秸竭節結絜结羯节芥菨蚧蛶蝍蝔蠽街衱袺褯解訐詰誡謯讦诫踕躤迼鉣鍻阶階鞊颉骱鮚鲒鶛',
+  jin: '仅今伒僅僸儘劲勁卺噤嚍埐堇堻墐妗嬧寖尽嶜巹巾廑惍搢斤晉晋枃槿殣津浸溍濜烬燼珒瑾璡璶盡矜祲禁筋紟紧緊縉缙荩菫蓳藎衿襟覲觐觔謹谨賮贐赆近进進金釿錦钅锦靳饉馑',
+  jing: '丼井京俓倞儆兢净凈刭剄劲境婛婧巠幜弪弳径徑惊憬憼敬旌旍景晶暻桱汫泾涇淨燛獍璟璥痉痙睛竞竟竫競粳精經经肼胫脛腈茎荆荊莖菁蟼警迳逕鏡镜阱靓靖静靚靜頸颈驚鯨鲸鵛鶁鶄麠鼱',
+  jiong: '冂冏囧坰扃泂浻炅炯煚熲窘絅褧迥駉',
+  jiu: '久九僦勼厩咎啾就廄慦捄揂揪揫摎救旧朻柩桕樛殧灸牞玖疚究糾纠臼舅舊萛赳酒阄韭鬏鬮鯦鳩鷲鸠鹫麔',
+  ju: '举侷俱倨僪具剧劇匊句咀埧壉姖娵寠局居屦屨岠崌巨怐怚惧懅懼拒拘挶据掬據桔梮椇椈椐榉榘橘櫸沮泃洰涺淗湨澽炬焗犋犑狊狙琚疽痀矩砠秬窭窶筥粔罝耟聚腒舉苣苴莒菊菹蒟蘜虡蚷蜛袓裾詎讵豦貗趄趜跙距跼踘踙踞踽躆輂车遽郹醵鉅鋦鋸鐻钜锔锯閰陱雎鞠鞫颶飓駏駒駶驧驹鮈鵙鵴鶋鶪鼳齟龃',
+  juan: '倦卷圈娟帣捐捲桊涓焆狷獧眷睊睠絭絹縳绢罥脧臇菤蔨蠲裐鄄錈鐫锩镌隽雋鵑鹃',
+  jue: '倔傕决劂匷厥噘噱嚼孓屩崛彏憰戄抉捔掘撅攫桷橛殌決泬爝爵獗玃玦玨珏瘚矍絕绝臄芵蕝蕨虳蚗蟨覺觉角觖觼訣譎诀谲貜赽趉趹蹶蹻躩鈌鐍钁镢駃鴃鶌鷢',
+  jun: '俊军君呁均寯峻捃晙桾棞浚濬焌燇珺畯皲皸碅竣箘莙菌蚐蜠袀軍郡鈞鍕钧餕駿骏鮶鵔鵘麇',
+  ka: '佧卡咔咖喀擖胩鉲',
+  kai: '凯凱剀剴勓垲塏开忾恺愒愷愾慨揩暟楷欬烗蒈輆鍇鎎鎧铠锎锴開闓颽',
+  kan: '侃刊勘坎埳堪墈崁嵁戡槛檻欿歁看瞰矙砍磡竷莰衎轗闞顑龕龛',
+  kang: '亢伉匟囥嫝康慷扛抗摃漮炕犺糠邟鈧鏮钪閌闶',
+  kao: '尻拷攷栲洘烤犒考銬铐靠',
+  ke: '克刻剋勀匼可嗑坷堁壳客岢嵑嵙嶱恪搕敤柯棵榼樖殼氪渴溘牁犐珂疴瞌砢磕科稞窠緙缂翗艐苛薖蝌課课趷軻轲鈳錒锞顆颏颗騍骒髁',
+  ken: '啃垦墾恳懇掯肯裉豤錹齦龈',
+  keng: '吭坑挳牼硜硻誙銵鍞鏗铿阬',
+  kong: '倥孔崆恐悾控涳硿空箜錓鞚',
+  kou: '口叩寇彄扣抠摳滱眍瞉筘簆芤蔻釦鷇',
+  ku: '刳哭喾嚳堀库庫枯桍狜瘔矻窟绔胐苦裤褲趶跍酷骷',
+  kua: '侉垮夸姱挎胯舿誇跨銙骻',
+  kuai: '会侩儈哙噲块塊廥快旝狯獪筷脍膾蒯郐鄶鱠',
+  kuan: '宽寬款窾臗髋髖',
+  kuang: '况劻匡哐圹壙夼恇懭旷曠框況洭爌狂眶矌矿礦穬筐絖纊纩誆誑诓诳貺贶軦邝鄺鵟',
+  kui: '亏刲匮喟喹嘳夔奎媿嬇岿巋悝愦愧憒戣揆暌楏楑樻櫆欳溃潰煃犪盔睽窥窺篑簣聧聩聵腃葵蒉蕢藈蘬虧蝰跬蹞躨逵鄈鍷鐀闚隗頄頍頯顝餽饋馈馗騤魁',
+  kun: '困坤壼崑悃捆昆晜梱涃焜猑琨睏硱稛綑菎裍褌醌錕锟閫阃騉髡鯤鲲鶤齫',
+  kuo: '廓懖扩括擴筈萿葀蛞闊阔霩鞹韕髺鬠',
+  la: '剌啦喇垃拉揧搚旯柆楋瘌砬翋腊臘菈落藞蜡蠟辣邋鑞鞡鬎',
+  lai: '來唻崃崍庲徕徠来棶涞淶濑瀨癞癩睐睞箂籁籟莱萊藾賚賴赉赖郲錸铼騋鯠鶆',
+  lan: '兰嚂壈婪嬾岚嵐惏懒懶拦揽攔攬斓斕栏榄欄欖欗浨滥漤澜濫瀾灆灠灡烂爁爛爦篮籃籣糷纜缆罱蓝藍蘭褴襤襴覽览譋讕谰躝醂鑭镧闌阑顲',
+  lang: '啷埌塱崀廊朗桹榔欴浪烺狼琅瑯硠稂筤莨蒗蜋螂誏郎鋃鎯锒閬阆駺',
+  lao: '佬僗劳勞咾唠嘮姥嫪崂嶗恅捞撈栳橑橯浶涝潦澇烙牢狫痨癆簩老耢荖落蟧軂轑酪醪銠鐒铑铹顟',
+  le: '乐了仂儡儽勒叻垒壘壨嫘扐擂樂樏檑櫐櫑欙氻泐灅瓃畾癗砳磊磥礌礧礨竻絫縲纍缧罍羸耒肋蔂蕾藟蘲虆蠝誄讄诔轠鐳鑸镭阞雷鰳鳓鸓',
+  lei: '嘞泪淚禷类累纇蘱酹銇頛類',
+  leng: '倰冷堎塄崚愣棱楞睖稜薐踜輘',
+  li: '丽例俐俚俪傈儮儷兣利剺劙力励勵历厉厘厤厲吏呖唎唳喱嚦坜塛壢娌嫠孋孷屴岦峛廲慄戾搮攡攦斄曆曞朸杝枥栎栗梨梩樆櫟櫪欐欚歷沥沴浬溧漓澧濿瀝灕犁犡猁理琍瑮璃瓅疠疬痢癘皪盭砅砺砾磿礪礫礼禮禲离秝立笠筣篥篱籬粒粝粴糎糲綟縭纚缡罹苈苙荔莅莉菞蒚蒞蓠蔾藜藶蘺蚸蛎蜊蜧蝷蠡蠣蠫褵觻詈謧豊貍赲跞躒轢轹逦邐郦酈醨醴里釐鋰鎘鑗锂隶隸離雳騹驪骊鬁鯉鯬鱧鱺鲡鲤鳢鴗鵹鷅鸝鹂麗麜黎黧',
+  lia: '俩倆哩娳攭李狸瓥裡讈轣靂靋鱱鱳',
+  lian: '僆嗹堜奁奩嬚帘廉怜恋憐戀摙敛斂楝槤殓殮浰涟湅溓漣潋澰濂瀲炼煉琏璉磏簾練縺练羷翴联聯脸臁臉莲萰蓮蔹薕蘞蠊裢裣褳襝覝謰蹥连連鄻鍊鎌鏈鐮链镰鬑鰱鲢',
+  liang: '两亮俍兩凉啢喨墚悢晾梁椋樑涼湸粮粱糧綡緉良裲諒谅踉輛輬辆量魉魎',
+  liao: '了僚嘹嫽寥寮尥屪嵺嶚廖憀憭撂撩敹料暸漻炓燎獠疗療瞭窷簝繚缭聊膋膫蓼蟟豂辽遼鄝釕鐐钌镣镽飉鷯鹩',
+  lie: '儠冽列劣咧哷埒姴捩擸栵洌烈犣猎獵睙脟茢蛚裂趔躐迾颲鬣鮤鴷',
+  lin: '临亃僯凛凜吝啉壣嶙廩廪懍懔拎暽林橉檁檩淋潾焛燐琳璘甐疄痳瞵碄磷箖粼繗翷膦臨菻蔺藺賃赁蹸躏躪轔辚遴邻鄰鏻閵霖驎鱗鳞麟',
+  ling: '令伶凌另呤囹坽夌姈婈岭嶺彾昤柃棂櫺欞泠淩澪灵炩爧狑玲琌瓴皊砱笭綾绫羚翎聆舲苓菱蔆蕶蘦蛉裬詅軨酃醽鈴錂铃陵零霝靈領领駖鯪鲮鴒齡龄',
+  liu: '六刘劉塯媹嬼嵧廇懰旒柳榴流浏溜瀏熘珋琉留瘤硫磟綹绺罶翏蓅藰蟉裗蹓遛鉚鎏鎦鏐锍镏雡霤飀飂飹餾馏騮骝鰡鶹鷚鹨麍',
+  long: '儱咙哢嚨垄垅壟巃徿拢攏曨朧栊梇櫳泷瀧珑瓏癃矓砻礱窿笼篢簼籠聋聾胧茏蘢蠪蠬襱豅躘鏧鑨陇隆隴靇鸗龍龒龙',
+  lou: '偻僂喽嘍塿娄婁嵝嶁廔慺搂摟楼樓漊漏熡瘘瘺瞜篓簍耧耬艛蒌蔞蝼螻謱鏤镂陋露鞻髅髏',
+  lu: '僇六卢卤噜嚕嚧坴垆塶壚庐廘廬彔录戮掳摝撸擄擼攎栌橹櫓櫚櫨氇氌泸淕淥渌滷漉潞瀘炉熝爐玈琭璐璷甪盝盧睩硉碌磠祿禄稑穋簏簬籙籚纑绿罏胪臚舻艣艫芦菉蓾蔍蕗蘆虏虜螰蠦賂赂路踛蹗轆轤轳辂辘逯醁錄錴鏀鏕鐪鑪镥陆陸露顱颅騄魯鯥鱸鲁鲈鵱鷺鸕鸬鹭鹵鹿麓',
+  lv: '侣侶儢勴吕呂垏屡屢履嵂律慮挔捋旅梠榈氀氯滤濾率祣稆穭絽綠縷繂绿缕膂膟膢葎藘虑褛褸郘鋁鑢铝閭闾驢驴鷜',
+  luan: '乱亂卵圞奱娈孌孪孿峦巒挛攣曫栾欒滦灤癵羉脔臠銮鑾鸞鸾',
+  lve: '掠擽略鋝锊',
+  lun: '仑伦侖倫囵圇崙惀抡掄棆沦淪溣碖稐綸纶菕蜦論论踚輪轮錀陯',
+  luo: '倮儸剆囉峈摞椤欏泺洛漯濼犖猡玀珞瘰箩籮絡纙络罗羅脶腡臝荦萝落蓏蘿螺蠃裸覶逻邏鉻鏍鑼锣镙雒駱騾骆骡鮥鵅鸁',
+  ma: '傌吗呣唛嗎嘛嘜妈媽嬤嬷孖杩榪溤犘犸玛瑪痲码碼礣禡罵蚂螞蟆鎷馬马骂鬕鷌麻',
+  mai: '买劢勱卖嘪埋脈脉荬薶買賣迈邁霢霾鷶麥麦',
+  man: '僈埋墁姏嫚屘幔悗慢慲曼槾樠满滿漫熳獌睌瞒瞞矕縵缦蔓蛮螨蠻謾谩鄤鏝镘鞔顢颟饅馒鬗鬘鰻鳗',
+  mang: '哤壾娏尨庬忙杗氓汒漭牻痝盲硥硭笀芒茫茻莽蛖蟒邙鋩駹',
+  mao: '兞冇冒卯堥媢嫹峁帽懋旄昴枆楙毛毷氂泖渵牦犛猫瑁眊瞀矛罞耄芼茂茅茆萺蓩蝐蝥蟊袤貌貓貿贸軞鄚鄮酕錨铆锚髦髳鶜',
+  me: '么嚜麼',
+  mei: '呅堳塺妹媄媒媚媺寐嵋徾挴攗昧枚梅楣每沒没沬浼渼湄煝煤燘猸玫瑂痗眉眛禖穈美脢腜苺莓蘪蝞袂郿酶鋂鎂镁镅霉韎魅鹛黴',
+  men: '亹们們悶懑懣扪捫暪焖燜璊菛虋鍆钔門门闷',
+  meng: '儚勐夢孟幪懞懵曚朦梦檬氋濛猛瓾甍甿盟瞢矇礞艋艨莔萌蒙蕄蘉虻蜢蠓鄳鄸錳锰霥霿饛鸏鼆',
+  mi: '冖冞冪咪嘧塓宓密峚幂幎幦弥弭彌攠敉榓汨沕泌渳滵漞濔瀰灖熐爢猕獼瓕眯瞇祕祢禰秘米糜糸縻羃羋脒芈葞蔝蔤蘼蜜覓覛觅謎謐谜谧迷醚醾銤靡鸍麊麋麛鼏',
+  mian: '丏偭免冕勉喕娩婂媔宀愐棉櫋沔渑湎澠眄眠矊矏絻綿緬绵缅腼葂蝒面鮸麵黽黾',
+  miao: '喵妙媌庙廟描杪淼渺玅眇瞄秒篎緲缈缪苗藐邈鱙鹋',
+  mie: '乜咩幭懱搣滅灭篾蔑薎蠛衊覕鱴',
+  min: '僶刡岷崏忞怋悯愍憫抿敃敏敯旻旼暋民泯湣潣珉痻皿笢簢緡缗罠苠蠠鈱錉閔閩闵闽鳘',
+  ming: '冥名命姳嫇慏明暝榠洺溟眳瞑茗蓂螟覭詺鄍酩銘铭鳴鸣',
+  miu: '缪謬谬',
+  mo: '劘嗼塻墨妺嫫寞抹摩摸摹暯末枺模歾歿殁没沫漠瀎爅瘼眽瞙磨秣粖糢纆耱脉膜茉莈莫蓦藦蘑蛨蟔謨谟貊貘銆鏌镆陌靺饃馍驀髍魔麽默',
+  mou: '侔哞某洠牟眸瞴繆缪蛑謀谋鉾鍪鴾麰',
+  mu: '亩仫募坶墓姆峔幕幙慔慕拇暮木楘模母毣毪氁沐炑牡牧牳畝目睦砪穆縸艒苜莯蚞踇鉧鉬钼霂鞪',
+  na: '哪嗯妠娜拏拿挐捺笝納纳肭衲豽貀軜那鈉钠镎魶',
+  nai: '乃倷奈奶妳嬭孻摨柰氖渿耏耐艿萘螚褦迺釢錼鼐',
+  nan: '南喃囡婻戁揇暔柟楠湳男腩莮萳蝻諵赧难難',
+  nang: '囊囔擃攮曩灢蠰譨馕鬞齉',
+  nao: '呶垴夒婥孬峱嶩怓恼惱挠撓淖猱獶獿瑙硇碙脑腦臑蛲蟯譊鐃铙闹鬧',
+  ne: '吶呐呢疒眲訥讷',
+  nei: '內内娞氝腇餒馁',
+  nen: '嫩恁',
+  neng: '能',
+  ni: '伲你倪儗匿坭堄妮婗嫟尼屔怩惄抳拟擬旎昵晲暱柅檷泥淣溺狔猊睨秜縌腻膩臡苨薿蜺觬誽跜輗迡逆郳鈮铌隬霓馜鯓鯢鲵麑齯',
+  nian: '卄哖唸埝姩年廿念拈捻撚撵攆涊淰碾簐粘蔫跈蹍躎輦辇辗鯰鲇鲶黏鼰',
+  niang: '娘孃酿釀',
+  niao: '嫋嬝嬲尿脲茑蔦袅裊褭鳥鸟',
+  nie: '啮喦嗫嚙囁囓孽嵲嶭巕捏摰敜槷櫱涅篞糱聂聶臬臲苶蘖蠥讘踂踗蹑躡鎳鑈鑷钀镊镍闑陧隉顳颞齧',
+  nin: '您拰',
+  ning: '佞儜凝咛嚀嬣宁寍寧拧擰柠檸泞濘狞獰甯聍聹苧薴鑏鸋',
+  niu: '妞忸扭炄牛狃紐纽莥鈕钮',
+  nong: '侬儂农哝噥弄浓濃穠繷脓膿襛農醲齈',
+  nou: '檽獳羺耨鎒',
+  nu: '努奴孥弩怒砮笯胬駑驽',
+  nv: '女恧朒籹衄釹钕',
+  nuan: '奻暖渜煖餪',
+  nve: '疟瘧虐',
+  nuo: '傩儺喏懦懧挪搦梛橠糑糯諾诺逽锘',
+  o: '哦喔噢',
+  ou: '偶区吘呕嘔怄慪櫙欧歐殴毆沤漚熰瓯甌耦腢蕅藕藲謳讴鏂鷗鸥齵',
+  pa: '啪帊帕怕掱杷爬琶筢舥葩袙趴',
+  pai: '俳哌徘拍排棑派湃牌犤簰蒎迫鎃',
+  pan: '判叛媻幋拚搫攀槃沜泮洀溿潘瀊爿牉畔番盘盤盼眅磐磻縏蒰蟠袢襻詊跘蹒蹣鞶頖',
+  pang: '乓厖嗙庞徬旁滂耪胖舽螃逄雱龐',
+  pao: '刨匏咆奅庖抛拋泡炮炰狍疱皰砲脬袍跑鞄麃麭',
+  pei: '伂佩俖呸培姵帔怌旆柸毰沛浿珮胚衃裴賠赔轡辔配醅锫陪霈駍',
+  pen: '呠喷噴歕湓盆翸葐',
+  peng: '倗剻匉嘭堋弸彭怦恲憉抨捧掽朋棚椪樥漰澎烹皏砰硼碰磞篣篷膨芃蓬蟛踫軯輣錋鑝閛韸髼鬅鵬鹏',
+  pi: '丕仳伓伾僻劈匹否啤噼嚭圮坯埤媲屁岯崥庀憵批披揊擗枇毗毘毞淠潎澼狉琵甓疋疲痞癖皮睥砒礔秠稫紕纰罴羆翍脾膍芘蚍蚽蚾蜱螷諀譬貔辟邳郫釽鈚鈹銔銢錍铍闢阰陴霹駓髬魾鴄鵧鷿鼙',
+  pian: '便偏媥扁楄楩片犏篇翩胼諞谝貵跰蹁駢騙骈骗骿鶣',
+  piao: '僄剽嘌嫖彯慓旚朴殍漂犥瓢皫瞟票篻縹缥翲薸螵醥顠飄飘魒',
+  pie: '丿嫳撇氕瞥苤',
+  pin: '品嚬姘嫔嬪拼榀牝玭矉礗聘蠙貧贫頻顰频颦驞',
+  ping: '乒俜凭呯坪娉屏帡平憑枰泙洴涄淜玶瓶甹砯竮缾艵苹荓萍蓱蘋蛢評评軿郱頩鲆',
+  po: '叵坡婆岥岶昢朴桲櫇泊泼潑烞珀皤破笸粕蒪謈迫鄱釙鏺钋钷頗颇魄',
+  pou: '剖婄抔捊掊裒',
+  pu: '仆僕匍噗圃堡墣扑撲攴普暴曝朴樸氆浦溥潽濮瀑烳獛璞瞨纀脯舖莆菩葡蒱蒲譜谱蹼酺鋪鏷鐠铺镤镨駇鯆',
+  qi: '七乞亓企俟倛僛其凄启呇咠唭啟嘁器圻埼奇契妻娸婍屺岂岐岓崎弃忔忯悽慼憩懠戚掑攲旂旗期杞柒栔栖桤桼棄棋棨棲榿槭欺歧气氣汔汽沏泣淇淒湆湇漆濝玂琦琪甈畦疧盵砌碕碛磧磩祁祇祈祺綦綮綺緀绮罊耆肵脐臍艩芑芞芪萁萋葺蕲藄蘄蚑蚔蚚蛣蛴蜞蟿蠐訖諆諿讫豈起跂踑蹊軝迄迉邔郪釮錡鏚霋頎颀騎騏骐骑鬐鬿魌鯕鰭鳍鵸鶀鶈麒麡鼜齊齐',
+  qia: '冾卡帢恰愘掐殎洽硈葜酠髂',
+  qian: '乾仟仱佥俔倩傔僉兛凵前千嗛堑塹墘奷婜媊孅岍岒嵌忴悭愆慊慳扦扲拑掔掮揵搴攐攓棈椠榩槏槧檶櫏欠歉汧浅淺潛潜灊牵牽瓩签箝篟簽籤粁綪縴繾缱羬肷脥芊芡茜蒨蕁虔蜸褰謙譴谦谴軡輤迁遣遷鈆鈐鉗鉛錢钎钤钱钳铅阡雃靬韆顅騚騝騫骞鰜鰬黔黚',
+  qiang: '丬呛唴嗆墏墙嫱嬙将嶈廧強强戕戗戧抢搶斨枪椌槍樯檣漒炝熗牄牆瑲繈羌羟羥羻腔蔷薔蘠蜣襁謒跄蹌蹡錆鎗鏘鏹锖锵镪',
+  qiao: '乔侨俏僑劁喬嘺墝墽壳嫶峭巧帩幧悄愀憔撬撽敲桥樵橇橋毃燆犞瞧硗磽礄窍竅繑缲翘翹荍荞菬蕎誚譙诮谯趫趬跷踍蹺躈郻鄡鍬鐰锹雀鞒鞘頝骹髜',
+  qie: '且切妾怯惬愜挈朅洯癿窃竊箧篋緁藒蛪踥郄鍥鐑锲鯜',
+  qin: '亲侵勤吣唚嗪噙坅埁嫀寑寝寢嶔庈慬懃揿撳擒斳昑梫檎欽沁溱澿瀙琴瘽禽秦笉綅耹芩芹菣菳藽蚙螓螼衾親鈙鋟钦锓雂靲顉駸鬵鳹',
+  qing: '亲倾傾凊勍卿圊埥庆廎情慶掅擎擏晴樈檠殑氢氫氰清漀狅碃磬箐罄苘葝蜻請謦请輕轻郬鑋青靘頃顷鲭黥',
+  qiong: '惸憌桏橩煢琼璚瓊瓗瞏穷穹窮笻筇舼芎茕藑藭蛩蛬赹跫邛銎',
+  qiu: '丘仇俅唒囚坵媝崷巯巰恘梂楸殏毬求泅煪犰球璆盚秋糗紌絿緧莍萩蓲虬虯蚯蛷蝤蝵蟗蠤裘觓觩訄賕赇趥逑遒邱酋釓釚銶鞦鮂鯄鰍鰽鳅鶖鼽',
+  qu: '佉佢刞劬区區去取呿娶屈岖岨嶇抾敺斪曲朐欋氍浀淭渠灈璩癯瞿磲祛竘籧紶絇翑胊胠臞菃葋蕖蘧蛆蛐蝺螶蟝蠷蠼衢袪覷觑詘诎趋趣趨躣躯軀軥镼闃阒阹驅驱髷魼鱋鴝鸲麮麴黢鼁鼩齲龋',
+  quan: '佺全券劝勸圈埢姾婘巏弮恮悛惓拳权棬權汱泉烇牶牷犈犬犭瑔畎痊筌絟綣縓绻荃虇蜷蠸觠詮诠跧踡輇辁醛銓鐉铨韏顴颧駩鬈齤',
+  que: '却卻埆塙悫愨搉榷瘸皵硞确碏確碻礐礭缺蒛闋闕阕阙雀鵲鹊',
+  qun: '囷宭峮群裙逡',
+  ran: '冉呥姌染橪然燃珃苒蚺袡髯',
+  rang: '儴勷嚷壤懹攘瀼爙獽瓤禳穰纕蘘讓让躟鬤',
+  rao: '娆嬈扰擾桡橈繞绕荛蕘襓遶隢饒饶',
+  re: '惹热熱',
+  ren: '人亻仁仞任刃壬妊屻忍栠棯牣稔紉紝纫肕腍芢荏荵葚衽訒認认軔軠轫銋韌韧飪饪鵀',
+  reng: '仍扔礽陾',
+  ri: '日鈤馹',
+  rong: '傇冗媶嫆容嵘嶸巆戎榕榮榵毧氄溶瀜烿熔爃狨瑢絨绒羢肜茙茸荣蓉蝾融蠑褣軵鎔駥髶',
+  rou: '厹媃揉柔楺煣禸粈糅肉葇蝚蹂輮鍒鞣韖騥鰇鶔',
+  ru: '乳侞儒入嗕嚅如媷嬬孺帤挼擩曘汝洳溽濡燸筎縟缛茹蒘蓐蕠薷蝡蠕袽褥襦辱鄏醹銣铷颥鴽',
+  ruan: '堧壖撋朊瓀礝緛耎軟软阮',
+  rui: '叡婑枘桵橤汭瑞睿緌繠芮蕊蕤蚋銳锐',
+  run: '橍润潤閏闰',
+  ruo: '偌弱捼楉渃爇箬篛若蒻鄀鶸',
+  sa: '仨卅挲摋撒泧洒灑脎萨薩躠鈒隡靸颯飒馺',
+  sai: '僿噻塞揌毢毸腮賽赛鰓鳃',
+  san: '三伞傘叁帴悷散毵毿糁糝繖鏒鏾閐霰馓鬖',
+  sang: '丧喪嗓搡桑磉褬鎟顙颡',
+  sao: '埽嫂慅扫掃搔氉溞瘙矂繅缫臊騷骚鱢鳋',
+  se: '啬嗇塞栜涩澀濇濏瑟璱穑穡色譅轖銫鏼铯飋',
+  sen: '森槮襂',
+  seng: '僧鬙',
+  sha: '傻刹剎厦唦唼啑啥喢廈杀樧歃殺沙煞猀痧砂硰箑紗繌纱翜翣莎萐蔱裟鎩铩霎魦鯊鲨',
+  shai: '晒曬筛篩簁繺色酾釃閷',
+  shan: '删刪剡剼单善埏墠墡姍姗嬗山幓彡扇挻掞搧擅晱杉柵栅樿汕潬潸灗煔煽狦珊疝痁睒笘縿繕缮羶膳膻舢芟苫蟮蟺衫覢訕謆讪贍赡赸跚鄯釤钐閃闪陕陝騸骟鱔鳝',
+  shang: '上仩伤傷商垧墒尚恦晌殇殤汤漡熵绱蔏螪裳觞觴謪賞赏鞝鬺',
+  shao: '劭勺卲哨少弰捎旓梢潲烧燒玿睄稍筲紹绍艄芍苕莦蕱蛸袑輎邵韶髾鮹',
+  she: '佘厍厙奢射慑慴懾折捨摄摵攝檨歙涉涻滠灄猞畬畲社舌舍蔎蛇蠂設设賒赊赦輋韘騇麝',
+  shen: '什伸侁侺兟参呻哂堔妽姺娠婶嬸审審屾峷慎曋柛棽椹氠沈深渖渗滲瀋燊珅甚甡申眒瞫矧砷神祳籸紳绅罧肾胂脤腎莘葠蔘蜃蜄覾詵諗讅诜谂身邥鋠駪',
+  sheng: '乘偗剩勝升呏圣声嵊憴昇泩渻湦焺牲狌生甥盛省眚笙繩绳聖聲胜譝貹賸鉎陞鵿鼪',
+  shi: '世事什仕似使侍势勢匙十史嗜噬埘塒士失奭始姼媞实室寔實尸屍屎崼市师師式弑弒徥忕恀恃戺拭拾揓施时是時柿栻榯氏湜湤湿溡溮溼澨濕炻烒狮獅矢石示礻祏筮簭絁舐莳葹蒔蓍虱蚀蝕蝨螫褷襫襹視视觢試詩誓諟諡謚識识试诗谥豉豕貰贳軾轼适逝適遾邿释釋鈰鉈鉐鉽銴铈食飾饣饰駛驶鰣鰤鲥鲺鳲鶳鼫鼭',
+  shou: '兽受售壽守寿手扌授收狩獸瘦綬绶艏首',
+  shu: '书倏儵叔咰塾墅姝婌孰尌属屬庶怷恕戍抒摅攄数數暑曙書朮术束杸枢树梳樞樹橾殊殳毹沭淑漱潻澍焂熟瑹疏癙秫竖紓綀纾署腧舒菽蔬薯藷虪蜀術裋襡襩豎贖赎跾軗輸输述鄃鉥鏣钃陎隃鮛鵨鶐黍鼠',
+  shua: '刷唰糬耍',
+  shuai: '帅帥摔率甩蟀衰',
+  shuan: '拴栓涮閂闩',
+  shuang: '双塽孀孇慡樉漺灀爽礵縔艭雙霜驦鷞',
+  shui: '帨水氵涗睡稅税脽裞誰说谁',
+  shun: '吮瞚瞬舜蕣順顺鬊',
+  shuo: '妁搠数朔槊欶烁爍獡硕碩箾蒴說说鎙鑠铄',
+  si: '丝似俬儩兕凘厮厶司咝嗣嘶四姒寺巳廝思撕斯柶楒榹死汜泀泗洍涘澌磃祀禗禠私笥絲緦纟缌罳耜肂肆蕬蕼虒蛳蜤螄蟴覗貄鈶鉰锶颸飼饲駟驷鷥鸶鼶',
+  song: '倯傱凇娀宋崧嵩嵷忪怂悚愯慫松淞濍硹竦耸聳菘蜙訟誦讼诵送鍶頌颂駷鬆',
+  sou: '叟嗖嗽嗾廋搜擞擻溲獀瞍籔艘蒐薮藪螋鄋醙鎪锼颼颾飕餿馊騪',
+  su: '俗傃僳嗉囌塑夙嫊宿愫愬憟梀榡樕橚櫯泝洬涑溯潚玊甦稣穌窣簌粟素縤肃肅膆苏莤蔌藗蘇觫訴謖诉谡蹜速酥鋉餗驌鱐鷫',
+  suan: '匴狻痠筭算蒜酸',
+  sui: '倠哸埣岁攵旞檅檖歲浽滖濉瀡燧璲眭睟睢碎祟禭穗穟綏繀繐繸绥荽荾葰虽襚誶谇賥遂邃鐆鐩隋随隧隨雖髓',
+  sun: '孙孫损損搎榫槂狲猻笋筍簨荪蓀蕵薞鎨隼飧',
+  suo: '傞唆唢嗍嗦嗩娑惢所摍桫梭溹琐瑣璅睃簑索縮缩羧莏蓑趖逤鎈鎍鎖锁',
+  ta: '他嚃塌塔她它拓挞搨撻榙榻毾涾溻濌牠獭獺祂禢褟誻趿踏蹋遝遢錔铊闒闥闼鞜鞳鰨鳎',
+  tai: '儓台太嬯态態抬旲檯汰泰溙炱燤箈籉肽胎臺苔薹跆邰酞鈦钛颱駘鮐鲐',
+  tan: '倓傝僋叹嗿嘆坍坛坦埮壇婒弹忐怹惔憛憳抩探摊攤昙曇榃檀歎毯湠滩潭灘炭燂痑痰瘫癱碳磹罈舑舕菼藫袒襢覃談譚譠谈谭貚貪賧贪郯醓醰鉭錟钽锬顃餤',
+  tang: '倘傥儻唐堂塘帑戃搪摥曭棠榶樘橖汤淌湯溏漟烫煻燙爣瑭矘磄糖羰耥膛蓎薚蝪螗螳赯趟踼蹚躺醣鎕鎲鏜鐋钂铴镗闛餳饧鶶鼞',
+  tao: '匋咷啕套嫍幍弢慆掏搯桃槄檮洮涛淘滔濤祹絛綯縚绦萄蜪討讨逃醄鋾錭陶鞀韜韬饕駣騊鼗',
+  te: '忑忒慝特螣蟘貣鋱铽',
+  teng: '滕熥疼痋籐縢腾藤誊謄邆霯騰',
+  ti: '体倜偍剃剔厗啼嚏屉屜崹徲悌悐惕惿提揥擿替梯楴殢洟涕瓋稊籊綈緹绨缇荑蕛薙蝭裼褅褆謕趧趯踢蹄逖醍銻鍗锑題题騠體鯷鵜鶗鶙鷈鷤鹈',
+  tian: '倎填天婖屇忝恬悿掭搷晪殄沺淟添湉琠甜田畋痶盷睼磌窴緂腆舔菾賟酟鈿錪闐阗靦餂鷏',
+  tiao: '佻嬥宨岧庣恌挑斢朓条條眺祒祧窕窱笤粜糶絩脁芀蓨蜩覜誂调趒跳迢鎥鞗髫鯈鰷鲦齠龆',
+  tie: '僣呫帖怗聑萜蛈貼贴銕鋨鐵铁餮驖鴩',
+  ting: '亭侹停厅听圢娗婷嵉庭廳廷挺桯梃楟榳汀渟烃烴烶珽町筳綎聤聽脡艇艼莛葶蜓蝏閮霆頲鼮',
+  tong: '仝佟僮同哃嗵彤恸慟捅曈朣桐桶橦氃浵潼炵烔犝狪獞痌痛瞳砼童筒筩粡統统膧茼蓪衕詷赨通酮鉖銅铜餇鮦',
+  tou: '亠偷头妵媮投敨紏緰蘣透鋀钭頭骰黈',
+  tu: '兔凸吐唋图圖土堍塗屠峹嵞嶀廜徒怢悇捈捸梌涂涋湥潳瘏禿秃稌突筡腯荼菟葖蒤跿途酴釷鍎钍駼鵌鵚鵵鶟鷋鷵鼵',
+  tuan: '剸团團彖慱抟摶槫湍漙煓疃篿糰褖貒鏄鷒鷻',
+  tui: '侻俀僓弚推煺穨腿蓷藬蛻蜕褪蹪退隤頹颓駾魋',
+  tun: '吞啍坉屯忳旽暾氽涒焞畽臀芚豚軘飩饨魨',
+  tuo: '乇佗侂唾坨堶妥嫷岮庹托扡拓拖挩柝椭橐橢毤毻沰沱沲砣碢箨籜紽脫脱莌蘀袉託跅跎酡陀飥馱駝驒驮驼鬌魠鮀鴕鸵鼉鼍',
+  wa: '佤哇嗢娃娲媧挖洼溛漥瓦穵窊窪腽膃蛙袜襪',
+  wai: '喎外崴歪',
+  wan: '万丸倇刓剜卍妧婉婠完宛岏弯彎忨惋抏挽捖捥晚晼汍湾潫澫灣烷玩琬畹皖睕碗紈綩綰纨绾翫脕脘腕芄莞菀萬蔓薍蜿蟃豌踠輐輓鋄頑顽',
+  wang: '亡妄尪往忘惘旺暀望朢枉汪瀇王盳網网罔莣菵輞辋迋魍',
+  wei: '为伟伪位偉偎偽儰卫危味唯喂喡囗围圍圩壝委威娓媦寪尉尾峗峞崣嵬巍帏帷幃徫微惟愄慰揋撱斖暐未桅椲椳欈沩洈洧浘涠渨渭湋溈溦潍潿濰濻瀢炜為烓煒煟煨燰犚犩猥猬玮瑋畏痏痿癓硊碨磈磑維緯纬维罻胃腲艉芛苇菋萎葦葨葳蒍蓶蔚薇薳藯蘤蘶蜲蜼蝛蝟衛褽覣覹詴諉謂讆诿谓踓躗軎违逶違鄬醀鍏鍡鏏闈闱隇隈霨霺韋韙韡韦韪頠餧餵饖骫魏鮇鮠鮪鲔',
+  wen: '刎吻呡問塭妏抆搵文桽殟汶温溫炆玟琝璺瘟稳穩紊紋纹聞芠蚊豱轀閺閿闅问闻阌雯顐魰鳼鼤',
+  weng: '嗡塕暡滃瓮甕瞈罋翁聬蓊蕹螉鶲齆',
+  wo: '仴倭偓卧婐幄我挝捰握撾擭斡沃涡涴渥渦濣焥猧瓁瞃硪窝窩肟腛臒臥莴萵蜗蝸踒雘齷龌',
+  wu: '乌五仵伍侮俉倵兀剭务務勿午卼吳吴吾呜唔啎嗚圬坞塢妩婺嫵寤屋屼岉嵨巫庑廡忤怃恶悟憮戊扤捂摀无晤杇杌梧橆歍武毋汙污洖洿浯潕烏焐無物牾玝珸甒痦矹碔窏粅舞芜芴莁蕪蘁蜈螐誣誤譕诬误躌迕逜遻邬郚鄔鋈鎢钨阢雺雾霧靰騖骛鯃鴮鵡鶩鷡鹉鹜鼯齀',
+  xi: '习係俙傒僖兮凞卌吸呬咥唏喜嘻囍夕奚媳嬉屖屣屭嶍嶲巇希席徆徙徯忥怬恄恓息悉悕惁惜慀戏戲扱昔晞晰曦析枲桸榽槢樨橀檄欯欷歖氥汐洗浠淅溪滊漇潝潟烯焟熂熄熙熹燨爔牺犀犧狶玺琋璽瘜皙盻睎矽硒磎礂禊禧稀穸窸粞系細綌緆縰繫细羲習翕肸膝舄舾莃菥葸蒠蓆蓰蕮薂虩蜥螅螇蟋蟢蠵衋袭襲西覡覤觋觿諰謑謵譆谿豨豯貕赩蹝郋郗郤鄎酅醯釳釸錫鎴鑴铣锡闟阋隙隰雟霫飁餼饩騱騽驨鬩鰼鵗鸂黖鼷',
+  xia: '下侠俠匣厦吓嚇夏峡峽暇柙烚煆狎狭狹珨瑕瞎硖硤碬磍祫縖罅舝舺蕸虾蝦赮轄辖遐鍜鏬閜陜霞颬騢魻鶷黠',
+  xian: '仙仚伭佡僊僩先冼县咸唌啣嘕壏奾妶姭娊娴娹嫌嫻嬐宪尟屳岘峴嶮幰廯弦忺憪憲憸掀搟撊撏攇攕显晛暹杴枮毨氙涀涎澖瀗灦烍燅燹猃献獫獮獻玁现珗現痫癇睍硍礥祆禒秈筅籼粯糮絃線縣纖纤线羡羨胘腺舷苋莧莶薟藓蘚蚬蚿蛝蜆衔褼襳誸諴譣豏賢贤赻跣跹躚酰銑銛銜鋧錎鍌锨閑閒闲限险陷險韅韱顯餡馅馦鮮鲜鶱鷳鷴鹇鹹麙鼸',
+  xiang: '乡享像厢向响嚮姠巷庠廂忀想晑曏橡欀湘瓖瓨相祥箱緗缃缿翔膷芗萫葙薌蟓蠁衖襄襐詳详象鄉銗鐌鑲镶闀降響項项飨餉饗饟饷香驤骧鯗鱌鲞',
+  xiao: '傚削呺哓哮啸嘐嘯嘵嚣囂孝宵小崤庨憢揱效晓曉枭枵校梟櫹歊殽毊洨消涍淆潇瀟灱熽猇獢痚痟皛硝穘窙笅笑筊筱箫篠簫綃绡翛肖膮萧萷蕭藃虈虓蟂蠨詨謏踃逍郩銷销霄驍骁髇髐魈鴞',
+  xie: '些亵伳偕偞偰僁写劦勰协協卸叶嗋垥奊媟寫屑屧嶰廨愶懈拹挟挾揳携撷擷攜斜械楔榍榭歇泄泻洩渫澥瀉瀣灺焎熁燮燲猲獬瑎祄紲絏緳繲纈绁缬胁脅薢薤蝎蝢蟹蠍血褉褻襭解諧謝谐谢躞邂邪鞋鞢韰頡駴齂齘齛齥龤',
+  xin: '伈信囟妡廞心忄忻新昕杺枔欣歆炘焮煡盺舋芯薪衅襑訢辛釁鈊鋅鐔鑫锌阠馨馫',
+  xing: '侀倖兴刑型垶姓娙婞幸形性悻惺擤星杏洐涬滎煋猩瑆省硎箵腥興荇荥莕蛵行觲邢醒鈃鉶鋞陉陘騂',
+  xiong: '兄兇凶匈哅忷恟敻汹洶熊胸詗雄',
+  xiu: '休修咻嗅宿岫庥朽樇溴滫烋珛琇秀糔繡绣羞脙脩臭臹苬螑袖褎貅銝鎀鏽锈饈馐髹鵂鸺',
+  xu: '侐冔勖勗卹叙吁呴喣嘘噓垿墟姁婿嬃幁序徐怴恤慉戌揟敘旭旴昫晇暊栩楈欨歔殈沀洫湑溆漵烅烼煦獝珝畜盱瞁瞲稰窢糈絮緒縃繻續绪续胥芧蓄蓿蕦藇藚虚虛蝑訏許訹詡諝许诩鄦酗醑銊鑐需須頊须顼驉鬚魆魖鱮',
+  xuan: '儇咺喧媗嫙宣悬愃愋懁懸揎旋昍昡晅暄梋楥楦泫渲漩炫烜煊玄玹琁琄瑄璇璿痃癣癬眩眴矎碹禤絢縼绚翾萱萲蓒蔙蜁蝖蠉衒袨諠諼讂谖贙軒轩选選鉉鋗鍹鏇铉镟鞙顈駽',
+  xue: '削吷壆学學岤嶨泶澩燢狘疶穴蒆薛血袕觷謔谑趐踅雪靴鱈鳕鷽',
+  xun: '侚勋勛勳噀噚埙塤壎寻尋峋巡巽徇循恂愻揗攳旬曛栒槆殉汛洵浔潃潠潯灥焄熏燖燻獯珣璕矄稄窨紃纁臐荀荨蔒蕈薰蟳訊訓詢训讯询迅迿逊遜鄩醺馴驯鱘鲟',
+  ya: '丫亚亞伢厊压吖呀哑啞圔圠垭埡堐壓娅婭孲岈崖庌押掗揠枒桠椏氩氬涯牙犽猰玡琊痖睚砑窫聐芽蕥蚜衙襾訝讶軋轧迓錏雅鴉鴨鸦鸭齖齾',
+  yan: '严俨偃偣傿儼兖兗匽厌厣厭厴咽唁喭噞嚥嚴堰壛壧奄妍姲娮嫣嬮嬿孍宴岩崦嵃嵒巖巘延弇彥彦恹愝懨戭扊抁掩揅揜敥晏曣曮棪椻椼楌檐殷沇沿淊淹渰湮溎滟演漹灩炎烟烻焉焰焱煙燄燕爓牪狿猒珚琰甗盐眼研砚硯碞礹筵簷綖縯罨胭腌臙艳艷芫莚菸萒虤蜒蝘衍裺褗觾言諺讌讞讠谚谳豔贗赝躽郔郾鄢酀酓酽醃醼釅閆閹閻闫阉阎隒雁顏顩颜餍饜騴驗驠验鬳魇魘鰋鴈鴳鶠鷃鷰鹽黤黫黭黶鼴鼹齞齴龑',
+  yang: '仰佒佯养坱垟央姎岟崵崸徉怏恙懩扬抰揚攁昜暘杨柍样楊樣殃氧泱洋漾瀁炀炴烊煬珜疡痒瘍癢眻禓秧紻羊羕胦蛘蝆軮鉠鍚鐊阳陽雵鞅颺養鴦鸉鸯',
+  yao: '侥偠傜吆咬喓嗂垚堯夭妖姚媱宎尧岆崾嶢幺徭愮抭搖摇曜杳柼榚榣殀溔烑燿爻猺獟珧瑤瑶眑祅穾窅窈窑窔窯筄繇耀肴腰舀艞苭药葯葽蓔藥袎要覞訞詏謠谣軺轺遙遥邀銚鑰钥靿顤颻餚騕鰩鳐鴢鷂鷕鹞',
+  ye: '业也冶叶咽噎埜堨夜嶪抴掖揶擛擨擫晔暍曄曳椰楪業歋殗液漜澲烨燁爷爺瞱耶腋葉蠮謁谒邺鄴野鍱鎑鐷铘靥靨頁页饁',
+  yi: '一乂义乙亄亦亿以仪伊伿佁佚佾侇依俋倚偯儀億刈劓劮勩匜医呓咦咿唈噫囈圛圯垼埶埸墿壹夷奕姨媐嫕嫛宜宧寱寲尾屹峄峓崺嶧嶬嶷已帟帠廙异弈弋彝役忆怡怿恞悒意憶懌懿扆抑拸挹捙掜揖敼斁旖易晹暆曀杙枍枻柂栘栺桋椅椸槸檍檥檹欥欭欹殔殪毅毉沂沶泆洢浂浥溢漪潩澺瀷焲熠熤熪熼燚燡燱狋猗玴珆瑿瓵異疑疫痍瘗瘞瘱癔益眙睪矣礒禕移稦箷簃縊繄繶繹绎缢羛羠義羿翊翌翳翼耛耴肄肊胰膉臆舣艗艤艺芅苡萓蓺薏藙藝蘙蚁蛜蛦蜴螔螘蟻衣衤衪衵袘裔裛襼觺訑詍詑詒詣誃誼謻譯議议译诒诣谊豷貤貽賹贀贻跇跠踦軼轙轶迆迤迻逸遗遺邑郼酏醫醳醷釔釴鉯銥鎰鏔鐿钇铱镒镱陭隿霬靾頤顊顗颐飴饐饴驛驿鮨鳦鶂鷁鷊鷖鷾鸃黓黟黳齮齸',
+  yin: '冘凐印吟吲喑噾嚚因圁垔垠垽堙堷夤姻婬寅尹崟廕廴引愔慇憖摿朄檃檭歅殥殷氤洇淫湚濦烎狺猌瘖瘾癮禋粌絪胤苂茚茵荫荶蒑蔩蔭蘟蚓螾蟫裀誾諲讔趛輑鄞酳鈏銀銦铟银闉阴陰隐隱霒霠霪靷音韾飲饮駰鷣齗',
+  ying: '偀嘤嚶塋婴媵嫈嬰嬴应廮影應摬撄攍攖映朠梬楹樱櫻浧渶滢潁潆濴瀅瀛瀠瀯瀴煐熒營瑛瑩璎瓔甇甖瘿癭盈矨硬碤礯穎籯縈纓缨罂罃罌膺英茔荧莹莺萤营萦蓥藀蘡蝇蝧螢蠅蠳褮覮謍譻賏贏赢迎郢鎣霙韺颍颖鱦鶧鶯鷹鸚鹦鹰',
+  yo: '哟唷喲',
+  yong: '佣俑傛傭勇咏喁嗈噰埇塎墉壅嫞嵱庸廱恿悀慵拥揘擁槦永泳涌湧滽澭灉用甬痈癰禜臃蛹詠踊踴邕郺鄘醟鏞镛雍雝顒饔鰫鳙鷛',
+  you: '优佑侑偤優卣又友右呦嚘囿姷宥尢尤峟幼幽庮忧怮悠憂懮攸斿有柚栯楢槱櫌沋油泑浟游瀀牖牰犹狖猶猷由疣祐秞纋羑耰聈苃莜莠莸蒏蕕蚰蚴蝣訧誘诱貁輶迶逌遊邮郵鄾酉釉鈾銪铀铕魷鱿麀黝鼬',
+  yu: '与予于伛余俁俞俣偊傴儥唹喻噊噳圄圉域堉堣堬妤妪娛娱嫗宇寓寙屿峪峿崳嵎嵛嶼庾彧御悆愈愉愚慾戫扜揄敔斔斞於旟昱杅棜棫楀楰榆欤欲歈歟歶毓浴淢淤淯渔渝湡漁潏澞澦灪煜燏燠爩牏狱狳獄玉玗瑀瑜璵瘀瘉瘐癒盂盓睮矞砡硢礜祤禦禹禺稢穻窬窳竽箊篽籅籲紆緎繘纡罭羭羽聿肀育腴臾舁舆與艅芋萭萸蒮蓣蓹蕍蕷薁蘌蘛虞蜮蝓螸衧裕褕覦觎誉語諛諭謣譽语谀谕豫貐踰軉輍輿轝迂逾遇遹邘郁鄅醧鈺鋊鋙錥钰閾阈陓隅雓雨雩預頨预飫餘饇饫馀馭驈驭鬱鬻魊魚鮽鰅鱊鱼鳿鴥鵒鷸鸆鸒鹆鹬麌齬龉',
+  yuan: '元冤原员員噮园圆園圓垣垸塬夗妴媛媴嫄嬽怨悁惌愿掾援杬棩榞榬橼櫞沅淵渊湲源溒灁爰猿獂瑗眢禐笎箢緣缘羱肙苑葾蒝蒬蚖蜎蜵蝝蝯螈袁裫裷褑謜轅辕远遠邍邧鋺鎱院願駌騵鳶鴛鵷鶢鸢鸳黿鼋鼘',
+  yue: '乐刖岳嶽悅悦戉抈曰月樾瀹爚玥矱礿禴箹籥粤粵約约蘥蚎越跃躍軏鈅鉞钥钺閱阅鸑鸙黦龠',
+  yun: '云允勻匀奫妘孕恽惲愠慍抎昀晕暈枟殒殞氲氳沄溳澐熅熉熨狁畇眃筠篔紜緷縕縜纭耘芸荺蕓蕴薀蘊蝹褞賱贇运運郓郧鄆鄖酝醞鈗鋆阭陨隕雲霣韗韞韫韵韻頵餫馧馻',
+  za: '偺匝咂咋喒囋扎拶杂砸磼紮臢鉔雜雥',
+  zai: '再哉在宰崽栽渽災灾甾縡菑賳載载酨',
+  zan: '儹咱噆寁揝攒攢昝暂暫灒瓒瓚礸禶簪糌讚贊赞趱趲蹔酇錾鏨鐕饡',
+  zang: '奘牂脏臟臧葬藏贓赃駔驵髒',
+  zao: '傮凿唣喿噪慥早枣棗澡灶燥璪皁皂簉糟繰藻蚤譟趮蹧躁造遭鑿',
+  ze: '仄伬则則唶啧嘖崱帻幘庂择捑擇昃樍泽澤矠笮箦簀舴蠌襗謮責賾责赜迮鸅齰',
+  zei: '蠈賊贼鯽',
+  zen: '怎譖谮',
+  zeng: '增憎曾橧璔甑矰磳繒缯罾贈赠鄫锃',
+  zha: '乍劄厏吒咤哳喳奓扎抯挓揸搾札柞柤查栅楂榨樝渣溠炸煠痄皻眨砟苲蚱蚻觰詐譇譗诈轧醡鍘铡閘闸霅鮓齄齇',
+  zhai: '债債宅寨择捚摘斋檡瘵砦窄齋',
+  zhan: '佔偡占嫸展崭嶄惉战戰搌斩斬旃栈栴棧榐橏毡氈沾湛琖盏盞瞻站粘綻绽薝蘸虥蛅詀詹譧譫谵輚輾轏邅醆霑颭饘驏驙魙鱣鸇黵',
+  zhang: '丈仉仗傽墇嫜嶂帐帳幛张張彰慞扙掌暲杖樟涨漲漳獐璋瘴瞕章粀粻胀脹蟑賬账遧鄣長长障騿鱆',
+  zhao: '兆召啁垗妱找招旐昭曌朝棹櫂沼炤照爪狣瑵皽盄着笊罩肇詔诏赵趙釗鉊鍣钊駋鮡',
+  zhe: '哲嫬悊折摺晢柘浙淛潪着矺砓磔粍者著蔗虴蛰蜇蟄蟅褶謫謺讋谪赭輒轍辄辙这這遮锗馲鮿鷓鹧',
+  zhen: '侦侲偵圳寊抮挋振揕敶斟朕枕栚桢桭楨榛樼浈潧獉珍瑧瑱甄甽畛疹眕真眹砧碪祯禎禛稹箴籈紖紾絼縥缜胗臻葴蓁薽袗裖診誫诊貞賑贞赈軫轃轸遉酖針鍼鎮针镇阵陣震駗鬒鱵鴆鸩黰',
+  zheng: '争埩塣姃媜峥崝崢帧幀征徵怔拯挣掙掟撜政整晸正氶炡烝爭狰猙症癥眐睁睜筝箏篜糽聇蒸証諍證证诤郑鄭鉦錚钲铮鯖',
+  zhi: '之乿侄值偫傂制卮厔只吱咫址坁埴執墆夂姪嬂寘峙帙帜幟庢庤廌彘志忮恉慹懥懫戠执扺扻挃指挚掷搘摭摯擲擳支旨晊智枝枳柣栀栉桎梔植椥楖榰樴櫍櫛止殖汁汥汦沚治泜洷淔淽滍滞滯瀄炙犆狾猘瓡畤疐疻痔痣直知礩祉祑祗禔秖秩秪秷稙稚窒紙紩絷緻縶織纸织置翐职職肢胑胝脂膣膱至致臸芝芷藢蘵蛭蜘螲蟙衹衼袟製褁覟觯觶誌謢识豸質贄质贽趾跖跱踬踯蹠躑躓軹輊轵轾迣郅酯銍鋕鑕阤阯陟隻雉馽駤騭騺骘鳷鴙鷙鸷黹',
+  zhong: '中仲伀众偅冢堹塚妐尰彸忠柊炂煄狆盅眾祌种種穜籦終终肿腫舯蔠螤螽衶衷踵重鍾鐘钟锺鼨',
+  zhou: '侜僽冑周咒咮喌噣妯宙州帚徟掫昼晝洲淍珘甃皱皺盩睭籀粥紂縐纣绉肘胄舟荮詶謅譸诌賙軸輈輖轴週酎銂駎騆驟骤鯞鵃',
+  zhu: '丶主伫佇住侏助嘱囑壴孎属嵀拄斸朱杼柱株槠樦橥櫧櫫欘殶泏注洙渚潴瀦灟炷烛煮燭猪珠疰瘃眝瞩矚砫硃祝祩窋竹竺笁筑箸築篫紵紸絑罜羜翥舳苎茱茿莇蛀蛛蝫蠋蠩蠾袾註誅諸诛诸豬貯贮跓跦躅軴逐邾鉒銖鑄铢铸陼馵駐驻鮢鱁鴸麆麈',
+  zhua: '抓檛簻膼髽',
+  zhuai: '拽跩',
+  zhuan: '专传僎啭囀塼嫥專撰瑑瑼砖磚篆篹腞膞蟤諯譔賺赚轉转鄟顓颛饌馔鱄',
+  zhuang: '壮壯妆妝庄戇撞桩梉樁湷焋状狀莊装裝',
+  zhui: '坠墜娷惴沝甀畷硾綴縋缀缒膇諈贅赘轛追醊錐錣鑆锥隹餟騅骓鵻',
+  zhun: '准埻宒準稕窀綧肫訰諄谆迍',
+  zhuo: '倬卓啄啅圴彴拙捉擢斀斫斲桌梲棳椓櫡汋浊浞涿濁濯灂灼着禚穛穱篧籗罬茁蠗蠿諑謶诼酌鐲镯鵫鷟',
+  zi: '仔倳兹剚吇呰咨姊姿子字孜孳崰嵫恣杍栥梓椔淄渍滋滓漬澬牸玆璾眥眦矷秭秶笫籽粢紎紫緇缁耔胏胔胾自芓茲蓻觜訾訿諮谘貲資赀资趑輜辎鄑釨鈭錙鎡锱髭鯔鲻鶅鼒齍龇',
+  zong: '倧偬傯宗嵕总惾摠昮朡棕熧猣瘲稯粽綜縱總纵综翪腙蓗蝬豵踪蹤錝鍐騣鬃鬷',
+  zou: '奏揍棷棸楱緅菆諏诹走邹郰鄒鄹陬騶驺鯫鲰黀齱齺',
+  zu: '俎傶卒哫崒族珇祖租箤組组葅蒩詛诅足踤踿鏃镞阻靻',
+  zuan: '攥籫纂纘缵躜鑽钻',
+  zui: '厜嗺嘴噿嶊嶵晬最朘檇檌璻祽絊纗罪蕞醉鋷',
+  zun: '僔噂墫壿尊嶟捘撙樽繜譐遵銌鐏鱒鳟鷷',
+  zuo: '佐作侳做唑坐岝左座怍捽昨椊琢祚稓筰繓胙莋葃葄阼'
+};
@@ -0,0 +1,117 @@
+// js/modules/recentColumns.js
+import { openHistory } from './openHistory.js';
+
+/**
+ * Recent Columns
+ * Optional built-in columns listing the most recently added and the most recently
+ * opened bookmarks across all folders. Which columns show and how many bookmarks
+ * they list are synced settings; a bookmark's last open is the later of Chrome's
+ * dateLastUsed and the extension's own open history.
+ */
+export class RecentColumns {
+  constructor() {
+    this.KINDS = {
+      ADDED: 'added',
+      OPENED: 'opened'
+    };
+    this.TITLES = {
+      added: 'Recently Added',
+      opened: 'Recently Opened'
+    };
+    this.DEFAULT_SIZE = 10;
+    this.MAX_SIZE = 50;
+  }
+
+  /**
+   * Get the recent column settings
+   * @returns {Promise<{added: boolean, opened: boolean, size: number}>} Which columns show, and their length
+   */
+  getSettings() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get(['showRecentlyAddedColumn', 'showRecentlyOpenedColumn', 'recentColumnSize'], (result) => {
+        resolve({
+          added: result.showRecentlyAddedColumn === true,
+          opened: result.showRecentlyOpenedColumn === true,
+          size: this.clampSize(result.recentColumnSize)
+        });
+      });
+    });
+  }
+
+  /**
+   * Show or hide a recent column
+   * @param {string} kind 'added' or 'opened'
+   * @param {boolean} shown Whether the column is on the board
+   */
+  setShown(kind, shown) {
+    const key = kind === this.KINDS.ADDED ? 'showRecentlyAddedColumn' : 'showRecentlyOpenedColumn';
+    return this.write({ [key]: shown });
+  }
+
+  /**
+   * Set how many bookmarks the recent columns list
+   * @param {number} size Number of bookmarks
+   * @returns {Promise<number>} The length saved, within bounds
+   */
+  async setSize(size) {
+    const recentColumnSize = this.clampSize(size);
+    await this.write({ recentColumnSize });
+    return recentColumnSize;
+  }
+
+  /**
+   * Write settings to synced storage
+   * @param {Object} items Settings to save
+   */
+  write(items) {
+    return new Promise((resolve) => {
+      chrome.storage.sync.set(items, () => {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to save recent column settings:', chrome.runtime.lastError);
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Keep a column length within bounds
+   * @param {*} size Requested number of bookmarks
+   * @returns {number} Number of bookmarks to list
+   */
+  clampSize(size) {
+    const value = Math.round(Number(size));
+    return Number.isFinite(value) && value > 0 ? Math.min(value, this.MAX_SIZE) : this.DEFAULT_SIZE;
+  }
+
+  /**
+   * Get the time a column sorts a bookmark by
+   * @param {string} kind 'added' or 'opened'
+   * @param {Object} bookmark Bookmark node
+   * @returns {number} Timestamp (ms), 0 if it has none
+   */
+  getTime(kind, bookmark) {
+    if (kind === this.KINDS.ADDED) {
+      return bookmark.dateAdded || 0;
+    }
+    return Math.max(bookmark.dateLastUsed || 0, openHistory.getLastOpened(bookmark.id));
+  }
+
+  /**
+   * Pick the bookmarks a column lists
+   * @param {string} kind 'added' or 'opened'
+   * @param {Array} bookmarks Bookmark nodes from every folder
+   * @param {number} size Number of bookmarks to list
+   * @returns {Array<{bookmark: Object, time: number}>} Most recent first
+   */
+  pick(kind, bookmarks, size) {
+    return bookmarks
+      .map(bookmark => ({ bookmark, time: this.getTime(kind, bookmark) }))
+      .filter(({ time }) => time > 0)
+      .sort((a, b) => b.time - a.time)
+      .slice(0, size);
+  }
+}
+
+// Export singleton
+export const recentColumns = new RecentColumns();
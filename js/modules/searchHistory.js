@@ -0,0 +1,301 @@
+// js/modules/searchHistory.js
+import { generateId } from './utils.js';
+
+/**
+ * Search History
+ * Remembers the queries run from the command palette (chrome.storage.local) so they
+ * can be recalled with ↑, and keeps named saved searches (chrome.storage.sync). A
+ * saved search can be pinned to a workspace's board, where it shows as a smart column
+ * of the bookmarks it matches. Its rule keeps the fields of the rule editor; the query
+ * is built from them.
+ *
+ * Each saved search is its own sync item, so they don't share chrome.storage.sync's
+ * per-item size limit and tabs saving different searches don't overwrite each other.
+ * Every tab's copy follows the stored searches.
+ */
+export class SearchHistory {
+  constructor() {
+    this.RECENT_KEY = 'bookmark_search_history';
+    this.SAVED_KEY = 'bookmark_saved_searches'; // Legacy: every saved search in one item
+    this.SAVED_PREFIX = 'bookmark_saved_search_';
+    this.MAX_RECENT = 50;
+    this.recent = [];
+    this.saved = [];
+    this.watching = false;
+    this.listeners = [];
+  }
+
+  /**
+   * Load recent queries and saved searches
+   */
+  async load() {
+    const read = (area, keys, label) => new Promise((resolve) => {
+      chrome.storage[area].get(keys, (result) => {
+        if (chrome.runtime.lastError) {
+          console.error(`Failed to load ${label}:`, chrome.runtime.lastError);
+          resolve({});
+        } else {
+          resolve(result || {});
+        }
+      });
+    });
+
+    const [recent, synced] = await Promise.all([
+      read('local', [this.RECENT_KEY], 'search history'),
+      read('sync', null, 'saved searches')
+    ]);
+    this.recent = recent[this.RECENT_KEY] || [];
+    this.saved = this.sortSaved(Object.keys(synced)
+      .filter(key => key.startsWith(this.SAVED_PREFIX))
+      .map(key => synced[key]));
+    this.watchChanges();
+
+    if (synced[this.SAVED_KEY]) {
+      await this.migrateSavedSearches(synced[this.SAVED_KEY]);
+    }
+  }
+
+  /**
+   * Move saved searches from the legacy single item to one item each
+   * @param {Array} searches Legacy saved searches, in the order they were saved
+   */
+  async migrateSavedSearches(searches) {
+    const items = {};
+    searches.forEach((search, index) => {
+      if (this.getSavedSearch(search.id)) return;
+      const migrated = { ...search, created: search.created || index };
+      items[this.getSavedKey(search.id)] = migrated;
+      this.saved.push(migrated);
+    });
+    this.saved = this.sortSaved(this.saved);
+
+    try {
+      await this.write('sync', items);
+      chrome.storage.sync.remove(this.SAVED_KEY);
+    } catch (error) {
+      console.error('Failed to migrate saved searches:', error);
+    }
+  }
+
+  /**
+   * Follow saved searches changed by other tabs
+   */
+  watchChanges() {
+    if (this.watching) return;
+    this.watching = true;
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'sync') return;
+
+      const changed = [];
+      Object.keys(changes).filter(key => key.startsWith(this.SAVED_PREFIX)).forEach(key => {
+        const { oldValue, newValue } = changes[key];
+        const id = (newValue || oldValue).id;
+        // This tab's own changes are already in its copy
+        if (JSON.stringify(this.getSavedSearch(id)) === JSON.stringify(newValue)) return;
+
+        this.saved = this.saved.filter(search => search.id !== id);
+        if (newValue) {
+          this.saved.push(newValue);
+        }
+        changed.push(...[oldValue, newValue].filter(Boolean));
+      });
+
+      if (changed.length > 0) {
+        this.saved = this.sortSaved(this.saved);
+        this.listeners.forEach(callback => callback(changed));
+      }
+    });
+  }
+
+  /**
+   * Register a callback for saved search changes made by other tabs
+   * @param {Function} callback Called with the old and new versions of the changed searches
+   */
+  onChange(callback) {
+    this.listeners.push(callback);
+  }
+
+  /**
+   * Order saved searches the way they were saved
+   * @param {Array} searches Saved searches
+   * @returns {Array} Sorted saved searches
+   */
+  sortSaved(searches) {
+    return searches.sort((a, b) => (a.created || 0) - (b.created || 0));
+  }
+
+  /**
+   * Get the storage key of a saved search
+   * @param {string} id Saved search ID
+   * @returns {string} Storage key
+   */
+  getSavedKey(id) {
+    return `${this.SAVED_PREFIX}${id}`;
+  }
+
+  /**
+   * Get recent queries, newest first
+   * @returns {string[]} Queries
+   */
+  getRecent() {
+    return [...this.recent];
+  }
+
+  /**
+   * Remember a query, moving it to the front if it was run before
+   * @param {string} query Query
+   */
+  async addRecent(query) {
+    this.recent = [query, ...this.recent.filter(recent => recent !== query)].slice(0, this.MAX_RECENT);
+    try {
+      await this.write('local', { [this.RECENT_KEY]: this.recent });
+    } catch (error) {
+      console.error('Failed to save search history:', error);
+    }
+  }
+
+  /**
+   * Get the saved searches, in the order they were saved
+   * @returns {Array} Saved searches {id, name, query, rule, pinnedIn}
+   */
+  getSavedSearches() {
+    return [...this.saved];
+  }
+
+  /**
+   * Get a saved search
+   * @param {string} id Saved search ID
+   * @returns {Object|undefined} Saved search
+   */
+  getSavedSearch(id) {
+    return this.saved.find(search => search.id === id);
+  }
+
+  /**
+   * Get the rule of a saved search. Searches saved before rules existed keep their
+   * whole query as the rule's text.
+   * @param {Object} search Saved search
+   * @returns {Object} Rule {tag, domain, folder, added, status, text}
+   */
+  getRule(search) {
+    return search.rule || { text: search.query || '' };
+  }
+
+  /**
+   * Get the saved searches pinned as columns on a workspace's board
+   * @param {string} workspaceId Workspace ID
+   * @returns {Array} Saved searches
+   */
+  getPinned(workspaceId) {
+    return this.saved.filter(search => search.pinnedIn.includes(workspaceId));
+  }
+
+  /**
+   * Save a search
+   * @param {Object} data Saved search fields {name, query, rule, pinnedIn}
+   * @returns {Promise<Object>} Saved search
+   * @throws {Error} If it couldn't be stored (e.g. the sync storage quota is used up)
+   */
+  async saveSearch(data) {
+    const search = {
+      id: generateId(),
+      name: data.name || data.query,
+      query: data.query,
+      rule: data.rule || { text: data.query },
+      pinnedIn: data.pinnedIn || [],
+      created: Date.now()
+    };
+    await this.storeSavedSearch(search);
+    return search;
+  }
+
+  /**
+   * Update a saved search
+   * @param {string} id Saved search ID
+   * @param {Object} changes Fields to change {name, query, rule, pinnedIn}
+   * @returns {Promise<Object|undefined>} Updated saved search
+   * @throws {Error} If it couldn't be stored
+   */
+  async updateSavedSearch(id, changes) {
+    const search = this.getSavedSearch(id);
+    if (!search) return undefined;
+
+    const updated = { ...search, ...changes };
+    await this.storeSavedSearch(updated);
+    return updated;
+  }
+
+  /**
+   * Pin a saved search to a workspace's board, or unpin it
+   * @param {string} id Saved search ID
+   * @param {string} workspaceId Workspace ID
+   * @param {boolean} pinned Whether it shows as a column
+   */
+  async setPinned(id, workspaceId, pinned) {
+    const search = this.getSavedSearch(id);
+    if (!search) return;
+
+    const others = search.pinnedIn.filter(pinnedId => pinnedId !== workspaceId);
+    await this.updateSavedSearch(id, { pinnedIn: pinned ? [...others, workspaceId] : others });
+  }
+
+  /**
+   * Delete a saved search
+   * @param {string} id Saved search ID
+   */
+  async deleteSavedSearch(id) {
+    const previous = this.saved;
+    this.saved = this.saved.filter(search => search.id !== id);
+    try {
+      await new Promise((resolve, reject) => {
+        chrome.storage.sync.remove(this.getSavedKey(id), () => {
+          if (chrome.runtime.lastError) {
+            reject(chrome.runtime.lastError);
+          } else {
+            resolve();
+          }
+        });
+      });
+    } catch (error) {
+      this.saved = previous;
+      throw error;
+    }
+  }
+
+  /**
+   * Replace this tab's copy of a saved search and persist it in its own item
+   * @param {Object} search Saved search
+   */
+  async storeSavedSearch(search) {
+    const previous = this.saved;
+    this.saved = this.sortSaved([...this.saved.filter(saved => saved.id !== search.id), search]);
+    try {
+      await this.write('sync', { [this.getSavedKey(search.id)]: search });
+    } catch (error) {
+      this.saved = previous;
+      throw error;
+    }
+  }
+
+  /**
+   * Write items to Chrome storage
+   * @param {string} area 'local' or 'sync'
+   * @param {Object} items Items to set
+   * @returns {Promise<void>} Rejects with Chrome's error, e.g. when a quota is exceeded
+   */
+  write(area, items) {
+    return new Promise((resolve, reject) => {
+      chrome.storage[area].set(items, () => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+// Export singleton
+export const searchHistory = new SearchHistory();
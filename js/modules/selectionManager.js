@@ -0,0 +1,343 @@
+// js/modules/selectionManager.js
+import { createElement, parseTitle, normalizeTags, findInvalidTags, describeInvalidTag } from './utils.js';
+import { undoManager } from './undoManager.js';
+import { metadataStore } from './metadataStore.js';
+import { openHistory } from './openHistory.js';
+import { contentIndex } from './contentIndex.js';
+
+/**
+ * Selection Manager
+ * Owns the multi-selection of bookmark cards and the floating bulk action bar.
+ * The selection can span columns; dragging a selected card drags the whole
+ * selection (DragManager gathers the other selected cards on drop).
+ */
+export class SelectionManager {
+  constructor(app) {
+    this.app = app;
+    this.selectedIds = new Set();
+    this.anchorId = null; // Last card clicked, start of Shift ranges
+    this.bar = null;
+  }
+
+  /**
+   * Initialize selection listeners and the action bar
+   */
+  initialize() {
+    this.createSelectionBar();
+
+    // Capture phase: runs before the card's own click handler opens the bookmark
+    document.addEventListener('click', (e) => this.handleClick(e), true);
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.selectedIds.size > 0 && !this.app.modalManager.activeModal) {
+        this.clear();
+      }
+    });
+  }
+
+  /**
+   * Handle Ctrl/Cmd-click (toggle) and Shift-click (range) on cards
+   * @param {MouseEvent} e Click event
+   */
+  handleClick(e) {
+    const item = e.target.closest('.bookmark-item');
+    const isSelectionClick = e.ctrlKey || e.metaKey || e.shiftKey;
+
+    if (item && isSelectionClick && !e.target.closest('.bookmark-action')) {
+      e.preventDefault();
+      e.stopPropagation();
+
+      const id = item.dataset.bookmarkId;
+      if (e.shiftKey && this.anchorId) {
+        this.selectRange(this.anchorId, id);
+      } else if (this.selectedIds.has(id)) {
+        this.selectedIds.delete(id);
+      } else {
+        this.selectedIds.add(id);
+      }
+      this.anchorId = id;
+    }
+
+    this.sync();
+  }
+
+  /**
+   * Select every visible card between two cards, in board order
+   * @param {string} fromId First card ID
+   * @param {string} toId Last card ID
+   */
+  selectRange(fromId, toId) {
+    const ids = Array.from(document.querySelectorAll('.bookmark-item'))
+      .filter(item => item.offsetParent !== null)
+      .map(item => item.dataset.bookmarkId);
+    const from = ids.indexOf(fromId);
+    const to = ids.indexOf(toId);
+    if (from === -1 || to === -1) {
+      this.selectedIds.add(toId);
+      return;
+    }
+
+    ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => this.selectedIds.add(id));
+  }
+
+  /**
+   * Apply the selection to the cards and update the action bar
+   */
+  sync() {
+    document.querySelectorAll('.bookmark-item').forEach(item => {
+      item.classList.toggle('bookmark-selected', this.selectedIds.has(item.dataset.bookmarkId));
+    });
+
+    // Drop IDs whose cards are gone (deleted or re-rendered away)
+    this.selectedIds.forEach(id => {
+      if (!document.querySelector(`.bookmark-item[data-bookmark-id="${id}"]`)) {
+        this.selectedIds.delete(id);
+      }
+    });
+
+    this.updateSelectionBar();
+  }
+
+  /**
+   * Clear the selection
+   */
+  clear() {
+    this.selectedIds.clear();
+    this.anchorId = null;
+    this.sync();
+  }
+
+  /**
+   * Get the selected bookmark IDs in board order
+   * @returns {string[]} Bookmark IDs
+   */
+  getSelectedIds() {
+    // A card can show more than once when a smart column repeats it
+    const ids = Array.from(document.querySelectorAll('.bookmark-item'))
+      .map(item => item.dataset.bookmarkId)
+      .filter(id => this.selectedIds.has(id));
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Create the floating bulk action bar
+   */
+  createSelectionBar() {
+    this.bar = createElement('div', 'selection-bar');
+    this.bar.innerHTML = `
+      <span class="selection-count"></span>
+      <select class="selection-move" title="Move to column">
+        <option value="">Move to…</option>
+      </select>
+      <button type="button" data-action="tags">Tags…</button>
+      <button type="button" data-action="open">Open all</button>
+      <button type="button" data-action="markdown">Copy Markdown</button>
+      <button type="button" data-action="delete" class="danger">Delete</button>
+      <button type="button" data-action="clear" class="selection-close" title="Clear selection">✕</button>
+    `;
+
+    this.bar.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (button) {
+        this.handleAction(button.dataset.action);
+      }
+    });
+
+    const moveSelect = this.bar.querySelector('.selection-move');
+    moveSelect.addEventListener('focus', () => this.updateMoveTargets());
+    moveSelect.addEventListener('change', () => {
+      const targetId = moveSelect.value;
+      moveSelect.value = '';
+      if (targetId) {
+        this.moveSelected(targetId);
+      }
+    });
+
+    document.body.appendChild(this.bar);
+  }
+
+  /**
+   * Show or hide the action bar and update its count
+   */
+  updateSelectionBar() {
+    if (!this.bar) return;
+
+    const count = this.selectedIds.size;
+    this.bar.classList.toggle('show', count > 0);
+    this.bar.querySelector('.selection-count').textContent =
+      `${count} selected`;
+  }
+
+  /**
+   * Fill the "Move to" select with the columns on the board
+   */
+  updateMoveTargets() {
+    const moveSelect = this.bar.querySelector('.selection-move');
+    moveSelect.innerHTML = '';
+    moveSelect.appendChild(new Option('Move to…', ''));
+    this.app.getColumnTargets(null).forEach(target => {
+      moveSelect.appendChild(new Option(target.title, target.id));
+    });
+  }
+
+  /**
+   * Run a bulk action
+   * @param {string} action Action name
+   */
+  handleAction(action) {
+    switch (action) {
+      case 'tags':
+        this.editTags();
+        break;
+      case 'open':
+        this.openSelected();
+        break;
+      case 'markdown':
+        this.copyAsMarkdown();
+        break;
+      case 'delete':
+        this.deleteSelected();
+        break;
+      case 'clear':
+        this.clear();
+        break;
+    }
+  }
+
+  /**
+   * Get the selected bookmarks from Chrome
+   * @returns {Promise<Array>} Bookmark objects in board order
+   */
+  async getSelectedBookmarks() {
+    const ids = this.getSelectedIds();
+    return Promise.all(ids.map(id => this.app.bookmarkManager.getBookmark(id)));
+  }
+
+  /**
+   * Move the selected bookmarks to the end of a folder
+   * @param {string} targetId Target folder ID
+   */
+  async moveSelected(targetId) {
+    const ids = this.getSelectedIds();
+    try {
+      await undoManager.transaction(`Moved ${ids.length} bookmark${ids.length === 1 ? '' : 's'}`, async tx => {
+        for (const id of ids) {
+          await tx.move(id, { parentId: targetId });
+        }
+      });
+      this.clear();
+      await this.app.refreshBoard();
+    } catch (error) {
+      console.error('Failed to move bookmarks:', error);
+      this.app.notificationManager.showErrorToast('Failed to move bookmarks');
+      await this.app.refreshBoard();
+    }
+  }
+
+  /**
+   * Delete the selected bookmarks after a single confirmation
+   */
+  async deleteSelected() {
+    const ids = this.getSelectedIds();
+    const body = createElement('p', 'confirm-message');
+    body.textContent = `Are you sure you want to delete ${ids.length} bookmark${ids.length === 1 ? '' : 's'}?`;
+
+    const confirmed = await this.app.modalManager.showDialog({
+      title: 'Delete Bookmarks',
+      body,
+      confirmLabel: 'Delete',
+      danger: true
+    });
+    if (!confirmed) return;
+
+    const columns = new Set();
+    try {
+      await undoManager.transaction(`Deleted ${ids.length} bookmark${ids.length === 1 ? '' : 's'}`, async tx => {
+        for (const id of ids) {
+          await tx.remove(id);
+          // Also remove the copies in smart and recent columns
+          document.querySelectorAll(`.bookmark-item[data-bookmark-id="${id}"]`).forEach(item => {
+            columns.add(item.closest('.kanban-column'));
+            item.remove();
+          });
+        }
+      });
+    } catch (error) {
+      console.error('Failed to delete bookmarks:', error);
+      this.app.notificationManager.showErrorToast('Failed to delete some bookmarks');
+    }
+
+    columns.forEach(column => this.app.uiManager.columnManager.refreshColumnCounts(column));
+    this.app.dragManager.saveBookmarkOrder();
+    this.sync();
+  }
+
+  /**
+   * Add or remove tags on the selected bookmarks
+   */
+  async editTags() {
+    const choice = await this.app.modalManager.showBulkTagModal(this.selectedIds.size);
+    if (!choice || !choice.tags) return;
+
+    const [invalid] = findInvalidTags(choice.tags);
+    if (invalid) {
+      this.app.notificationManager.showErrorToast(describeInvalidTag(invalid));
+      return;
+    }
+
+    try {
+      const bookmarks = await this.getSelectedBookmarks();
+      const changed = normalizeTags(choice.tags);
+      await undoManager.transaction(choice.mode === 'remove' ? 'Tags removed' : 'Tags added', async tx => {
+        for (const bookmark of bookmarks) {
+          const { tags } = metadataStore.describe(bookmark);
+          const nextTags = choice.mode === 'remove' ?
+            tags.filter(tag => !changed.includes(tag)) :
+            [...tags, ...changed.filter(tag => !tags.includes(tag))];
+          if (nextTags.length === tags.length) continue;
+
+          const updated = await metadataStore.write(tx, bookmark, { tags: nextTags });
+          this.app.uiManager.updateBookmarkItem(updated);
+        }
+      });
+    } catch (error) {
+      console.error('Failed to update tags:', error);
+      this.app.notificationManager.showErrorToast('Failed to update tags');
+    }
+
+    // Re-rendered cards lost their selection state
+    this.sync();
+  }
+
+  /**
+   * Open every selected bookmark in a background tab
+   */
+  async openSelected() {
+    const bookmarks = await this.getSelectedBookmarks();
+    bookmarks.forEach(bookmark => {
+      chrome.tabs.create({ url: bookmark.url, active: false });
+      openHistory.record(bookmark);
+    });
+    contentIndex.indexOpened(bookmarks);
+  }
+
+  /**
+   * Copy the selected bookmarks as a Markdown list
+   */
+  async copyAsMarkdown() {
+    try {
+      const bookmarks = await this.getSelectedBookmarks();
+      const markdown = bookmarks.map(bookmark => {
+        const { cleanTitle } = parseTitle(bookmark.title);
+        const title = (cleanTitle || bookmark.url).replace(/([[\]])/g, '\\$1');
+        return `- [${title}](${bookmark.url})`;
+      }).join('\n');
+
+      await navigator.clipboard.writeText(markdown);
+      this.app.notificationManager.showToast(`Copied ${bookmarks.length} link${bookmarks.length === 1 ? '' : 's'} as Markdown`);
+    } catch (error) {
+      console.error('Failed to copy Markdown:', error);
+      this.app.notificationManager.showErrorToast('Failed to copy to clipboard');
+    }
+  }
+}
@@ -1,6 +1,15 @@
+import { commandRegistry } from './commandRegistry.js';
+
 export class SiteCheckManager {
   constructor(app) {
     this.app = app;
+
+    commandRegistry.register({
+      id: 'site-check.run',
+      category: 'Bookmarks',
+      title: 'Check Bookmark Availability',
+      run: () => this.handleSiteCheck()
+    });
   }
 
   async handleSiteCheck() {
@@ -31,6 +40,20 @@ export class SiteCheckManager {
     }
   }
 
+  // 读取本次浏览器会话中最近一次检查的结果（书签 ID -> 状态）
+  async getSiteStatus() {
+    if (!chrome.storage.session) {
+      return {};
+    }
+    try {
+      const { siteStatus } = await chrome.storage.session.get(['siteStatus']);
+      return siteStatus || {};
+    } catch (error) {
+      console.error('Failed to read site check results:', error);
+      return {};
+    }
+  }
+
   updateBookmarkStatus(siteStatus) {
     const bookmarkItems = document.querySelectorAll('.bookmark-item');
     bookmarkItems.forEach(item => {
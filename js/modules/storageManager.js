@@ -8,33 +8,98 @@ export class StorageManager {
   constructor() {
     this.STORAGE_KEYS = {
       COLUMN_ORDER: 'bookmark_board_column_order',
-      BOOKMARK_ORDER: 'bookmark_board_bookmark_order'
+      BOOKMARK_ORDER: 'bookmark_board_bookmark_order',
+      COLLAPSED_GROUPS: 'bookmark_board_collapsed_groups',
+      BOARD_ROOT: 'bookmark_board_root',
+      WORKSPACES: 'bookmark_board_workspaces',
+      ACTIVE_WORKSPACE: 'bookmark_board_active_workspace'
     };
+
+    // Layout keys are stored per workspace as `${key}@${workspaceId}`
+    this.DEFAULT_WORKSPACE = 'default';
+    this.workspaceId = this.DEFAULT_WORKSPACE;
     
     // Special column identifiers
     this.SPECIAL_COLUMNS = {
       UNCATEGORIZED: 'uncategorized',
+      BOOKMARKS_BAR: '1',    // Chrome assigns ID '1' to the bookmark bar, the default board root
       OTHER_BOOKMARKS: '2',  // Chrome assigns ID '2' to "Other Bookmarks"
       MOBILE_BOOKMARKS: '3'  // Chrome assigns ID '3' to "Mobile Bookmarks"
     };
   }
 
+  /**
+   * Set the workspace whose layout keys are read and written
+   * @param {string} workspaceId Workspace ID
+   */
+  setWorkspace(workspaceId) {
+    this.workspaceId = workspaceId || this.DEFAULT_WORKSPACE;
+  }
+
+  /**
+   * Load the active workspace ID from storage (for pages without a WorkspaceManager)
+   * @returns {Promise<string>} Active workspace ID
+   */
+  loadActiveWorkspace() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get([this.STORAGE_KEYS.ACTIVE_WORKSPACE], (result) => {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to get active workspace:', chrome.runtime.lastError);
+        } else {
+          this.setWorkspace(result[this.STORAGE_KEYS.ACTIVE_WORKSPACE]);
+        }
+        resolve(this.workspaceId);
+      });
+    });
+  }
+
+  /**
+   * Get the per-workspace variant of a layout key
+   * @param {string} key Base storage key
+   * @param {string} workspaceId Workspace ID (defaults to the current workspace)
+   * @returns {string} Storage key
+   */
+  getWorkspaceKey(key, workspaceId = this.workspaceId) {
+    return `${key}@${workspaceId}`;
+  }
+
+  /**
+   * Get the storage key for the column order of a board root
+   * @param {string} rootId Board root folder ID
+   * @returns {string} Storage key
+   */
+  getColumnOrderKey(rootId) {
+    if (!rootId || rootId === this.SPECIAL_COLUMNS.BOOKMARKS_BAR) {
+      return this.getWorkspaceKey(this.STORAGE_KEYS.COLUMN_ORDER);
+    }
+    return this.getWorkspaceKey(`${this.STORAGE_KEYS.COLUMN_ORDER}_${rootId}`);
+  }
+
   /**
    * Save column order
    * @param {Array} columns Column elements array
+   * @param {string} rootId Board root folder ID (defaults to the bookmark bar)
    */
-  saveColumnOrder(columns) {
+  saveColumnOrder(columns, rootId) {
     const columnOrder = Array.from(columns).map(column => {
       // Check for special column types
       if (column.dataset.columnType === 'uncategorized') {
         return this.SPECIAL_COLUMNS.UNCATEGORIZED;
       }
+
+      // Smart and recent columns are not folders
+      if (column.dataset.columnType === 'smart') {
+        return `smart:${column.dataset.searchId}`;
+      }
+      if (column.dataset.columnType === 'recent') {
+        return `recent:${column.dataset.recentKind}`;
+      }
       
       // Otherwise use the folder ID
       return column.dataset.folderId || null;
     }).filter(id => id !== null); // Filter out any null values
     
-    chrome.storage.sync.set({ [this.STORAGE_KEYS.COLUMN_ORDER]: columnOrder }, () => {
+    chrome.storage.sync.set({ [this.getColumnOrderKey(rootId)]: columnOrder }, () => {
       if (chrome.runtime.lastError) {
         console.error('Failed to save column order:', chrome.runtime.lastError);
       } else {
@@ -48,7 +113,7 @@ export class StorageManager {
    * @param {Object} bookmarkOrders Bookmark order object { folderId: [bookmarkId1, bookmarkId2, ...] }
    */
   saveBookmarkOrder(bookmarkOrders) {
-    chrome.storage.sync.set({ [this.STORAGE_KEYS.BOOKMARK_ORDER]: bookmarkOrders }, () => {
+    chrome.storage.sync.set({ [this.getWorkspaceKey(this.STORAGE_KEYS.BOOKMARK_ORDER)]: bookmarkOrders }, () => {
       if (chrome.runtime.lastError) {
         console.error('Failed to save bookmark order:', chrome.runtime.lastError);
       } else {
@@ -59,16 +124,18 @@ export class StorageManager {
 
   /**
    * Get saved column order
+   * @param {string} rootId Board root folder ID (defaults to the bookmark bar)
    * @returns {Promise<Array>} Column ID array
    */
-  getColumnOrder() {
+  getColumnOrder(rootId) {
+    const key = this.getColumnOrderKey(rootId);
     return new Promise((resolve) => {
-      chrome.storage.sync.get([this.STORAGE_KEYS.COLUMN_ORDER], (result) => {
+      chrome.storage.sync.get([key], (result) => {
         if (chrome.runtime.lastError) {
           console.error('Failed to get column order:', chrome.runtime.lastError);
           resolve(null);
         } else {
-          resolve(result[this.STORAGE_KEYS.COLUMN_ORDER] || null);
+          resolve(result[key] || null);
         }
       });
     });
@@ -79,34 +146,201 @@ export class StorageManager {
    * @returns {Promise<Object>} Bookmark order object
    */
   getBookmarkOrder() {
+    const key = this.getWorkspaceKey(this.STORAGE_KEYS.BOOKMARK_ORDER);
     return new Promise((resolve) => {
-      chrome.storage.sync.get([this.STORAGE_KEYS.BOOKMARK_ORDER], (result) => {
+      chrome.storage.sync.get([key], (result) => {
         if (chrome.runtime.lastError) {
           console.error('Failed to get bookmark order:', chrome.runtime.lastError);
           resolve(null);
         } else {
-          resolve(result[this.STORAGE_KEYS.BOOKMARK_ORDER] || null);
+          resolve(result[key] || null);
         }
       });
     });
   }
 
   /**
-   * Clear all saved order data
+   * Save collapsed subfolder groups
+   * @param {Array} folderIds IDs of collapsed subfolders
    */
-  clearAllOrderData() {
-    chrome.storage.sync.remove([
-      this.STORAGE_KEYS.COLUMN_ORDER,
-      this.STORAGE_KEYS.BOOKMARK_ORDER
-    ], () => {
+  saveCollapsedGroups(folderIds) {
+    chrome.storage.sync.set({ [this.getWorkspaceKey(this.STORAGE_KEYS.COLLAPSED_GROUPS)]: folderIds }, () => {
       if (chrome.runtime.lastError) {
-        console.error('Failed to clear order data:', chrome.runtime.lastError);
-      } else {
-        console.log('All order data cleared');
+        console.error('Failed to save collapsed groups:', chrome.runtime.lastError);
       }
     });
   }
 
+  /**
+   * Get collapsed subfolder groups
+   * @returns {Promise<Array>} IDs of collapsed subfolders
+   */
+  getCollapsedGroups() {
+    const key = this.getWorkspaceKey(this.STORAGE_KEYS.COLLAPSED_GROUPS);
+    return new Promise((resolve) => {
+      chrome.storage.sync.get([key], (result) => {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to get collapsed groups:', chrome.runtime.lastError);
+          resolve([]);
+        } else {
+          resolve(result[key] || []);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get the folder the board is rooted on in this new tab session
+   * @returns {string|null} Folder ID, or null for the default board
+   */
+  getBoardRoot() {
+    return sessionStorage.getItem(this.getWorkspaceKey(this.STORAGE_KEYS.BOARD_ROOT));
+  }
+
+  /**
+   * Remember the board root for this new tab session
+   * @param {string|null} folderId Folder ID, or null for the default board
+   */
+  saveBoardRoot(folderId) {
+    const key = this.getWorkspaceKey(this.STORAGE_KEYS.BOARD_ROOT);
+    if (folderId) {
+      sessionStorage.setItem(key, folderId);
+    } else {
+      sessionStorage.removeItem(key);
+    }
+  }
+
+  /**
+   * Get saved workspaces
+   * @returns {Promise<Array|null>} Workspace records, or null before migration
+   */
+  getWorkspaces() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get([this.STORAGE_KEYS.WORKSPACES], (result) => {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to get workspaces:', chrome.runtime.lastError);
+          resolve(null);
+        } else {
+          resolve(result[this.STORAGE_KEYS.WORKSPACES] || null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Save workspaces and the active workspace ID
+   * @param {Array} workspaces Workspace records
+   * @param {string} activeId Active workspace ID
+   * @returns {Promise<void>}
+   */
+  saveWorkspaces(workspaces, activeId) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.sync.set({
+        [this.STORAGE_KEYS.WORKSPACES]: workspaces,
+        [this.STORAGE_KEYS.ACTIVE_WORKSPACE]: activeId
+      }, () => {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to save workspaces:', chrome.runtime.lastError);
+          reject(chrome.runtime.lastError);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Move the single pre-workspace layout into the default workspace
+   * @param {Object} defaultWorkspace Workspace record to create
+   * @returns {Promise<Array>} Workspace records after migration
+   */
+  async migrateToWorkspaces(defaultWorkspace) {
+    const existing = await this.getWorkspaces();
+    if (existing) return existing;
+
+    const items = await new Promise(resolve => chrome.storage.sync.get(null, resolve));
+    const layoutKeys = this.getLayoutKeys(items || {}, null);
+    const migrated = {};
+    layoutKeys.forEach(key => {
+      migrated[this.getWorkspaceKey(key, defaultWorkspace.id)] = items[key];
+    });
+
+    await new Promise(resolve => chrome.storage.sync.set(migrated, resolve));
+    await this.saveWorkspaces([defaultWorkspace], defaultWorkspace.id);
+    chrome.storage.sync.remove(layoutKeys);
+
+    console.log('Migrated layout into default workspace:', layoutKeys);
+    return [defaultWorkspace];
+  }
+
+  /**
+   * Find the layout keys of a workspace among stored items
+   * @param {Object} items All stored items
+   * @param {string|null} workspaceId Workspace ID, or null for legacy unsuffixed keys
+   * @returns {Array} Matching storage keys
+   */
+  getLayoutKeys(items, workspaceId) {
+    const bases = [
+      this.STORAGE_KEYS.COLUMN_ORDER,
+      this.STORAGE_KEYS.BOOKMARK_ORDER,
+      this.STORAGE_KEYS.COLLAPSED_GROUPS
+    ];
+    const suffix = workspaceId ? `@${workspaceId}` : '';
+
+    return Object.keys(items).filter(key => {
+      if (workspaceId ? !key.endsWith(suffix) : key.includes('@')) return false;
+      const base = workspaceId ? key.slice(0, -suffix.length) : key;
+      // Column orders of drilled-down boards are stored under suffixed keys
+      return bases.includes(base) || base.startsWith(`${this.STORAGE_KEYS.COLUMN_ORDER}_`);
+    });
+  }
+
+  /**
+   * Carry a folder's saved layout over to a new folder ID (e.g. after it was recreated)
+   * @param {string} oldId Previous folder ID
+   * @param {string} newId New folder ID
+   * @param {string} rootId Board root whose column order should be updated
+   */
+  async replaceLayoutId(oldId, newId, rootId) {
+    const columnOrder = await this.getColumnOrder(rootId);
+    if (columnOrder && columnOrder.includes(oldId)) {
+      const key = this.getColumnOrderKey(rootId);
+      chrome.storage.sync.set({ [key]: columnOrder.map(id => (id === oldId ? newId : id)) });
+    }
+
+    const bookmarkOrder = await this.getBookmarkOrder();
+    if (bookmarkOrder && bookmarkOrder[oldId]) {
+      bookmarkOrder[newId] = bookmarkOrder[oldId];
+      delete bookmarkOrder[oldId];
+      this.saveBookmarkOrder(bookmarkOrder);
+    }
+  }
+
+  /**
+   * Remove every layout key of a workspace
+   * @param {string} workspaceId Workspace ID
+   */
+  clearWorkspaceData(workspaceId) {
+    chrome.storage.sync.get(null, (items) => {
+      chrome.storage.sync.remove(this.getLayoutKeys(items || {}, workspaceId));
+    });
+  }
+
+  /**
+   * Clear all saved order data of the current workspace
+   */
+  clearAllOrderData() {
+    chrome.storage.sync.get(null, (items) => {
+      chrome.storage.sync.remove(this.getLayoutKeys(items || {}, this.workspaceId), () => {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to clear order data:', chrome.runtime.lastError);
+        } else {
+          console.log('All order data cleared');
+        }
+      });
+    });
+  }
+
   /**
    * Collect current bookmark order from DOM
    * @returns {Object} Bookmark order object
@@ -131,15 +365,30 @@ export class StorageManager {
       const bookmarkList = column.querySelector('.bookmark-list');
       if (!bookmarkList) return;
       
-      // Get all bookmark IDs in the column
+      // Get IDs of bookmarks placed directly in the column
       const bookmarkIds = Array.from(
-        bookmarkList.querySelectorAll('.bookmark-item')
+        bookmarkList.querySelectorAll(':scope > .bookmark-item')
       ).map(item => item.dataset.bookmarkId);
       
       // Only save if there are bookmarks
       if (bookmarkIds.length > 0) {
         bookmarkOrders[columnId] = bookmarkIds;
       }
+
+      // Subfolder groups at any depth keep their own order, under the folder's ID like
+      // a column, so it carries over when the folder is opened as a board
+      bookmarkList.querySelectorAll('.subfolder-group').forEach(group => {
+        const items = group.querySelector(':scope > .subfolder-items');
+        if (!items) return;
+
+        const subfolderIds = Array.from(
+          items.querySelectorAll(':scope > .bookmark-item')
+        ).map(item => item.dataset.bookmarkId);
+
+        if (subfolderIds.length > 0) {
+          bookmarkOrders[group.dataset.folderId] = subfolderIds;
+        }
+      });
     });
     
     return bookmarkOrders;
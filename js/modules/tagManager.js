@@ -0,0 +1,162 @@
+// js/modules/tagManager.js
+import { getTagColor, getTagAncestors, tagMatches, compareTags } from './utils.js';
+import { metadataStore } from './metadataStore.js';
+
+/**
+ * Tag Manager
+ * Global tag operations: usage counts, renaming, merging and deleting a tag on every
+ * bookmark, and user-chosen tag colors (synced through chrome.storage.sync).
+ * Tags are hierarchical: an operation on #lang also applies to #lang/rust.
+ */
+export class TagManager {
+  constructor() {
+    this.STORAGE_KEY = 'tagColors';
+    this.colors = {};
+  }
+
+  /**
+   * Load user-chosen tag colors
+   */
+  async load() {
+    this.colors = await new Promise((resolve) => {
+      chrome.storage.sync.get([this.STORAGE_KEY], (result) => {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to load tag colors:', chrome.runtime.lastError);
+          resolve({});
+        } else {
+          resolve(result[this.STORAGE_KEY] || {});
+        }
+      });
+    });
+  }
+
+  /**
+   * Get a tag's color: the user's choice for it or its nearest parent, or one derived from the tag name
+   * @param {string} tag Tag with leading #
+   * @returns {string} CSS color
+   */
+  getColor(tag) {
+    const colored = getTagAncestors(tag).reverse().find(ancestor => this.colors[ancestor]);
+    return colored ? this.colors[colored] : getTagColor(tag);
+  }
+
+  /**
+   * Check whether a tag has a user-chosen color
+   * @param {string} tag Tag with leading #
+   * @returns {boolean} True if the color was chosen
+   */
+  hasCustomColor(tag) {
+    return Boolean(this.colors[tag]);
+  }
+
+  /**
+   * Set or reset a tag's color
+   * @param {string} tag Tag with leading #
+   * @param {string|null} color CSS color, or null to use the derived color
+   */
+  async setColor(tag, color) {
+    if (color) {
+      this.colors[tag] = color;
+    } else {
+      delete this.colors[tag];
+    }
+    await this.saveColors();
+  }
+
+  /**
+   * Count how many bookmarks use each tag. Parent tags are listed even when no
+   * bookmark carries them directly, and count the bookmarks of their children.
+   * @param {Array} bookmarks Bookmarks
+   * @returns {Map} Tag -> bookmarks using it or a child of it, sorted by tag
+   */
+  getUsage(bookmarks) {
+    const usage = new Map();
+    bookmarks.forEach(bookmark => {
+      const tags = new Set(metadataStore.describe(bookmark).tags.flatMap(tag => getTagAncestors(tag)));
+      tags.forEach(tag => {
+        if (!usage.has(tag)) {
+          usage.set(tag, []);
+        }
+        usage.get(tag).push(bookmark);
+      });
+    });
+    return new Map([...usage.entries()].sort(([a], [b]) => compareTags(a, b)));
+  }
+
+  /**
+   * Replace a tag and its children on every bookmark using them, keeping the
+   * children under the new name (#lang/rust -> #code/rust). Renaming onto an
+   * existing tag merges them; deleting a tag deletes its children.
+   * @param {Object} tx Undo transaction helpers
+   * @param {Array} bookmarks Bookmarks using the tag
+   * @param {string} from Tag to replace
+   * @param {string|null} to New tag, or null to delete the tag
+   * @returns {Promise<number>} Number of bookmarks changed
+   */
+  async replaceTag(tx, bookmarks, from, to) {
+    const rename = tag => (to ? to + tag.substring(from.length) : null);
+
+    let changed = 0;
+    for (const bookmark of bookmarks) {
+      const { tags } = metadataStore.describe(bookmark);
+      if (!tags.some(tag => tagMatches(tag, from))) continue;
+
+      const nextTags = tags
+        .map(tag => (tagMatches(tag, from) ? rename(tag) : tag))
+        .filter(Boolean);
+      await metadataStore.write(tx, bookmark, { tags: [...new Set(nextTags)] });
+      changed++;
+    }
+
+    // Colors follow renamed tags unless the target already has one, as part of the
+    // transaction so undo brings them back
+    const colored = Object.keys(this.colors).filter(tag => tagMatches(tag, from));
+    if (colored.length > 0) {
+      const before = {};
+      const after = {};
+      colored.forEach(tag => {
+        const renamed = rename(tag);
+        if (renamed && !this.colors[renamed]) {
+          before[renamed] = null;
+          after[renamed] = this.colors[tag];
+        }
+        before[tag] = this.colors[tag];
+        after[tag] = null;
+      });
+      await tx.custom(() => this.updateColors(after), () => this.updateColors(before));
+    }
+    return changed;
+  }
+
+  /**
+   * Set or reset the colors of several tags
+   * @param {Object} colors Tag -> CSS color, or null to use the derived color
+   */
+  async updateColors(colors) {
+    Object.entries(colors).forEach(([tag, color]) => {
+      if (color) {
+        this.colors[tag] = color;
+      } else {
+        delete this.colors[tag];
+      }
+    });
+    await this.saveColors();
+  }
+
+  /**
+   * Persist tag colors
+   */
+  saveColors() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.set({ [this.STORAGE_KEY]: this.colors }, () => {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to save tag colors:', chrome.runtime.lastError);
+        }
+        resolve();
+      });
+    });
+  }
+}
+
+// Export singleton
+export const tagManager = new TagManager();
@@ -0,0 +1,215 @@
+// js/modules/trashManager.js
+import { generateId } from './utils.js';
+
+/**
+ * Trash Manager
+ * Keeps deleted bookmarks and folders (with their subtree) in chrome.storage.local
+ * so they can be restored to their original location or purged for good. Entries
+ * older than the retention setting are purged on load and then every hour, so a
+ * board left open doesn't keep them.
+ *
+ * Several board tabs can be open at once: each change is applied to the stored
+ * entries, re-read first, and every tab's copy follows the stored ones.
+ */
+export class TrashManager {
+  constructor() {
+    this.STORAGE_KEY = 'bookmark_board_trash';
+    this.DEFAULT_RETENTION_DAYS = 30;
+    this.PURGE_INTERVAL = 60 * 60 * 1000;
+    this.purgeTimer = null;
+    this.entries = [];
+    this.loaded = false;
+    this.watching = false;
+    this.listeners = [];
+  }
+
+  /**
+   * Load trash entries and purge the ones older than the retention setting
+   * @returns {Promise<Array>} Trash entries, newest first
+   */
+  async load() {
+    this.entries = await this.readEntries();
+    this.loaded = true;
+    this.watchChanges();
+
+    await this.purgeExpired();
+    this.initPeriodicPurge();
+    return this.getEntries();
+  }
+
+  /**
+   * Read the stored trash entries
+   * @returns {Promise<Array>} Trash entries, newest first
+   */
+  readEntries() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.STORAGE_KEY], (result) => {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to load trash:', chrome.runtime.lastError);
+          resolve([]);
+        } else {
+          resolve(result[this.STORAGE_KEY] || []);
+        }
+      });
+    });
+  }
+
+  /**
+   * Follow changes saved by other tabs
+   */
+  watchChanges() {
+    if (this.watching) return;
+    this.watching = true;
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[this.STORAGE_KEY]) {
+        this.entries = changes[this.STORAGE_KEY].newValue || [];
+        this.listeners.forEach(callback => callback(this.getEntries()));
+      }
+    });
+  }
+
+  /**
+   * Apply a change to the stored entries, re-read first so entries another tab
+   * added or removed since this one loaded aren't lost
+   * @param {Function} change Called with the stored entries, returns the new entries
+   */
+  async updateEntries(change) {
+    this.entries = change(await this.readEntries());
+    await this.save();
+  }
+
+  /**
+   * Initialize periodic purging of expired entries
+   */
+  initPeriodicPurge() {
+    if (this.purgeTimer) return;
+    this.purgeTimer = setInterval(() => {
+      this.purgeExpired().catch(error => {
+        console.error('Failed to purge trash:', error);
+      });
+    }, this.PURGE_INTERVAL);
+  }
+
+  /**
+   * Get trash entries, newest first
+   * @returns {Array} Trash entries
+   */
+  getEntries() {
+    return [...this.entries];
+  }
+
+  /**
+   * Get a trash entry
+   * @param {string} id Trash entry ID
+   * @returns {Object|undefined} Trash entry
+   */
+  getEntry(id) {
+    return this.entries.find(entry => entry.id === id);
+  }
+
+  /**
+   * Register a callback for trash changes
+   * @param {Function} callback Called with the current entries
+   */
+  onChange(callback) {
+    this.listeners.push(callback);
+  }
+
+  /**
+   * Put a deleted node into the trash
+   * @param {Object} node Snapshot of the deleted node {id, parentId, index, title, url, children}
+   * @param {Array} path Titles of the folders it was in, from the top level down
+   * @returns {Promise<string>} Trash entry ID
+   */
+  async add(node, path = []) {
+    if (!this.loaded) {
+      await this.load();
+    }
+
+    const entry = {
+      id: generateId(),
+      deletedAt: Date.now(),
+      path,
+      node
+    };
+    await this.updateEntries(entries => [entry, ...entries]);
+    return entry.id;
+  }
+
+  /**
+   * Remove entries from the trash without touching bookmarks
+   * @param {...string} ids Trash entry IDs
+   */
+  async discard(...ids) {
+    if (!this.loaded) {
+      await this.load();
+    }
+
+    await this.updateEntries(entries => entries.filter(entry => !ids.includes(entry.id)));
+  }
+
+  /**
+   * Remove every entry from the trash
+   */
+  async empty() {
+    await this.updateEntries(() => []);
+  }
+
+  /**
+   * Get how many days deleted items are kept
+   * @returns {Promise<number>} Days, 0 to keep forever
+   */
+  getRetentionDays() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get(['trashRetentionDays'], (result) => {
+        const days = result.trashRetentionDays;
+        resolve(typeof days === 'number' ? days : this.DEFAULT_RETENTION_DAYS);
+      });
+    });
+  }
+
+  /**
+   * Check whether the Trash column is shown on the board
+   * @returns {Promise<boolean>} True if the column is enabled
+   */
+  isColumnEnabled() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get(['showTrashColumn'], (result) => {
+        resolve(result.showTrashColumn === true);
+      });
+    });
+  }
+
+  /**
+   * Purge entries older than the retention setting
+   */
+  async purgeExpired() {
+    const days = await this.getRetentionDays();
+    if (days <= 0) return;
+
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const isKept = entry => entry.deletedAt >= cutoff;
+    if (!(await this.readEntries()).every(isKept)) {
+      await this.updateEntries(entries => entries.filter(isKept));
+    }
+  }
+
+  /**
+   * Persist entries and notify listeners
+   */
+  save() {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.STORAGE_KEY]: this.entries }, () => {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to save trash:', chrome.runtime.lastError);
+        }
+        this.listeners.forEach(callback => callback(this.getEntries()));
+        resolve();
+      });
+    });
+  }
+}
+
+// Export singleton
+export const trashManager = new TrashManager();
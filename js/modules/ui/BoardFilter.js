@@ -0,0 +1,151 @@
+import { debounce } from '../utils.js';
+
+/**
+ * Board filter
+ * A filter box in the header that hides the cards not matching what's typed, right
+ * on the board: every word must appear in the card's title, URL or tags. Columns and
+ * subfolder groups left empty are hidden too, and column counts read "n of m".
+ * Ctrl+F or / focuses the box, and Esc clears it and shows everything again.
+ */
+export class BoardFilter {
+  /**
+   * @param {HTMLInputElement} input Filter input
+   * @param {HTMLElement} container Board container
+   * @param {ColumnManager} columnManager Column manager, for recounting columns
+   */
+  constructor(input, container, columnManager) {
+    this.input = input;
+    this.container = container;
+    this.columnManager = columnManager;
+    this.terms = [];
+
+    this.bindEvents();
+  }
+
+  /**
+   * Listen for typing, the focus shortcuts and cards added or removed outside a full render
+   */
+  bindEvents() {
+    if (!this.input) return;
+
+    this.input.addEventListener('input', () => this.update());
+
+    this.input.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        // Keep the palette and modals from also handling it
+        e.stopPropagation();
+        this.clear();
+        this.input.blur();
+      } else if (e.key === 'Enter') {
+        // Open the only card left, like a search
+        const visible = this.getItems().filter(item =>
+          !item.classList.contains('filter-hidden') && !item.classList.contains('tag-hidden'));
+        if (this.terms.length > 0 && visible.length === 1) {
+          visible[0].click();
+        }
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      const findShortcut = (e.ctrlKey || e.metaKey) && !e.shiftKey && e.key.toLowerCase() === 'f';
+      const slash = e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey && !this.isEditingText(e.target);
+      if ((findShortcut || slash) && !document.querySelector('.modal.show, .command-palette-overlay.active')) {
+        e.preventDefault();
+        this.focus();
+      } else if (e.key === 'Escape' && this.terms.length > 0 && !this.isEditingText(e.target) &&
+        !document.querySelector('.modal.show, .command-palette-overlay.active')) {
+        // Esc clears the filter from anywhere on the board, not only from the box
+        this.clear();
+      }
+    });
+
+    const refreshLater = debounce(() => this.apply(), 100);
+    const isCardChange = node => node.nodeType === Node.ELEMENT_NODE &&
+      (node.classList.contains('bookmark-item') || node.classList.contains('subfolder-group'));
+    new MutationObserver((mutations) => {
+      const changed = mutations.some(mutation =>
+        [...mutation.addedNodes, ...mutation.removedNodes].some(isCardChange));
+      if (changed && this.terms.length > 0) {
+        refreshLater();
+      }
+    }).observe(this.container, { childList: true, subtree: true });
+  }
+
+  /**
+   * Check whether the user is typing somewhere else
+   * @param {HTMLElement} target Event target
+   * @returns {boolean} True for text fields and editable content
+   */
+  isEditingText(target) {
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+  }
+
+  /**
+   * Focus the filter box and select its text
+   */
+  focus() {
+    this.input.focus();
+    this.input.select();
+  }
+
+  /**
+   * Clear the filter and show every card
+   */
+  clear() {
+    this.input.value = '';
+    this.update();
+  }
+
+  /**
+   * Read the typed words and re-apply the filter
+   */
+  update() {
+    this.terms = this.input.value.toLowerCase().split(/\s+/).filter(Boolean);
+    this.input.classList.toggle('active', this.terms.length > 0);
+    this.apply();
+  }
+
+  /**
+   * Get the cards on the board
+   * @returns {HTMLElement[]} Bookmark item elements
+   */
+  getItems() {
+    return Array.from(this.container.querySelectorAll('.bookmark-item'));
+  }
+
+  /**
+   * Check whether a card matches every typed word
+   * @param {HTMLElement} item Bookmark item element
+   * @returns {boolean} True if the card should be shown
+   */
+  matches(item) {
+    const title = item.querySelector('.bookmark-title');
+    const text = [
+      title ? title.textContent : '',
+      item.dataset.url || '',
+      item.dataset.tags || ''
+    ].join(' ').toLowerCase();
+    return this.terms.every(term => text.includes(term));
+  }
+
+  /**
+   * Hide non-matching cards, then empty subfolder groups and columns, and recount columns
+   */
+  apply() {
+    const active = this.terms.length > 0;
+    this.getItems().forEach(item => {
+      item.classList.toggle('filter-hidden', active && !this.matches(item));
+    });
+
+    // Cards hidden by the tag filter don't keep a group or column visible either
+    const hasVisibleCards = element =>
+      element.querySelector('.bookmark-item:not(.filter-hidden):not(.tag-hidden)') !== null;
+    this.container.querySelectorAll('.subfolder-group').forEach(group => {
+      group.classList.toggle('filter-empty', active && !hasVisibleCards(group));
+    });
+    this.container.querySelectorAll('.kanban-column').forEach(column => {
+      column.classList.toggle('filter-empty', active && !hasVisibleCards(column));
+      this.columnManager.refreshColumnCounts(column);
+    });
+  }
+}
@@ -1,5 +1,9 @@
-import { createElement, getDomain, parseTitle, getTagColor } from '../utils.js';
+import { createElement, getDomain, splitTag, formatRelativeTime } from '../utils.js';
 import { faviconLoader } from '../faviconLoader.js';
+import { metadataStore } from '../metadataStore.js';
+import { tagManager } from '../tagManager.js';
+import { openHistory } from '../openHistory.js';
+import { contentIndex } from '../contentIndex.js';
 
 export class BookmarkRenderer {
   constructor() {
@@ -38,29 +42,46 @@ export class BookmarkRenderer {
     item.setAttribute('data-url', bookmark.url);
 
     const content = createElement('div', 'bookmark-content');
+    const metadata = metadataStore.describe(bookmark);
+    const { tags } = metadata;
+    item.dataset.tags = tags.join(' ');
+
+    // Color marker
+    if (metadata.color) {
+      item.classList.add('bookmark-colored');
+      item.style.setProperty('--bookmark-color', metadata.color);
+    }
 
     // Create favicon element
     const favicon = createElement('img', 'bookmark-icon');
     favicon.setAttribute('data-hostname', getDomain(bookmark.url));
 
     // Handle custom favicon logic
-    this.setCustomFavicon(favicon, bookmark);
+    this.setCustomFavicon(favicon, bookmark, metadata);
 
     const textContainer = createElement('div', 'bookmark-text-container');
 
     // Create title element
     const title = createElement('div', 'bookmark-title');
-    const { cleanTitle, tags } = parseTitle(bookmark.title);
-    title.textContent = cleanTitle || '(Untitled)';
-    title.title = cleanTitle || bookmark.url;
+    title.textContent = metadata.title || '(Untitled)';
+    title.title = [metadata.title || bookmark.url, metadata.notes].filter(Boolean).join('\n\n');
 
     // Create tags container
     const tagsContainer = createElement('div', 'bookmark-tags');
     if (tags.length > 0) {
       tags.forEach(tag => {
         const tagElement = createElement('span', 'bookmark-tag');
-        tagElement.textContent = tag.substring(1); // Remove #
-        tagElement.style.backgroundColor = getTagColor(tag);
+        tagElement.style.backgroundColor = tagManager.getColor(tag);
+        tagElement.title = tag;
+
+        // Hierarchical tags show their direct parent, deeper ancestors collapse to "…"
+        const { parent, name, depth } = splitTag(tag);
+        if (parent) {
+          const parentElement = createElement('span', 'bookmark-tag-parent');
+          parentElement.textContent = depth > 1 ? `…/${parent.split('/').pop()}/` : `${parent}/`;
+          tagElement.appendChild(parentElement);
+        }
+        tagElement.appendChild(document.createTextNode(name));
         tagsContainer.appendChild(tagElement);
       });
     }
@@ -110,9 +131,17 @@ export class BookmarkRenderer {
     item.appendChild(actions);
 
     // Add click handler to open bookmark
-    item.addEventListener('click', (e) => {
-      if (!e.target.closest('.bookmark-action')) {
-        window.open(bookmark.url, this.openInNewTab ? '_blank' : '_self');
+    item.addEventListener('click', async (e) => {
+      if (e.target.closest('.bookmark-action')) return;
+      if (this.openInNewTab) {
+        window.open(bookmark.url, '_blank');
+        openHistory.record(bookmark);
+        contentIndex.indexOpened([bookmark]);
+      } else {
+        // Save the open before this page navigates away
+        await openHistory.record(bookmark);
+        await contentIndex.indexOpened([bookmark]);
+        window.open(bookmark.url, '_self');
       }
     });
 
@@ -124,22 +153,48 @@ export class BookmarkRenderer {
    * @param {Object} bookmark Bookmark data
    */
   updateBookmarkItem(bookmark) {
-    const item = document.querySelector(`.bookmark-item[data-bookmark-id="${bookmark.id}"]`);
-    if (item) {
-      const newItem = this.createBookmarkItem(bookmark);
-      item.replaceWith(newItem);
+    // A bookmark also shows in the smart and recent columns it is listed in
+    document.querySelectorAll(`.bookmark-item[data-bookmark-id="${bookmark.id}"]`).forEach(item => {
+      const updated = this.createBookmarkItem(bookmark);
+      if (item.dataset.time) {
+        this.setTimestamp(updated, Number(item.dataset.time));
+      }
+      item.replaceWith(updated);
+    });
+  }
+
+  /**
+   * Show on a card how long ago it was added or opened
+   * @param {HTMLElement} item Bookmark item element
+   * @param {number} time Timestamp (ms)
+   */
+  setTimestamp(item, time) {
+    item.dataset.time = String(time);
+    let label = item.querySelector('.bookmark-time');
+    if (!label) {
+      label = createElement('span', 'bookmark-time');
+      item.querySelector('.bookmark-content').appendChild(label);
     }
+    label.textContent = formatRelativeTime(time);
+    label.title = new Date(time).toLocaleString();
+  }
+
+  /**
+   * Bring the relative times on the board's cards up to date
+   */
+  refreshTimestamps() {
+    document.querySelectorAll('.bookmark-item[data-time]').forEach(item => {
+      this.setTimestamp(item, Number(item.dataset.time));
+    });
   }
 
   /**
    * Set custom favicon for bookmark
    * @param {HTMLImageElement} faviconElement Favicon element
    * @param {Object} bookmark Bookmark data
+   * @param {Object} customFaviconData Bookmark metadata { faviconUrl, emoji }
    */
-  setCustomFavicon(faviconElement, bookmark) {
-    // Extract custom favicon data from bookmark title
-    const customFaviconData = this.extractCustomFaviconData(bookmark);
-
+  setCustomFavicon(faviconElement, bookmark, customFaviconData) {
     // Priority: emoji > custom favicon URL > default favicon loading
     if (customFaviconData.emoji) {
       // Convert emoji to data URL
@@ -163,29 +218,6 @@ export class BookmarkRenderer {
     }
   }
 
-  /**
-   * Extract custom favicon data from bookmark title
-   * @param {Object} bookmark Bookmark data
-   * @returns {Object} Custom favicon data { faviconUrl, emoji }
-   */
-  extractCustomFaviconData(bookmark) {
-    const result = { faviconUrl: '', emoji: '' };
-
-    // Check if title contains favicon metadata
-    const faviconUrlMatch = bookmark.title.match(/\[favicon:(https?:\/\/[^\]]+)\]/);
-    const emojiMatch = bookmark.title.match(/\[emoji:([^\]]+)\]/);
-
-    if (faviconUrlMatch) {
-      result.faviconUrl = faviconUrlMatch[1];
-    }
-
-    if (emojiMatch) {
-      result.emoji = emojiMatch[1];
-    }
-
-    return result;
-  }
-
   /**
    * Convert emoji to data URL for use as favicon
    * @param {string} emoji Emoji character
@@ -221,8 +253,7 @@ export class BookmarkRenderer {
    * @param {string} bookmarkId Bookmark ID to remove
    */
   removeBookmarkItem(bookmarkId) {
-    const bookmarkItem = document.querySelector(`.bookmark-item[data-bookmark-id="${bookmarkId}"]`);
-    if (bookmarkItem) {
+    document.querySelectorAll(`.bookmark-item[data-bookmark-id="${bookmarkId}"]`).forEach(bookmarkItem => {
       bookmarkItem.style.transition = 'opacity 0.3s ease';
       bookmarkItem.style.opacity = '0';
 
@@ -246,7 +277,7 @@ export class BookmarkRenderer {
           this.onBookmarkOrderChanged();
         }
       }, 300);
-    }
+    });
   }
 
   /**
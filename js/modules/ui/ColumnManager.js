@@ -1,10 +1,15 @@
 import { createElement, parseTitle } from '../utils.js';
+import { storageManager } from '../storageManager.js';
+import { undoManager } from '../undoManager.js';
+import { metadataStore } from '../metadataStore.js';
+import { recentColumns } from '../recentColumns.js';
 
 export class ColumnManager {
   constructor(bookmarkManager, notificationService) {
     this.bookmarkManager = bookmarkManager;
     this.notificationService = notificationService;
     this.bookmarkRenderer = null; // Will be set later via setter
+    this.collapsedGroups = new Set();
   }
 
   /**
@@ -15,6 +20,14 @@ export class ColumnManager {
     this.bookmarkRenderer = renderer;
   }
 
+  /**
+   * Set the IDs of subfolder groups that should render collapsed
+   * @param {Array} folderIds Collapsed folder IDs
+   */
+  setCollapsedGroups(folderIds) {
+    this.collapsedGroups = new Set(folderIds || []);
+  }
+
   /**
    * Render a folder column
    * @param {Object} folder Folder data
@@ -25,9 +38,12 @@ export class ColumnManager {
     const column = createElement('div', 'kanban-column');
     column.dataset.columnType = 'folder';
     column.dataset.folderId = folder.id;
+    column.tabIndex = 0; // Focusable so URLs can be pasted into it
 
     // Create header
     const header = this.createColumnHeader(folder.title, this.countBookmarksInFolder(folder));
+    this.addOpenAsBoardButton(header, folder.id);
+    this.addColumnMenuButton(header);
     column.appendChild(header);
 
     // Add double-click event handling for title editing
@@ -51,9 +67,17 @@ export class ColumnManager {
           bookmarkList.appendChild(bookmarkItem);
         });
       }
+
+      // Render subfolders
+      folder.children.forEach(child => {
+        if (child.children) {
+          this.renderSubfolderGroup(child, bookmarkList, savedBookmarkOrder);
+        }
+      });
     }
 
     column.appendChild(bookmarkList);
+    column.appendChild(this.createColumnFooter());
     container.appendChild(column);
   }
 
@@ -70,9 +94,13 @@ export class ColumnManager {
     const column = createElement('div', 'kanban-column');
     column.dataset.columnType = type;
     column.dataset.folderId = folderId;
+    column.tabIndex = 0; // Focusable so URLs can be pasted into it
 
     // Create header
-    const header = this.createColumnHeader(title, bookmarks.length);
+    const header = this.createColumnHeader(title, this.countBookmarks(bookmarks));
+    if (type === 'special') {
+      this.addOpenAsBoardButton(header, folderId);
+    }
     column.appendChild(header);
 
     // Add double-click event handling for title editing
@@ -105,10 +133,157 @@ export class ColumnManager {
           this.renderSubfolderGroup(bookmark, bookmarkList, savedBookmarkOrder);
         }
       });
+    column.appendChild(bookmarkList);
+    column.appendChild(this.createColumnFooter());
+    container.appendChild(column);
+  }
+
+  /**
+   * Render a saved search pinned as a smart column, listing the bookmarks its rule matches.
+   * Its cards are copied when dragged out to a folder; cards dropped in get the rule applied.
+   * @param {Object} search Saved search {id, name, query, rule}
+   * @param {Array} bookmarks Matching bookmarks, best match first
+   * @param {HTMLElement} container Container to append to
+   * @param {string} error Why the query can't run, if it can't
+   */
+  renderSmartColumn(search, bookmarks, container, error) {
+    const column = createElement('div', 'kanban-column smart-column');
+    column.dataset.columnType = 'smart';
+    column.dataset.searchId = search.id;
+
+    const header = this.createColumnHeader(search.name, bookmarks.length);
+    header.querySelector('.column-title').title = search.query;
+    this.addColumnMenuButton(header);
+    column.appendChild(header);
+
+    const bookmarkList = createElement('div', 'bookmark-list');
+    if (error) {
+      const message = createElement('div', 'smart-column-error');
+      message.textContent = error;
+      bookmarkList.appendChild(message);
+    }
+    bookmarks.forEach(bookmark => {
+      bookmarkList.appendChild(this.bookmarkRenderer.createBookmarkItem(bookmark));
+    });
+
     column.appendChild(bookmarkList);
     container.appendChild(column);
   }
 
+  /**
+   * Render a recent column: the most recently added or opened bookmarks across all
+   * folders, each card showing how long ago. Its cards are copied when dragged out to a
+   * folder, and nothing can be dropped in.
+   * @param {string} kind 'added' or 'opened'
+   * @param {Array<{bookmark: Object, time: number}>} recent Bookmarks with their times, most recent first
+   * @param {number} size Number of bookmarks the column lists
+   * @param {HTMLElement} container Container to append to
+   */
+  renderRecentColumn(kind, recent, size, container) {
+    const column = createElement('div', 'kanban-column recent-column');
+    column.dataset.columnType = 'recent';
+    column.dataset.recentKind = kind;
+    column.dataset.size = String(size);
+
+    const header = this.createColumnHeader(recentColumns.TITLES[kind], recent.length);
+    this.addColumnMenuButton(header);
+    column.appendChild(header);
+
+    const bookmarkList = createElement('div', 'bookmark-list');
+    bookmarkList.dataset.empty = kind === recentColumns.KINDS.ADDED ? 'No bookmarks yet' : 'Nothing opened yet';
+    recent.forEach(({ bookmark, time }) => {
+      const item = this.bookmarkRenderer.createBookmarkItem(bookmark);
+      this.bookmarkRenderer.setTimestamp(item, time);
+      bookmarkList.appendChild(item);
+    });
+
+    column.appendChild(bookmarkList);
+    container.appendChild(column);
+  }
+
+  /**
+   * Put a bookmark at the top of a recent column without re-rendering the board
+   * @param {string} kind 'added' or 'opened'
+   * @param {Object} bookmark Bookmark node
+   * @param {number} time When it was added or opened
+   */
+  addRecentBookmark(kind, bookmark, time) {
+    const column = document.querySelector(`.recent-column[data-recent-kind="${kind}"]`);
+    if (!column || !bookmark.url) return;
+
+    const list = column.querySelector('.bookmark-list');
+    const previous = list.querySelector(`:scope > .bookmark-item[data-bookmark-id="${bookmark.id}"]`);
+    if (previous) {
+      previous.remove();
+    }
+
+    const item = this.bookmarkRenderer.createBookmarkItem(bookmark);
+    this.bookmarkRenderer.setTimestamp(item, time);
+    list.prepend(item);
+
+    // Drop the oldest card beyond the column's length
+    Array.from(list.querySelectorAll(':scope > .bookmark-item'))
+      .slice(Number(column.dataset.size))
+      .forEach(extra => extra.remove());
+    this.refreshColumnCounts(column);
+  }
+
+  /**
+   * Create column footer with the add bookmark button
+   * @returns {HTMLElement} Footer element
+   */
+  createColumnFooter() {
+    const footer = createElement('div', 'column-footer');
+    const addButton = createElement('button', 'column-add-btn');
+    addButton.textContent = '+ Add';
+    addButton.title = 'Add bookmark';
+    footer.appendChild(addButton);
+    return footer;
+  }
+
+  /**
+   * Get the folder new bookmarks in a column are created in
+   * @param {HTMLElement} column Column element
+   * @returns {string} Folder ID
+   */
+  getColumnFolderId(column) {
+    return column.dataset.columnType === 'uncategorized' ?
+      storageManager.SPECIAL_COLUMNS.BOOKMARKS_BAR : column.dataset.folderId;
+  }
+
+  /**
+   * Insert a newly created bookmark card without re-rendering the board
+   * @param {Object} bookmark Created bookmark
+   * @param {HTMLElement} column Column the bookmark was added from
+   * @param {boolean} atTop Insert before the folder's other bookmarks instead of after them
+   * @returns {boolean} False if the target folder is not shown in the column
+   */
+  insertBookmarkItem(bookmark, column, atTop) {
+    let list;
+    if (bookmark.parentId === this.getColumnFolderId(column)) {
+      list = column.querySelector('.bookmark-list');
+    } else {
+      const group = column.querySelector(`.subfolder-group[data-folder-id="${bookmark.parentId}"]`);
+      list = group && group.querySelector(':scope > .subfolder-items');
+    }
+    if (!list) return false;
+
+    // Bookmarks come before subfolder groups in a list
+    const items = list.querySelectorAll(':scope > .bookmark-item');
+    const reference = atTop ?
+      (items[0] || list.querySelector(':scope > .subfolder-group')) :
+      list.querySelector(':scope > .subfolder-group');
+
+    const item = this.bookmarkRenderer.createBookmarkItem(bookmark);
+    list.insertBefore(item, reference);
+    this.refreshColumnCounts(column);
+
+    item.scrollIntoView({ block: 'nearest' });
+    item.classList.add('highlight');
+    setTimeout(() => item.classList.remove('highlight'), 2000);
+    return true;
+  }
+
   /**
    * Create column header with title and count
    * @param {string} title Column title
@@ -138,6 +313,231 @@ export class ColumnManager {
     return header;
   }
 
+  /**
+   * Add a button that re-roots the board on the column's folder
+   * @param {HTMLElement} header Header element
+   * @param {string} folderId Folder ID
+   */
+  addOpenAsBoardButton(header, folderId) {
+    const openButton = createElement('button', 'column-open-btn');
+    openButton.textContent = '⤢';
+    openButton.title = 'Open as board';
+    openButton.dataset.folderId = folderId;
+    header.insertBefore(openButton, header.querySelector('.column-count'));
+  }
+
+  /**
+   * Add the column actions (⋯) button
+   * @param {HTMLElement} header Header element
+   */
+  addColumnMenuButton(header) {
+    const menuButton = createElement('button', 'column-menu-btn');
+    menuButton.textContent = '⋯';
+    menuButton.title = 'Column actions';
+    header.appendChild(menuButton);
+  }
+
+  /**
+   * Toggle the column actions menu below its button
+   * @param {HTMLElement} button Column menu button
+   */
+  toggleColumnMenu(button) {
+    const column = button.closest('.kanban-column');
+    const isOpen = column.querySelector('.column-menu');
+    this.closeColumnMenus();
+    if (isOpen) return;
+
+    const menu = createElement('div', 'column-menu');
+    let items = [
+      { action: 'rename', label: 'Rename' },
+      { action: 'merge', label: 'Merge into…' },
+      { action: 'index-content', label: 'Index page content' },
+      { action: 'delete', label: 'Delete column…', danger: true }
+    ];
+    if (column.dataset.columnType === 'smart') {
+      items = [
+        { action: 'edit-search', label: 'Edit rule…' },
+        { action: 'index-content', label: 'Index page content' },
+        { action: 'unpin-search', label: 'Remove from board' }
+      ];
+    } else if (column.dataset.columnType === 'recent') {
+      items = [
+        { action: 'index-content', label: 'Index page content' },
+        { action: 'hide-recent', label: 'Hide column' }
+      ];
+    }
+    items.forEach(({ action, label, danger }) => {
+      const item = createElement('button', danger ? 'column-menu-item danger' : 'column-menu-item');
+      item.dataset.action = action;
+      item.textContent = label;
+      menu.appendChild(item);
+    });
+
+    column.querySelector('.column-header').appendChild(menu);
+  }
+
+  /**
+   * Close any open column actions menu
+   */
+  closeColumnMenus() {
+    document.querySelectorAll('.column-menu').forEach(menu => menu.remove());
+  }
+
+  /**
+   * Render the Trash column listing deleted bookmarks and folders
+   * @param {HTMLElement} container Board element
+   * @param {Array} entries Trash entries, newest first
+   */
+  renderTrashColumn(container, entries) {
+    const column = createElement('div', 'trash-column');
+    column.dataset.columnType = 'trash';
+
+    const header = createElement('div', 'column-header');
+    const titleElement = createElement('div', 'column-title');
+    titleElement.textContent = 'Trash';
+    const countElement = createElement('div', 'column-count');
+    const emptyButton = createElement('button', 'trash-empty-btn');
+    emptyButton.textContent = 'Empty';
+    emptyButton.title = 'Permanently delete everything in the trash';
+    header.appendChild(titleElement);
+    header.appendChild(countElement);
+    header.appendChild(emptyButton);
+    column.appendChild(header);
+
+    column.appendChild(createElement('div', 'trash-list'));
+    container.appendChild(column);
+    this.updateTrashColumn(entries);
+  }
+
+  /**
+   * Re-render the Trash column's entries, if the column is shown
+   * @param {Array} entries Trash entries, newest first
+   */
+  updateTrashColumn(entries) {
+    const column = document.querySelector('.trash-column');
+    if (!column) return;
+
+    column.querySelector('.column-count').textContent = entries.length;
+    column.querySelector('.trash-empty-btn').disabled = entries.length === 0;
+
+    const list = column.querySelector('.trash-list');
+    list.innerHTML = '';
+    if (entries.length === 0) {
+      const empty = createElement('div', 'trash-empty');
+      empty.textContent = 'Deleted bookmarks appear here';
+      list.appendChild(empty);
+      return;
+    }
+
+    entries.forEach(entry => list.appendChild(this.createTrashItem(entry)));
+  }
+
+  /**
+   * Create a Trash column entry with restore and purge buttons
+   * @param {Object} entry Trash entry {id, deletedAt, path, node}
+   * @returns {HTMLElement} Trash item element
+   */
+  createTrashItem(entry) {
+    const { node } = entry;
+    const item = createElement('div', 'trash-item');
+    item.dataset.trashId = entry.id;
+
+    const icon = createElement('span', 'trash-icon');
+    icon.textContent = node.url ? '🔗' : '📁';
+    item.appendChild(icon);
+
+    const info = createElement('div', 'trash-info');
+    const title = createElement('div', 'trash-title');
+    title.textContent = node.url ? (parseTitle(node.title).cleanTitle || node.url) : node.title;
+    title.title = node.url || node.title;
+    info.appendChild(title);
+
+    const meta = createElement('div', 'trash-meta');
+    const details = [entry.path.join(' / ') || 'Bookmarks', new Date(entry.deletedAt).toLocaleDateString()];
+    if (!node.url) {
+      const count = this.countBookmarks(node.children);
+      details.unshift(`${count} bookmark${count === 1 ? '' : 's'}`);
+    }
+    meta.textContent = details.join(' · ');
+    info.appendChild(meta);
+    item.appendChild(info);
+
+    const restoreButton = createElement('button', 'trash-restore-btn');
+    restoreButton.textContent = '↺';
+    restoreButton.title = 'Restore to its original folder';
+    item.appendChild(restoreButton);
+
+    const purgeButton = createElement('button', 'trash-purge-btn');
+    purgeButton.textContent = '✕';
+    purgeButton.title = 'Delete permanently';
+    item.appendChild(purgeButton);
+
+    return item;
+  }
+
+  /**
+   * Render the "Add column" tile at the end of the board
+   * @param {HTMLElement} container Board element
+   * @param {boolean} allowSmart Also offer a smart column (home boards only)
+   */
+  renderAddColumnTile(container, allowSmart) {
+    const tile = createElement('button', 'add-column-tile');
+    tile.textContent = '+ Add column';
+    container.appendChild(tile);
+
+    if (allowSmart) {
+      const smartTile = createElement('button', 'add-column-tile add-smart-column-tile');
+      smartTile.textContent = '+ Smart column';
+      smartTile.title = 'Add a column of the bookmarks matching a rule';
+      container.appendChild(smartTile);
+    }
+  }
+
+  /**
+   * Turn the "Add column" tile into a name input
+   * @param {HTMLElement} tile Add column tile
+   * @param {Function} onCreate Called with the new column title
+   */
+  startAddColumn(tile, onCreate) {
+    if (tile.querySelector('input')) return;
+
+    const inputElement = createElement('input', 'column-title-edit');
+    inputElement.type = 'text';
+    inputElement.placeholder = 'Column name';
+    tile.textContent = '';
+    tile.appendChild(inputElement);
+    inputElement.focus();
+
+    const reset = () => {
+      tile.textContent = '+ Add column';
+    };
+
+    inputElement.addEventListener('keydown', async (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        const title = inputElement.value.trim();
+        if (!title) {
+          inputElement.style.borderColor = 'var(--danger-color)';
+          return;
+        }
+        inputElement.disabled = true;
+        await onCreate(title);
+        reset();
+      } else if (e.key === 'Escape') {
+        e.stopPropagation();
+        reset();
+      }
+    });
+
+    inputElement.addEventListener('blur', () => {
+      setTimeout(() => {
+        if (tile.contains(inputElement) && !inputElement.disabled) {
+          reset();
+        }
+      }, 100);
+    });
+  }
+
   /**
    * Set up double-click handler for title editing
    * @param {HTMLElement} header Header element
@@ -256,8 +656,8 @@ export class ColumnManager {
    */
   sortBookmarks(bookmarks) {
     bookmarks.sort((a, b) => {
-      const aParsed = parseTitle(a.title);
-      const bParsed = parseTitle(b.title);
+      const aParsed = metadataStore.describe(a);
+      const bParsed = metadataStore.describe(b);
 
       const aHasTags = aParsed.tags.length > 0;
       const bHasTags = bParsed.tags.length > 0;
@@ -283,15 +683,15 @@ export class ColumnManager {
    */
   async saveColumnTitle(folderId, newTitle, titleElement) {
     try {
-      // Update bookmark folder title using Chrome API
-      const result = await chrome.bookmarks.update(folderId, { title: newTitle });
+      // Update bookmark folder title through the undo journal (its toast confirms the rename)
+      const result = await undoManager.transaction(
+        `Column title updated to "${newTitle}"`,
+        tx => tx.update(folderId, { title: newTitle })
+      );
 
       // Update UI
       titleElement.textContent = result.title;
 
-      // Show success message
-      this.notificationService.showToast(`Column title updated to "${newTitle}"`, 'success');
-
       return true;
     } catch (error) {
       console.error('Failed to update column title:', error);
@@ -333,55 +733,113 @@ export class ColumnManager {
   }
 
   /**
-   * Render subfolder group
+   * Render subfolder group, recursing into nested folders at any depth
    * @param {Object} folder Subfolder data
    * @param {HTMLElement} container Container to append to
    * @param {Object} savedBookmarkOrder Saved bookmark order
+   * @param {number} depth Nesting depth (1 for direct subfolders of a column)
    */
-  renderSubfolderGroup(folder, container, savedBookmarkOrder) {
-    // Don't render if subfolder has no bookmarks
-    if (!folder.children || folder.children.length === 0) return;
+  renderSubfolderGroup(folder, container, savedBookmarkOrder, depth = 1) {
+    // Don't render if subfolder has no bookmarks at any depth
+    const count = this.countBookmarksInFolder(folder);
+    if (count === 0) return;
 
     const subfolderGroup = createElement('div', 'subfolder-group');
+    subfolderGroup.dataset.folderId = folder.id;
+    subfolderGroup.dataset.depth = depth;
+    if (this.collapsedGroups.has(folder.id)) {
+      subfolderGroup.classList.add('collapsed');
+    }
 
     const subfolderTitle = createElement('div', 'subfolder-title');
-    subfolderTitle.textContent = folder.title;
+    const toggle = createElement('span', 'subfolder-toggle');
+    toggle.textContent = '▾';
+    const name = createElement('span', 'subfolder-name');
+    name.textContent = folder.title;
+    name.title = 'Open as board';
+    name.dataset.folderId = folder.id;
+    const countElement = createElement('span', 'subfolder-count');
+    countElement.textContent = count;
+    subfolderTitle.appendChild(toggle);
+    subfolderTitle.appendChild(name);
+    subfolderTitle.appendChild(countElement);
+    subfolderTitle.addEventListener('click', (e) => {
+      // Clicking the name opens the folder as a board instead
+      if (!e.target.closest('.subfolder-name')) {
+        this.toggleSubfolderGroup(subfolderGroup);
+      }
+    });
     subfolderGroup.appendChild(subfolderTitle);
 
-    // If there's saved subfolder bookmark order, render in order
-    const subfolderKey = `subfolder-${folder.id}`;
-    if (savedBookmarkOrder && savedBookmarkOrder[subfolderKey]) {
-      this.renderOrderedBookmarks(folder.children, subfolderGroup, savedBookmarkOrder[subfolderKey]);
+    const subfolderItems = createElement('div', 'subfolder-items');
+    const bookmarks = folder.children.filter(child => child.url);
+
+    // If there's saved subfolder bookmark order, render in order (older versions
+    // saved it under "subfolder-<id>")
+    const savedOrder = savedBookmarkOrder &&
+      (savedBookmarkOrder[folder.id] || savedBookmarkOrder[`subfolder-${folder.id}`]);
+    if (savedOrder) {
+      this.renderOrderedBookmarks(bookmarks, subfolderItems, savedOrder);
     } else {
       // Render bookmarks in subfolder in original order
-      folder.children.forEach(child => {
-        if (child.url) {
-          const bookmarkItem = this.bookmarkRenderer.createBookmarkItem(child);
-          subfolderGroup.appendChild(bookmarkItem);
-        }
+      bookmarks.forEach(child => {
+        const bookmarkItem = this.bookmarkRenderer.createBookmarkItem(child);
+        subfolderItems.appendChild(bookmarkItem);
       });
     }
 
+    // Render nested subfolders
+    folder.children.forEach(child => {
+      if (child.children) {
+        this.renderSubfolderGroup(child, subfolderItems, savedBookmarkOrder, depth + 1);
+      }
+    });
+
+    subfolderGroup.appendChild(subfolderItems);
     container.appendChild(subfolderGroup);
   }
 
+  /**
+   * Collapse or expand a subfolder group and persist its state
+   * @param {HTMLElement} group Subfolder group element
+   */
+  toggleSubfolderGroup(group) {
+    const folderId = group.dataset.folderId;
+    const collapsed = group.classList.toggle('collapsed');
+
+    if (collapsed) {
+      this.collapsedGroups.add(folderId);
+    } else {
+      this.collapsedGroups.delete(folderId);
+    }
+
+    storageManager.saveCollapsedGroups([...this.collapsedGroups]);
+  }
+
+  /**
+   * Count bookmarks in a list of nodes (recursively)
+   * @param {Array} nodes Bookmark and folder nodes
+   * @returns {number} Total bookmark count
+   */
+  countBookmarks(nodes) {
+    let count = 0;
+    nodes.forEach(node => {
+      if (node.url) {
+        count++;
+      } else if (node.children) {
+        count += this.countBookmarksInFolder(node);
+      }
+    });
+    return count;
+  }
+
   /**
    * Count bookmarks in folder (recursively)
    * @param {Object} folder Folder object
    * @returns {number} Total bookmark count
    */
   countBookmarksInFolder(folder) {
-    let count = 0;
-    if (folder.children) {
-      folder.children.forEach(child => {
-        if (child.url) {
-          count++;
-        } else if (child.children) {
-          count += this.countBookmarksInFolder(child);
-        }
-      });
-    }
-    return count;
+    return folder.children ? this.countBookmarks(folder.children) : 0;
   }
 
   /**
@@ -391,9 +849,32 @@ export class ColumnManager {
   updateColumnCount(columnId) {
     const column = document.querySelector(`.kanban-column[data-folder-id="${columnId}"]`);
     if (column) {
-      const bookmarkList = column.querySelector('.bookmark-list');
-      const count = column.querySelector('.column-count');
-      count.textContent = bookmarkList.children.length;
+      this.refreshColumnCounts(column);
     }
   }
+
+  /**
+   * Recount the bookmarks shown in a column and in each of its subfolder groups.
+   * While the tag filter or board filter hides cards, counts read "n of m"
+   * @param {HTMLElement} column Column element
+   */
+  refreshColumnCounts(column) {
+    const countText = (element) => {
+      const total = element.querySelectorAll('.bookmark-item').length;
+      const shown = element.querySelectorAll('.bookmark-item:not(.tag-hidden):not(.filter-hidden)').length;
+      return shown < total ? `${shown} of ${total}` : `${total}`;
+    };
+
+    const count = column.querySelector('.column-count');
+    if (count) {
+      count.textContent = countText(column);
+    }
+
+    column.querySelectorAll('.subfolder-group').forEach(group => {
+      const groupCount = group.querySelector(':scope > .subfolder-title .subfolder-count');
+      if (groupCount) {
+        groupCount.textContent = countText(group);
+      }
+    });
+  }
 }
@@ -1,10 +1,60 @@
+import { createElement } from '../utils.js';
 import { storageManager } from '../storageManager.js';
+import { trashManager } from '../trashManager.js';
+import { metadataStore } from '../metadataStore.js';
+import { openHistory } from '../openHistory.js';
+import { searchHistory } from '../searchHistory.js';
+import { recentColumns } from '../recentColumns.js';
+import { parseQuery, searchBookmarks, createSearchEntry, usesSiteStatus, FRECENCY_WEIGHT } from '../bookmarkSearch.js';
 
 export class KanbanRenderer {
   constructor(bookmarkManager, columnManager, bookmarkRenderer) {
     this.bookmarkManager = bookmarkManager;
     this.columnManager = columnManager;
     this.bookmarkRenderer = bookmarkRenderer;
+    this.workspace = null;
+    this.rootId = null; // Drilled-down folder, null for the workspace home board
+  }
+
+  /**
+   * Set the workspace whose board is rendered
+   * @param {Object} workspace Workspace record
+   */
+  setWorkspace(workspace) {
+    this.workspace = workspace;
+    this.rootId = null;
+  }
+
+  /**
+   * Get the folder the workspace home board is rooted on
+   * @returns {string} Folder ID
+   */
+  getHomeRootId() {
+    return (this.workspace && this.workspace.rootId) || storageManager.SPECIAL_COLUMNS.BOOKMARKS_BAR;
+  }
+
+  /**
+   * Set the folder the board is rooted on
+   * @param {string|null} folderId Folder ID, or null for the workspace home board
+   */
+  setRootId(folderId) {
+    this.rootId = folderId && folderId !== this.getHomeRootId() ? folderId : null;
+  }
+
+  /**
+   * Get the folder the board is currently rooted on
+   * @returns {string} Folder ID
+   */
+  getRootId() {
+    return this.rootId || this.getHomeRootId();
+  }
+
+  /**
+   * Check whether the board shows the workspace home board
+   * @returns {boolean} True when not drilled down into a folder
+   */
+  isDefaultRoot() {
+    return !this.rootId;
   }
 
   /**
@@ -22,23 +72,255 @@ export class KanbanRenderer {
 
     // Get bookmark tree
     const bookmarkTree = await this.bookmarkManager.getBookmarkTree();
+
+    // Fall back to the home board if the drilled-down folder is gone
+    let rootPath = this.findFolderPath(bookmarkTree[0], this.getRootId());
+    if (!rootPath && !this.isDefaultRoot()) {
+      this.setRootId(null);
+      storageManager.saveBoardRoot(null);
+      rootPath = this.findFolderPath(bookmarkTree[0], this.getRootId());
+    }
+    kanbanBoard.dataset.rootId = this.getRootId();
+    this.renderBreadcrumb(rootPath || []);
     
     // Get saved column order
-    const savedColumnOrder = await storageManager.getColumnOrder();
+    const savedColumnOrder = await storageManager.getColumnOrder(this.getRootId());
     
     // Get saved bookmark order
     const savedBookmarkOrder = await storageManager.getBookmarkOrder();
+
+    // Restore collapsed subfolder groups
+    this.columnManager.setCollapsedGroups(await storageManager.getCollapsedGroups());
     
     if (bookmarkTree && bookmarkTree.length > 0) {
-      // Process bookmark tree and apply saved order
-      await this.processBookmarkTree(bookmarkTree[0], kanbanBoard, savedColumnOrder, savedBookmarkOrder);
+      const folderIds = this.workspace && this.workspace.folderIds;
+
+      // Recent columns and saved searches pinned to the workspace's home board,
+      // ordered along with the folders
+      const extraColumns = this.isDefaultRoot() ? [
+        ...await this.getRecentColumns(bookmarkTree[0]),
+        ...await this.getSmartColumns(bookmarkTree[0])
+      ] : [];
+
+      if (this.isDefaultRoot() && folderIds) {
+        // Workspace with a hand-picked column set
+        this.processFolderSet(bookmarkTree[0], folderIds, kanbanBoard, savedColumnOrder, savedBookmarkOrder, extraColumns);
+      } else if (rootPath && this.getRootId() !== storageManager.SPECIAL_COLUMNS.BOOKMARKS_BAR) {
+        // Board re-rooted on a folder: its subfolders become columns
+        this.processFolderRoot(rootPath[rootPath.length - 1], kanbanBoard, savedColumnOrder, savedBookmarkOrder, extraColumns);
+      } else {
+        // Process bookmark tree and apply saved order
+        await this.processBookmarkTree(bookmarkTree[0], kanbanBoard, savedColumnOrder, savedBookmarkOrder, extraColumns);
+      }
+    }
+
+    if (await trashManager.isColumnEnabled()) {
+      this.columnManager.renderTrashColumn(kanbanBoard, trashManager.getEntries());
     }
+    this.columnManager.renderAddColumnTile(kanbanBoard, this.isDefaultRoot() && Boolean(this.workspace));
+  }
+
+  /**
+   * Pick the bookmarks of the enabled recent columns, from every folder
+   * @param {Object} treeRoot Bookmark tree root node
+   * @returns {Promise<Array>} Column data {type: 'recent', data: {kind, size, bookmarks}}
+   */
+  async getRecentColumns(treeRoot) {
+    const settings = await recentColumns.getSettings();
+    const kinds = Object.values(recentColumns.KINDS).filter(kind => settings[kind]);
+    if (kinds.length === 0) return [];
+
+    const bookmarks = [];
+    const collect = (node) => {
+      if (node.url) {
+        bookmarks.push(node);
+      }
+      (node.children || []).forEach(collect);
+    };
+    collect(treeRoot);
+
+    return kinds.map(kind => ({
+      type: 'recent',
+      data: { kind, size: settings.size, bookmarks: recentColumns.pick(kind, bookmarks, settings.size) }
+    }));
+  }
+
+  /**
+   * Run the saved searches pinned to the workspace, for smart columns of the bookmarks they match
+   * @param {Object} treeRoot Bookmark tree root node
+   * @returns {Promise<Array>} Column data {type: 'smart', data: {search, bookmarks, error}}
+   */
+  async getSmartColumns(treeRoot) {
+    const searches = this.workspace ? searchHistory.getPinned(this.workspace.id) : [];
+    if (searches.length === 0) return [];
+
+    const entries = [];
+    const nodes = new Map();
+    const collect = (node, path) => {
+      if (node.url) {
+        entries.push(createSearchEntry(node, path, metadataStore.describe(node)));
+        nodes.set(node.id, node);
+      }
+      (node.children || []).forEach(child => collect(child, node.title ? [...path, node.title] : path));
+    };
+    collect(treeRoot, []);
+
+    const queries = searches.map(search => {
+      try {
+        return { search, query: parseQuery(search.query) };
+      } catch (error) {
+        return { search, error: error.message };
+      }
+    });
+
+    let siteStatus = {};
+    if (chrome.storage.session && queries.some(({ query }) => query && usesSiteStatus(query))) {
+      siteStatus = (await chrome.storage.session.get(['siteStatus'])).siteStatus || {};
+    }
+
+    return queries.map(({ search, query, error }) => {
+      const bookmarks = query ? searchBookmarks(query, entries, {
+        siteStatus,
+        boost: entry => openHistory.getFrecency(entry.id) * FRECENCY_WEIGHT
+      }).map(({ entry }) => nodes.get(entry.id)) : [];
+      return { type: 'smart', data: { search, bookmarks, error } };
+    });
+  }
+
+  /**
+   * Process a workspace's hand-picked folders, each becoming a column
+   * @param {Object} treeRoot Bookmark tree root node
+   * @param {Array} folderIds Folder IDs to show
+   * @param {HTMLElement} container Board element
+   * @param {Array} savedColumnOrder Saved column order
+   * @param {Object} savedBookmarkOrder Saved bookmark order
+   * @param {Array} extraColumns Recent and smart column data
+   */
+  processFolderSet(treeRoot, folderIds, container, savedColumnOrder, savedBookmarkOrder, extraColumns = []) {
+    const specialIds = [
+      storageManager.SPECIAL_COLUMNS.OTHER_BOOKMARKS,
+      storageManager.SPECIAL_COLUMNS.MOBILE_BOOKMARKS
+    ];
+    const columnsData = [];
+
+    folderIds.forEach(folderId => {
+      const path = this.findFolderPath(treeRoot, folderId);
+      if (!path) return; // Folder was deleted
+
+      columnsData.push({
+        type: specialIds.includes(folderId) ? 'special' : 'folder',
+        data: path[path.length - 1]
+      });
+    });
+    columnsData.push(...extraColumns);
+
+    const orderedColumns = this.determineColumnOrder(columnsData, savedColumnOrder);
+    orderedColumns.forEach(col => {
+      this.renderColumn(col, container, savedBookmarkOrder);
+    });
+  }
+
+  /**
+   * Process a drilled-down folder: its direct bookmarks and subfolders become columns
+   * @param {Object} folder Root folder node
+   * @param {HTMLElement} container Board element
+   * @param {Array} savedColumnOrder Saved column order for this root
+   * @param {Object} savedBookmarkOrder Saved bookmark order
+   * @param {Array} extraColumns Recent and smart column data
+   */
+  processFolderRoot(folder, container, savedColumnOrder, savedBookmarkOrder, extraColumns = []) {
+    const columnsData = [];
+    const children = folder.children || [];
+
+    // Direct bookmarks of the root folder get a column of their own
+    const directBookmarks = children.filter(child => child.url);
+    if (directBookmarks.length > 0) {
+      columnsData.push({
+        type: 'root',
+        title: folder.title,
+        data: { id: folder.id, children: directBookmarks }
+      });
+    }
+
+    children.forEach(child => {
+      if (child.children) {
+        columnsData.push({
+          type: 'folder',
+          data: child
+        });
+      }
+    });
+    columnsData.push(...extraColumns);
+
+    const orderedColumns = this.determineColumnOrder(columnsData, savedColumnOrder);
+    orderedColumns.forEach(col => {
+      this.renderColumn(col, container, savedBookmarkOrder);
+    });
+  }
+
+  /**
+   * Find the chain of folders from the top level down to a folder
+   * @param {Object} node Tree node to search from
+   * @param {string} folderId Folder ID to find
+   * @returns {Array|null} Folder nodes from the top level to the target, or null if not found
+   */
+  findFolderPath(node, folderId) {
+    if (!node.children) return null;
+
+    for (const child of node.children) {
+      if (!child.children) continue;
+      if (child.id === folderId) return [child];
+
+      const path = this.findFolderPath(child, folderId);
+      if (path) return [child, ...path];
+    }
+    return null;
+  }
+
+  /**
+   * Render the breadcrumb trail for the current board root
+   * @param {Array} path Folder nodes from the top level to the root
+   */
+  renderBreadcrumb(path) {
+    const breadcrumb = document.getElementById('board-breadcrumb');
+    if (!breadcrumb) return;
+
+    breadcrumb.innerHTML = '';
+    if (this.isDefaultRoot()) {
+      breadcrumb.classList.add('hidden');
+      return;
+    }
+    breadcrumb.classList.remove('hidden');
+
+    // The home board stands in for its own root folder
+    const homeId = this.getHomeRootId();
+    const homeIndex = path.findIndex(folder => folder.id === homeId);
+    const crumbs = [{ id: homeId, title: 'Home' }];
+    path.slice(homeIndex + 1).forEach(folder => {
+      if (folder.id !== storageManager.SPECIAL_COLUMNS.BOOKMARKS_BAR) {
+        crumbs.push(folder);
+      }
+    });
+
+    crumbs.forEach((folder, index) => {
+      if (index > 0) {
+        const separator = createElement('span', 'breadcrumb-separator');
+        separator.textContent = '›';
+        breadcrumb.appendChild(separator);
+      }
+
+      const isCurrent = index === crumbs.length - 1;
+      const crumb = createElement(isCurrent ? 'span' : 'button', isCurrent ? 'breadcrumb-current' : 'breadcrumb-item');
+      crumb.textContent = folder.title || '(Untitled)';
+      crumb.dataset.folderId = folder.id;
+      breadcrumb.appendChild(crumb);
+    });
   }
 
   /**
    * Process bookmark tree and apply saved order
    */
-  async processBookmarkTree(node, container, savedColumnOrder, savedBookmarkOrder) {
+  async processBookmarkTree(node, container, savedColumnOrder, savedBookmarkOrder, extraColumns = []) {
     if (!node.children) return;
     
     // Prepare all column data without immediate rendering
@@ -85,6 +367,9 @@ export class KanbanRenderer {
         data: mobileBookmarks
       });
     }
+
+    // Recent columns and saved searches pinned as smart columns
+    columnsData.push(...extraColumns);
     
     // Determine which columns to render and in what order
     const orderedColumns = this.determineColumnOrder(columnsData, savedColumnOrder);
@@ -115,10 +400,13 @@ export class KanbanRenderer {
         // Handle uncategorized column
         matchColumn = columnsData.find(col => col.type === 'uncategorized');
       } else {
-        // Handle regular folders and special folders
+        // Handle regular folders, special folders and the drilled-down root
         matchColumn = columnsData.find(col => {
           if (col.type === 'folder') return col.data.id === columnId;
           if (col.type === 'special') return col.data.id === columnId;
+          if (col.type === 'root') return col.data.id === columnId;
+          if (col.type === 'smart') return `smart:${col.data.search.id}` === columnId;
+          if (col.type === 'recent') return `recent:${col.data.kind}` === columnId;
           return false;
         });
       }
@@ -134,8 +422,12 @@ export class KanbanRenderer {
       
       if (col.type === 'uncategorized') {
         columnId = 'uncategorized';
-      } else if (col.type === 'folder' || col.type === 'special') {
+      } else if (col.type === 'folder' || col.type === 'special' || col.type === 'root') {
         columnId = col.data.id;
+      } else if (col.type === 'smart') {
+        columnId = `smart:${col.data.search.id}`;
+      } else if (col.type === 'recent') {
+        columnId = `recent:${col.data.kind}`;
       }
       
       if (columnId && !savedColumnOrder.includes(columnId)) {
@@ -177,6 +469,32 @@ export class KanbanRenderer {
           savedBookmarkOrder
         );
         break;
+      case 'root':
+        this.columnManager.renderSpecialColumn(
+          columnData.title,
+          columnData.data.children,
+          container,
+          columnData.data.id,
+          'root',
+          savedBookmarkOrder
+        );
+        break;
+      case 'smart':
+        this.columnManager.renderSmartColumn(
+          columnData.data.search,
+          columnData.data.bookmarks,
+          container,
+          columnData.data.error
+        );
+        break;
+      case 'recent':
+        this.columnManager.renderRecentColumn(
+          columnData.data.kind,
+          columnData.data.bookmarks,
+          columnData.data.size,
+          container
+        );
+        break;
     }
   }
 } 
\ No newline at end of file
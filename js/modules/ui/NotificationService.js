@@ -73,4 +73,49 @@ export class NotificationService {
   showWarningToast(message, duration = 3000) {
     this.showToast(message, 'warning', duration);
   }
-} 
\ No newline at end of file
+
+  /**
+   * Show toast with an action button (e.g. Undo)
+   * @param {string} message Message to display
+   * @param {string} actionLabel Action button label
+   * @param {Function} onAction Called when the action button is clicked
+   * @param {number} duration Duration in milliseconds
+   */
+  showActionToast(message, actionLabel, onAction, duration = 6000) {
+    const toast = document.createElement('div');
+    toast.className = 'toast toast-action';
+
+    const text = document.createElement('span');
+    text.textContent = message;
+    toast.appendChild(text);
+
+    const button = document.createElement('button');
+    button.className = 'toast-action-btn';
+    button.textContent = actionLabel;
+    toast.appendChild(button);
+
+    document.body.appendChild(toast);
+
+    const dismiss = () => {
+      clearTimeout(timer);
+      toast.classList.remove('show');
+      setTimeout(() => {
+        if (toast.parentNode) {
+          toast.parentNode.removeChild(toast);
+        }
+      }, 300);
+    };
+
+    button.addEventListener('click', () => {
+      dismiss();
+      onAction();
+    });
+
+    // Fade in
+    setTimeout(() => {
+      toast.classList.add('show');
+    }, 10);
+
+    const timer = setTimeout(dismiss, duration);
+  }
+}
@@ -0,0 +1,232 @@
+import { createElement, debounce, getTagAncestors, tagMatches, splitTag, compareTags } from '../utils.js';
+import { tagManager } from '../tagManager.js';
+
+/**
+ * Tag filter bar
+ * Lists every tag on the board with its count and hides the cards that don't
+ * match the selected tags. The filter is kept in the URL hash
+ * (#tags=work,docs&match=all) so a pinned tab reopens filtered.
+ * Parent tags match their children: selecting #lang shows cards tagged #lang/rust.
+ */
+export class TagFilterBar {
+  /**
+   * @param {HTMLElement} bar Filter bar element
+   * @param {HTMLElement} container Board container
+   * @param {ColumnManager} columnManager Column manager, for recounting columns
+   */
+  constructor(bar, container, columnManager) {
+    this.bar = bar;
+    this.container = container;
+    this.columnManager = columnManager;
+    this.selected = new Set();
+    this.matchAll = false; // false: any selected tag (OR), true: every selected tag (AND)
+    this.applyListener = null;
+
+    this.readHash();
+    this.bindEvents();
+  }
+
+  /**
+   * Set the callback run after the filter is applied
+   * @param {Function} callback Callback function
+   */
+  setApplyListener(callback) {
+    this.applyListener = callback;
+  }
+
+  /**
+   * Listen for chip clicks, hash changes and cards added or removed outside a full render
+   */
+  bindEvents() {
+    if (!this.bar) return;
+
+    this.bar.addEventListener('click', (e) => {
+      const chip = e.target.closest('.tag-filter-chip');
+      if (chip) {
+        this.toggleTag(chip.dataset.tag);
+      } else if (e.target.closest('.tag-filter-mode')) {
+        this.matchAll = !this.matchAll;
+        this.update();
+      } else if (e.target.closest('.tag-filter-clear')) {
+        this.selected.clear();
+        this.update();
+      }
+    });
+
+    window.addEventListener('hashchange', () => {
+      this.readHash();
+      this.refresh();
+    });
+
+    // Cards are inserted, replaced and removed in place by edits, drops and deletes
+    const refreshLater = debounce(() => this.refresh(), 100);
+    const isCardChange = node => node.nodeType === Node.ELEMENT_NODE &&
+      (node.classList.contains('bookmark-item') || node.classList.contains('subfolder-group'));
+    new MutationObserver((mutations) => {
+      const changed = mutations.some(mutation =>
+        [...mutation.addedNodes, ...mutation.removedNodes].some(isCardChange));
+      if (changed) {
+        refreshLater();
+      }
+    }).observe(this.container, { childList: true, subtree: true });
+  }
+
+  /**
+   * Read the filter from the URL hash
+   */
+  readHash() {
+    const params = new URLSearchParams(location.hash.slice(1));
+    const tags = params.get('tags');
+    this.selected = new Set(tags ? tags.split(',').filter(Boolean).map(tag => `#${tag}`) : []);
+    this.matchAll = params.get('match') === 'all';
+  }
+
+  /**
+   * Write the filter to the URL hash without adding a history entry
+   */
+  writeHash() {
+    let hash = '';
+    if (this.selected.size > 0) {
+      const params = new URLSearchParams();
+      params.set('tags', [...this.selected].map(tag => tag.substring(1)).join(','));
+      if (this.matchAll) {
+        params.set('match', 'all');
+      }
+      hash = `#${params.toString()}`;
+    }
+    history.replaceState(null, '', `${location.pathname}${location.search}${hash}`);
+  }
+
+  /**
+   * Select or deselect a tag
+   * @param {string} tag Tag with leading #
+   */
+  toggleTag(tag) {
+    if (this.selected.has(tag)) {
+      this.selected.delete(tag);
+    } else {
+      this.selected.add(tag);
+    }
+    this.update();
+  }
+
+  /**
+   * Save the filter and re-apply it
+   */
+  update() {
+    this.writeHash();
+    this.refresh();
+  }
+
+  /**
+   * Rebuild the bar from the cards on the board and apply the filter
+   */
+  refresh() {
+    const items = Array.from(this.container.querySelectorAll('.bookmark-item'));
+    const counts = new Map();
+    // Cards repeated in smart and recent columns would count twice
+    items.filter(item => !item.closest('.smart-column, .recent-column')).forEach(item => {
+      // A card counts once toward each of its tags and their parents
+      const tags = new Set(this.getItemTags(item).flatMap(tag => getTagAncestors(tag)));
+      tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+
+    this.render(counts);
+    this.apply(items);
+  }
+
+  /**
+   * Get the tags of a card
+   * @param {HTMLElement} item Bookmark item element
+   * @returns {string[]} Tags with leading #
+   */
+  getItemTags(item) {
+    return (item.dataset.tags || '').split(' ').filter(Boolean);
+  }
+
+  /**
+   * Check whether a card's tags match the selected tags
+   * @param {string[]} tags Card tags
+   * @returns {boolean} True if the card should be shown
+   */
+  matches(tags) {
+    const selected = [...this.selected];
+    const hasTag = filter => tags.some(tag => tagMatches(tag, filter));
+    return this.matchAll ? selected.every(hasTag) : selected.some(hasTag);
+  }
+
+  /**
+   * Render the tag chips and controls
+   * @param {Map} counts Tag -> number of cards
+   */
+  render(counts) {
+    if (!this.bar) return;
+
+    this.bar.innerHTML = '';
+    this.bar.classList.toggle('hidden', counts.size === 0 && this.selected.size === 0);
+
+    const label = createElement('span', 'tag-filter-label');
+    label.textContent = 'Tags';
+    this.bar.appendChild(label);
+
+    // Selected tags that are no longer on the board stay visible so they can be cleared.
+    // Sorting keeps children right after their parent, so they show only their own name.
+    const tags = [...new Set([...counts.keys(), ...this.selected])]
+      .sort(compareTags);
+    tags.forEach(tag => {
+      const { parent, name } = splitTag(tag);
+      const chip = createElement('button', 'tag-filter-chip');
+      chip.dataset.tag = tag;
+      chip.classList.toggle('active', this.selected.has(tag));
+      chip.classList.toggle('tag-filter-child', Boolean(parent));
+      chip.style.setProperty('--tag-color', tagManager.getColor(tag));
+      chip.textContent = parent ? `/${name}` : name;
+      chip.title = tag;
+
+      const count = createElement('span', 'tag-filter-count');
+      count.textContent = counts.get(tag) || 0;
+      chip.appendChild(count);
+      this.bar.appendChild(chip);
+    });
+
+    if (this.selected.size > 0) {
+      const mode = createElement('button', 'tag-filter-mode');
+      mode.textContent = this.matchAll ? 'Match all' : 'Match any';
+      mode.title = 'Switch between cards with any (OR) or all (AND) of the selected tags';
+      this.bar.appendChild(mode);
+
+      const clear = createElement('button', 'tag-filter-clear');
+      clear.textContent = 'Clear';
+      this.bar.appendChild(clear);
+    }
+
+    // Opens the tag manager (handled by the event manager)
+    const manage = createElement('button', 'tag-filter-manage');
+    manage.textContent = 'Manage…';
+    manage.title = 'Rename, merge, recolor or delete tags';
+    this.bar.appendChild(manage);
+  }
+
+  /**
+   * Hide non-matching cards, then empty subfolder groups and columns, and recount columns
+   * @param {HTMLElement[]} items Bookmark item elements
+   */
+  apply(items) {
+    const active = this.selected.size > 0;
+    items.forEach(item => {
+      item.classList.toggle('tag-hidden', active && !this.matches(this.getItemTags(item)));
+    });
+
+    const hasVisibleCards = element => element.querySelector('.bookmark-item:not(.tag-hidden)') !== null;
+    this.container.querySelectorAll('.subfolder-group').forEach(group => {
+      group.classList.toggle('tag-empty', active && !hasVisibleCards(group));
+    });
+    this.container.querySelectorAll('.kanban-column').forEach(column => {
+      column.classList.toggle('tag-empty', active && !hasVisibleCards(column));
+      this.columnManager.refreshColumnCounts(column);
+    });
+
+    // Lets the board filter recompute the groups and columns it leaves empty
+    this.applyListener?.();
+  }
+}
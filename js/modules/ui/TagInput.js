@@ -0,0 +1,277 @@
+import { createElement, normalizeTags, findInvalidTags, describeInvalidTag, splitTag } from '../utils.js';
+import { tagManager } from '../tagManager.js';
+
+/**
+ * Tag input
+ * Turns a text input into a chip editor: typed tags become chips on Enter, comma
+ * or space, Backspace on an empty input removes the last chip, and existing tags
+ * are suggested while typing (arrow keys to pick and Enter to accept, or Tab for
+ * the first suggestion). Text that isn't a valid tag stays in the input, flagged,
+ * and keeps the form from being submitted until it's fixed or cleared.
+ */
+export class TagInput {
+  /**
+   * @param {HTMLInputElement} input Text input to enhance, left in place inside the chip box
+   */
+  constructor(input) {
+    this.input = input;
+    this.tags = [];
+    this.suggestions = []; // Known tags, most used first
+    this.matches = [];
+    this.highlighted = -1;
+    this.placeholder = input.placeholder;
+
+    this.box = createElement('div', 'tag-input');
+    this.chips = createElement('div', 'tag-input-chips');
+    this.list = createElement('ul', 'tag-input-suggestions hidden');
+    input.parentNode.insertBefore(this.box, input);
+    this.box.appendChild(this.chips);
+    this.box.appendChild(input);
+    this.box.appendChild(this.list);
+    input.autocomplete = 'off';
+
+    this.bindEvents();
+  }
+
+  /**
+   * Listen for typing, keyboard commands and clicks on chips and suggestions
+   */
+  bindEvents() {
+    this.box.addEventListener('click', (e) => {
+      const remove = e.target.closest('.tag-input-remove');
+      if (remove) {
+        this.removeTag(remove.closest('.tag-input-chip').dataset.tag);
+      }
+      this.input.focus();
+    });
+
+    // mousedown keeps focus in the input, so blur doesn't close the list before the click
+    this.list.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      const option = e.target.closest('.tag-input-suggestion');
+      if (option) {
+        this.accept(option.dataset.tag);
+      }
+    });
+
+    this.input.addEventListener('input', () => {
+      this.showInvalid([]);
+      // Pasted or typed separators commit everything before them
+      if (/[\s,]/.test(this.input.value)) {
+        const parts = this.input.value.split(/[\s,]+/);
+        const typing = parts.pop();
+        const invalid = this.addTags(parts);
+        this.input.value = [...invalid, typing].join(' ');
+        this.showInvalid(invalid, true);
+      }
+      this.updateSuggestions();
+    });
+
+    this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+    this.input.addEventListener('blur', () => {
+      this.commit();
+      this.closeSuggestions();
+    });
+  }
+
+  /**
+   * Handle keyboard commands
+   * @param {KeyboardEvent} e Keydown event
+   */
+  handleKeydown(e) {
+    const open = this.matches.length > 0;
+
+    if (e.key === 'ArrowDown' && open) {
+      e.preventDefault();
+      this.highlight((this.highlighted + 1) % this.matches.length);
+    } else if (e.key === 'ArrowUp' && open) {
+      e.preventDefault();
+      this.highlight((this.highlighted - 1 + this.matches.length) % this.matches.length);
+    } else if (e.key === 'Enter' && open && this.highlighted >= 0) {
+      e.preventDefault();
+      this.accept(this.matches[this.highlighted]);
+    } else if (e.key === 'Tab' && open) {
+      e.preventDefault();
+      this.accept(this.matches[Math.max(this.highlighted, 0)]);
+    } else if (e.key === 'Enter' && this.input.value.trim()) {
+      // Add the typed tag instead of submitting the form
+      e.preventDefault();
+      this.commit(true);
+    } else if (e.key === 'Escape' && open) {
+      // Close the list without closing the modal
+      e.stopPropagation();
+      this.closeSuggestions();
+    } else if (e.key === 'Backspace' && !this.input.value) {
+      // Also keeps Backspace from navigating back
+      e.preventDefault();
+      if (this.tags.length > 0) {
+        this.removeTag(this.tags[this.tags.length - 1]);
+      }
+    }
+  }
+
+  /**
+   * Set the known tags offered while typing
+   * @param {string[]} tags Tags with leading #, most relevant first
+   */
+  setSuggestions(tags) {
+    this.suggestions = tags;
+  }
+
+  /**
+   * Replace the chips
+   * @param {string[]} tags Tags with leading #
+   */
+  setTags(tags) {
+    this.tags = [...new Set(tags)];
+    this.input.value = '';
+    this.showInvalid([]);
+    this.closeSuggestions();
+    this.renderChips();
+  }
+
+  /**
+   * Get the tags, including one still being typed (unless it's invalid)
+   * @returns {string[]} Tags with leading #, in the order they were added
+   */
+  getTags() {
+    this.commit();
+    return [...this.tags];
+  }
+
+  /**
+   * Add tags as chips, skipping duplicate ones
+   * @param {string[]} tags User-entered tags
+   * @returns {string[]} The invalid ones, which weren't added
+   */
+  addTags(tags) {
+    const added = normalizeTags(tags).filter(tag => !this.tags.includes(tag));
+    if (added.length > 0) {
+      this.tags.push(...added);
+      this.renderChips();
+    }
+    return findInvalidTags(tags);
+  }
+
+  /**
+   * Remove a chip
+   * @param {string} tag Tag with leading #
+   */
+  removeTag(tag) {
+    this.tags = this.tags.filter(t => t !== tag);
+    this.renderChips();
+  }
+
+  /**
+   * Turn the typed text into a chip, or leave it flagged if it isn't a valid tag
+   * @param {boolean} report Also show the reason right away
+   */
+  commit(report = false) {
+    const value = this.input.value.trim();
+    const invalid = value ? this.addTags([value]) : [];
+    this.input.value = invalid.join(' ');
+    this.showInvalid(invalid, report);
+  }
+
+  /**
+   * Flag invalid typed tags, or clear the flag. The message is the input's validity
+   * message, so the browser shows it when the form is submitted.
+   * @param {string[]} invalid Invalid tags as typed
+   * @param {boolean} report Show the message now
+   */
+  showInvalid(invalid, report = false) {
+    const message = invalid.length > 0 ? describeInvalidTag(invalid[0]) : '';
+    this.input.setCustomValidity(message);
+    this.box.classList.toggle('invalid', invalid.length > 0);
+    if (message && report) {
+      this.input.reportValidity();
+    }
+  }
+
+  /**
+   * Add a suggested tag and continue typing
+   * @param {string} tag Tag with leading #
+   */
+  accept(tag) {
+    this.input.value = '';
+    this.showInvalid([]);
+    this.addTags([tag]);
+    this.closeSuggestions();
+    this.input.focus();
+  }
+
+  /**
+   * Render the chips
+   */
+  renderChips() {
+    this.chips.innerHTML = '';
+    this.tags.forEach(tag => {
+      const chip = createElement('span', 'tag-input-chip');
+      chip.dataset.tag = tag;
+      chip.title = tag;
+      chip.style.backgroundColor = tagManager.getColor(tag);
+      chip.textContent = tag.substring(1);
+
+      const remove = createElement('button', 'tag-input-remove');
+      remove.type = 'button';
+      remove.textContent = '×';
+      remove.title = `Remove ${tag}`;
+      remove.tabIndex = -1;
+      chip.appendChild(remove);
+
+      this.chips.appendChild(chip);
+    });
+    this.input.placeholder = this.tags.length > 0 ? '' : this.placeholder;
+  }
+
+  /**
+   * Show known tags containing the typed text, tags starting with it first
+   */
+  updateSuggestions() {
+    const query = this.input.value.trim().replace(/^#/, '').toLowerCase();
+    if (!query) {
+      this.closeSuggestions();
+      return;
+    }
+
+    const candidates = this.suggestions.filter(tag =>
+      !this.tags.includes(tag) && tag.substring(1).toLowerCase().includes(query));
+    const startsWith = tag => tag.substring(1).toLowerCase().startsWith(query) ||
+      splitTag(tag).name.toLowerCase().startsWith(query);
+    this.matches = [
+      ...candidates.filter(startsWith),
+      ...candidates.filter(tag => !startsWith(tag))
+    ].slice(0, 8);
+
+    this.list.innerHTML = '';
+    this.matches.forEach(tag => {
+      const option = createElement('li', 'tag-input-suggestion');
+      option.dataset.tag = tag;
+      option.textContent = tag;
+      this.list.appendChild(option);
+    });
+    this.list.classList.toggle('hidden', this.matches.length === 0);
+    this.highlight(-1);
+  }
+
+  /**
+   * Highlight a suggestion
+   * @param {number} index Suggestion index, or -1 for none
+   */
+  highlight(index) {
+    this.highlighted = index;
+    this.list.querySelectorAll('.tag-input-suggestion').forEach((option, i) => {
+      option.classList.toggle('active', i === index);
+    });
+  }
+
+  /**
+   * Hide the suggestion list
+   */
+  closeSuggestions() {
+    this.matches = [];
+    this.highlighted = -1;
+    this.list.innerHTML = '';
+    this.list.classList.add('hidden');
+  }
+}
@@ -1,9 +1,12 @@
 import { formatDateTime } from '../utils.js';
+import { storageManager } from '../storageManager.js';
 import { BookmarkRenderer } from './BookmarkRenderer.js';
 import { ColumnManager } from './ColumnManager.js';
 import { KanbanRenderer } from './KanbanRenderer.js';
 import { NotificationService } from './NotificationService.js';
 import { UIStateManager } from './UIStateManager.js';
+import { TagFilterBar } from './TagFilterBar.js';
+import { BoardFilter } from './BoardFilter.js';
 
 export class UIManager {
   constructor(bookmarkManager) {
@@ -26,6 +29,22 @@ export class UIManager {
       this.bookmarkRenderer
     );
     
+    // Initialize the tag filter bar (restores the filter from the URL hash)
+    this.tagFilterBar = new TagFilterBar(
+      document.getElementById('tag-filter-bar'),
+      this.container,
+      this.columnManager
+    );
+
+    // Initialize the header filter box (Ctrl+F or /)
+    this.boardFilter = new BoardFilter(
+      document.getElementById('board-filter'),
+      this.container,
+      this.columnManager
+    );
+    // Cards the tag filter hides can leave a column empty under the board filter too
+    this.tagFilterBar.setApplyListener(() => this.boardFilter.apply());
+
     // Initialize UI components
     this.initializeTimeUpdate();
   }
@@ -42,6 +61,9 @@ export class UIManager {
 
     updateDateTime();
     setInterval(updateDateTime, 1000);
+
+    // "5 min ago" on recent column cards only changes by the minute
+    setInterval(() => this.bookmarkRenderer.refreshTimestamps(), 60000);
   }
 
   /**
@@ -57,6 +79,9 @@ export class UIManager {
       
       // Render board
       await this.kanbanRenderer.renderBoard(this.container, bookmarkTree);
+
+      // Re-apply the tag filter to the new cards, which re-applies the board filter too
+      this.tagFilterBar.refresh();
       
     } catch (error) {
       console.error('Failed to render kanban:', error);
@@ -64,6 +89,50 @@ export class UIManager {
     }
   }
 
+  /**
+   * Re-root the board on a folder (drilldown)
+   * @param {string|null} folderId Folder ID, or null for the default board
+   */
+  setBoardRoot(folderId) {
+    this.kanbanRenderer.setRootId(folderId);
+    storageManager.saveBoardRoot(this.kanbanRenderer.rootId);
+  }
+
+  /**
+   * Get the folder the board is rooted on
+   * @returns {string} Folder ID
+   */
+  getBoardRoot() {
+    return this.kanbanRenderer.getRootId();
+  }
+
+  /**
+   * Switch the board to a workspace, restoring its drilldown root for this session
+   * @param {Object} workspace Workspace record
+   */
+  setWorkspace(workspace) {
+    this.kanbanRenderer.setWorkspace(workspace);
+    this.kanbanRenderer.setRootId(storageManager.getBoardRoot());
+  }
+
+  /**
+   * Render the header workspace selector
+   * @param {Array} workspaces Workspace records
+   * @param {string} activeId Active workspace ID
+   */
+  renderWorkspaceSelector(workspaces, activeId) {
+    const selector = document.getElementById('workspace-selector');
+    if (!selector) return;
+
+    selector.innerHTML = '';
+    workspaces.forEach(workspace => {
+      selector.appendChild(new Option(workspace.name, workspace.id));
+    });
+    selector.appendChild(new Option('＋ New workspace…', '__new'));
+    selector.appendChild(new Option('✎ Edit workspace…', '__edit'));
+    selector.value = activeId;
+  }
+
   /**
    * Show loading state
    */
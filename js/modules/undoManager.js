@@ -0,0 +1,466 @@
+// js/modules/undoManager.js
+import { storageManager } from './storageManager.js';
+import { trashManager } from './trashManager.js';
+import { metadataStore } from './metadataStore.js';
+
+/**
+ * Undo Manager
+ * Journals every chrome.bookmarks change made from the board so it can be undone and redone.
+ *
+ * Mutations run inside a transaction whose helpers (create, remove, move, update) perform
+ * the change and record enough to invert it. Removed nodes are snapshotted with their
+ * parent, index, title, URL and children; re-creating them yields new IDs, which are
+ * tracked in an ID map so older journal entries keep pointing at the right nodes.
+ * Removed bookmarks and non-empty folders also go to the trash until undone, and
+ * metadata store changes are journaled alongside the bookmark changes. Other state
+ * that changes with the bookmarks (such as tag colors) joins through custom steps.
+ */
+export class UndoManager {
+  constructor() {
+    this.app = null;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.idMap = new Map();
+    this.limit = 50;
+    this.queue = Promise.resolve(); // Serializes undo/redo runs
+  }
+
+  /**
+   * Connect to the app
+   * @param {AppCoordinator} app App instance
+   */
+  initialize(app) {
+    this.app = app;
+  }
+
+  /**
+   * Resolve an ID through re-creations to the node's current ID
+   * @param {string} id Original ID
+   * @returns {string} Current ID
+   */
+  resolve(id) {
+    const seen = new Set();
+    while (this.idMap.has(id) && !seen.has(id)) {
+      seen.add(id);
+      id = this.idMap.get(id);
+    }
+    return id;
+  }
+
+  /**
+   * Run bookmark mutations as one undoable operation
+   * @param {string} label Description shown on the undo toast
+   * @param {Function} work Async function receiving the transaction helpers {create, remove, move, update, meta, custom}
+   * @param {Object} options Options
+   * @param {boolean} options.toast Show the undo toast (default true)
+   * @returns {Promise<*>} Result of work
+   */
+  async transaction(label, work, { toast = true } = {}) {
+    const entry = {
+      label,
+      ops: [],
+      layoutBefore: await storageManager.getBookmarkOrder(),
+      layoutAfter: null
+    };
+
+    const tx = {
+      create: bookmark => this.recordCreate(entry, bookmark),
+      remove: id => this.recordRemove(entry, id),
+      move: (id, destination) => this.recordMove(entry, id, destination),
+      update: (id, changes) => this.recordUpdate(entry, id, changes),
+      meta: (id, record) => this.recordMeta(entry, id, record),
+      custom: (apply, revert) => this.recordCustom(entry, apply, revert)
+    };
+
+    try {
+      return await work(tx);
+    } finally {
+      // Partially applied transactions stay undoable
+      if (entry.ops.length > 0) {
+        this.push(entry, toast);
+      }
+    }
+  }
+
+  /**
+   * Create a bookmark or folder and record it
+   * @param {Object} entry Journal entry
+   * @param {Object} bookmark Bookmark {parentId, index, title, url}
+   * @returns {Promise<Object>} Created node
+   */
+  async recordCreate(entry, bookmark) {
+    const created = await this.app.bookmarkManager.createBookmark(bookmark);
+    entry.ops.push({ type: 'create', node: this.snapshot(created) });
+    return created;
+  }
+
+  /**
+   * Remove a bookmark or folder (with its contents) and record a snapshot of it
+   * @param {Object} entry Journal entry
+   * @param {string} id Node ID
+   */
+  async recordRemove(entry, id) {
+    const node = await this.app.bookmarkManager.getSubTree(id);
+    const path = await this.app.bookmarkManager.getFolderPath(node.parentId);
+    await this.removeNode(id, node);
+
+    const op = { type: 'remove', node: this.snapshot(node), path, trashId: null };
+    op.trashId = await this.addToTrash(op);
+    entry.ops.push(op);
+  }
+
+  /**
+   * Keep a removed node in the trash, unless it is an empty folder
+   * @param {Object} op Remove operation
+   * @returns {Promise<string|null>} Trash entry ID
+   */
+  async addToTrash(op) {
+    if (!op.node.url && op.node.children.length === 0) {
+      return null;
+    }
+    return trashManager.add(op.node, op.path);
+  }
+
+  /**
+   * Move a node and record where it came from
+   * @param {Object} entry Journal entry
+   * @param {string} id Node ID
+   * @param {Object} destination Destination {parentId, index}
+   */
+  async recordMove(entry, id, destination) {
+    const before = await this.app.bookmarkManager.getBookmark(id);
+    await this.app.bookmarkManager.moveBookmark(id, destination);
+    const after = await this.app.bookmarkManager.getBookmark(id);
+
+    entry.ops.push({
+      type: 'move',
+      id,
+      from: { parentId: before.parentId, index: before.index },
+      to: { parentId: after.parentId, index: after.index }
+    });
+  }
+
+  /**
+   * Update a node's title or URL and record the previous values
+   * @param {Object} entry Journal entry
+   * @param {string} id Node ID
+   * @param {Object} changes Changes {title, url}
+   * @returns {Promise<Object>} Updated node
+   */
+  async recordUpdate(entry, id, changes) {
+    const before = await this.app.bookmarkManager.getBookmark(id);
+    const updated = await this.app.bookmarkManager.updateBookmark(id, changes);
+
+    const previous = {};
+    Object.keys(changes).forEach(key => {
+      previous[key] = before[key];
+    });
+    entry.ops.push({ type: 'update', id, before: previous, after: { ...changes } });
+    return updated;
+  }
+
+  /**
+   * Store a bookmark's metadata record and record the previous one
+   * @param {Object} entry Journal entry
+   * @param {string} id Bookmark ID
+   * @param {Object|null} record Metadata record, or null to delete it
+   */
+  async recordMeta(entry, id, record) {
+    const before = metadataStore.records[id] || null;
+    await metadataStore.setRecord(id, record);
+    entry.ops.push({ type: 'meta', id, before, after: record });
+  }
+
+  /**
+   * Make a change outside the bookmarks and record how to revert it
+   * @param {Object} entry Journal entry
+   * @param {Function} apply Async function making the change (run again on redo)
+   * @param {Function} revert Async function reverting it
+   */
+  async recordCustom(entry, apply, revert) {
+    await apply();
+    entry.ops.push({ type: 'custom', apply, revert });
+  }
+
+  /**
+   * Copy the fields needed to re-create a node
+   * @param {Object} node Bookmark tree node
+   * @returns {Object} Snapshot
+   */
+  snapshot(node) {
+    const copy = {
+      id: node.id,
+      parentId: node.parentId,
+      index: node.index,
+      title: node.title
+    };
+    if (node.url) {
+      copy.url = node.url;
+    } else {
+      copy.children = (node.children || []).map(child => this.snapshot(child));
+    }
+    return copy;
+  }
+
+  /**
+   * Push an entry onto the undo stack and offer to undo it
+   * @param {Object} entry Journal entry
+   * @param {boolean} toast Show the undo toast
+   */
+  push(entry, toast) {
+    this.undoStack.push(entry);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+
+    if (toast && this.app.uiManager) {
+      this.app.uiManager.notificationService.showActionToast(entry.label, 'Undo', () => this.undo());
+    }
+  }
+
+  /**
+   * Check whether there is anything to undo
+   * @returns {boolean} True if the undo stack is not empty
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Check whether there is anything to redo
+   * @returns {boolean} True if the redo stack is not empty
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Undo the most recent operation
+   * @returns {Promise<boolean>} True if something was undone
+   */
+  undo() {
+    return this.enqueue(async () => {
+      const entry = this.undoStack.pop();
+      if (!entry) {
+        this.app.notificationManager.showWarningToast('Nothing to undo');
+        return false;
+      }
+
+      entry.layoutAfter = await storageManager.getBookmarkOrder();
+      try {
+        for (const op of [...entry.ops].reverse()) {
+          await this.applyInverse(op);
+        }
+        this.restoreLayout(entry.layoutBefore);
+        this.redoStack.push(entry);
+        this.app.notificationManager.showToast(`Undone: ${entry.label}`);
+      } catch (error) {
+        console.error('Failed to undo:', error);
+        this.app.notificationManager.showErrorToast('Failed to undo, the bookmarks may have changed');
+      }
+
+      await this.app.refreshBoard();
+      return true;
+    });
+  }
+
+  /**
+   * Redo the most recently undone operation
+   * @returns {Promise<boolean>} True if something was redone
+   */
+  redo() {
+    return this.enqueue(async () => {
+      const entry = this.redoStack.pop();
+      if (!entry) {
+        this.app.notificationManager.showWarningToast('Nothing to redo');
+        return false;
+      }
+
+      try {
+        for (const op of entry.ops) {
+          await this.applyForward(op);
+        }
+        this.restoreLayout(entry.layoutAfter);
+        this.undoStack.push(entry);
+        this.app.notificationManager.showToast(`Redone: ${entry.label}`);
+      } catch (error) {
+        console.error('Failed to redo:', error);
+        this.app.notificationManager.showErrorToast('Failed to redo, the bookmarks may have changed');
+      }
+
+      await this.app.refreshBoard();
+      return true;
+    });
+  }
+
+  /**
+   * Run undo/redo steps one at a time
+   * @param {Function} task Async task
+   * @returns {Promise<*>} Task result
+   */
+  enqueue(task) {
+    const run = this.queue.then(task, task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Revert a recorded operation
+   * @param {Object} op Journal operation
+   */
+  async applyInverse(op) {
+    switch (op.type) {
+      case 'create':
+        await this.removeNode(this.resolve(op.node.id), op.node);
+        break;
+      case 'remove':
+        // Already restored or purged from the trash in the meantime
+        if (op.trashId && !trashManager.getEntry(op.trashId)) {
+          op.skipped = true;
+          break;
+        }
+        await this.restoreNode(op.node);
+        if (op.trashId) {
+          await trashManager.discard(op.trashId);
+        }
+        break;
+      case 'move':
+        await this.moveNode(this.resolve(op.id), op.from);
+        break;
+      case 'update':
+        await this.app.bookmarkManager.updateBookmark(this.resolve(op.id), op.before);
+        break;
+      case 'meta':
+        await metadataStore.setRecord(this.resolve(op.id), op.before);
+        break;
+      case 'custom':
+        await op.revert();
+        break;
+    }
+  }
+
+  /**
+   * Re-apply a recorded operation
+   * @param {Object} op Journal operation
+   */
+  async applyForward(op) {
+    switch (op.type) {
+      case 'create':
+        await this.restoreNode(op.node);
+        break;
+      case 'remove':
+        if (op.skipped) {
+          op.skipped = false;
+          break;
+        }
+        await this.removeNode(this.resolve(op.node.id), op.node);
+        op.trashId = await this.addToTrash(op);
+        break;
+      case 'move':
+        await this.moveNode(this.resolve(op.id), op.to);
+        break;
+      case 'update':
+        await this.app.bookmarkManager.updateBookmark(this.resolve(op.id), op.after);
+        break;
+      case 'meta':
+        await metadataStore.setRecord(this.resolve(op.id), op.after);
+        break;
+      case 'custom':
+        await op.apply();
+        break;
+    }
+  }
+
+  /**
+   * Remove a bookmark, or a folder with its contents
+   * @param {string} id Node ID
+   * @param {Object} node Node data (folders have no URL)
+   */
+  async removeNode(id, node) {
+    if (node.url) {
+      await this.app.bookmarkManager.deleteBookmark(id);
+    } else {
+      await this.app.bookmarkManager.removeTree(id);
+    }
+  }
+
+  /**
+   * Re-create a snapshotted node and its children at their original positions
+   * @param {Object} node Snapshot
+   * @param {string} [parentId] Parent ID, defaults to the snapshot's (resolved) parent
+   * @returns {Promise<Object>} Re-created node
+   */
+  async restoreNode(node, parentId = this.resolve(node.parentId)) {
+    const bookmark = {
+      parentId,
+      index: await this.clampIndex(parentId, node.index),
+      title: node.title
+    };
+    if (node.url) {
+      bookmark.url = node.url;
+    }
+
+    const created = await this.app.bookmarkManager.createBookmark(bookmark);
+    const previousId = this.resolve(node.id);
+    this.idMap.set(node.id, created.id);
+    if (previousId !== node.id) {
+      this.idMap.set(previousId, created.id);
+    }
+    await metadataStore.moveRecord(previousId, created.id);
+
+    if (!node.url) {
+      await this.app.handleFolderRecreated(previousId, created.id);
+      for (const child of node.children || []) {
+        await this.restoreNode(child, created.id);
+      }
+    }
+    return created;
+  }
+
+  /**
+   * Move a node to a recorded position
+   * @param {string} id Node ID
+   * @param {Object} position Recorded position {parentId, index}
+   */
+  async moveNode(id, position) {
+    const parentId = this.resolve(position.parentId);
+    const node = await this.app.bookmarkManager.getBookmark(id);
+    let index = await this.clampIndex(parentId, position.index);
+
+    // Within the same folder Chrome counts the index before the node is taken out
+    if (node.parentId === parentId && index > node.index) {
+      index += 1;
+    }
+    await this.app.bookmarkManager.moveBookmark(id, { parentId, index });
+  }
+
+  /**
+   * Keep an index within the folder's current bounds
+   * @param {string} parentId Folder ID
+   * @param {number} index Desired index
+   * @returns {Promise<number|undefined>} Valid index, or undefined to append
+   */
+  async clampIndex(parentId, index) {
+    if (index === undefined) return undefined;
+    const children = await this.app.bookmarkManager.getChildren(parentId);
+    return Math.min(index, children.length);
+  }
+
+  /**
+   * Restore a saved bookmark order, mapping re-created IDs
+   * @param {Object|null} layout Bookmark order saved with the entry
+   */
+  restoreLayout(layout) {
+    if (!layout) return;
+
+    const mapped = {};
+    Object.entries(layout).forEach(([key, ids]) => {
+      mapped[this.resolve(key)] = ids.map(id => this.resolve(id));
+    });
+    storageManager.saveBookmarkOrder(mapped);
+  }
+}
+
+// Export singleton
+export const undoManager = new UndoManager();
@@ -48,6 +48,23 @@ export const formatDateTime = (date) => {
   };
 };
 
+/**
+ * Describe how long ago a time was, e.g. "just now", "5 min ago", "3 days ago"
+ * @param {number} time Timestamp (ms)
+ * @param {number} now Current time
+ * @returns {string} Relative time
+ */
+export const formatRelativeTime = (time, now = Date.now()) => {
+  const minutes = Math.floor((now - time) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+
+  const units = [['year', 525600], ['month', 43200], ['week', 10080], ['day', 1440], ['hour', 60]];
+  const [unit, size] = units.find(([, unitMinutes]) => minutes >= unitMinutes);
+  const count = Math.floor(minutes / size);
+  return `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+};
+
 /**
  * Generate unique ID
  * @returns {string} Unique ID
@@ -70,22 +87,154 @@ export const getDomain = (url) => {
 };
 
 /**
- * Parse title to extract tags
+ * Tag grammar: "#" followed by one or more "/"-separated segments (#lang/rust).
+ * Segments are Unicode letters, digits and marks plus "_" and "+", with inner
+ * "-" or "." (#front-end, #C++, #机器学习, #node.js). A tag must start the title
+ * or follow whitespace, so URL fragments and words like "C#" aren't tags.
+ */
+const TAG_SEGMENT = '[\\p{L}\\p{N}\\p{M}_+]+(?:[-.][\\p{L}\\p{N}\\p{M}_+]+)*';
+const TAG_BODY = `${TAG_SEGMENT}(?:/${TAG_SEGMENT})*`;
+const TAG_PATTERN = new RegExp(`(?<=^|\\s)#${TAG_BODY}`, 'gu');
+const TAG_EXACT = new RegExp(`^#${TAG_BODY}$`, 'u');
+// A tag with the punctuation ending its sentence ("see #node.js."), removed together
+const TAG_WITH_PUNCTUATION = new RegExp(`(?<=^|\\s)#${TAG_BODY}(?:[.,;:!?]+(?=\\s|$))?`, 'gu');
+// Separators left dangling at either end once trailing or leading tags are removed
+const ORPHANED_SEPARATORS = /^[\s\-–—|:·,;]+|[\s\-–—|:·,;]+$/g;
+
+/**
+ * Parse title to extract tags and embedded icon markers
  * @param {string} title Bookmark title
- * @returns {{cleanTitle: string, tags: string[]}} Cleaned title and tags
+ * @returns {{cleanTitle: string, tags: string[], emoji: string, faviconUrl: string}} Cleaned title, tags and icon
  */
 export const parseTitle = (title) => {
   if (!title) {
-    return { cleanTitle: '', tags: [] };
+    return { cleanTitle: '', tags: [], emoji: '', faviconUrl: '' };
   }
-  const tagRegex = /#\w+/g;
-  const tags = title.match(tagRegex) || [];
+  const tags = [...new Set(title.match(TAG_PATTERN) || [])];
+  const emojiMatch = title.match(/\[emoji:([^\]]+)\]/);
+  const faviconMatch = title.match(/\[favicon:(https?:\/\/[^\]]+)\]/);
 
   // Remove tags and favicon metadata from title
-  let cleanTitle = title.replace(tagRegex, '').trim();
-  cleanTitle = cleanTitle.replace(/\[favicon:[^\]]+\]/g, '').replace(/\[emoji:[^\]]+\]/g, '').trim();
+  let cleanTitle = title.replace(/\[favicon:[^\]]+\]/g, '').replace(/\[emoji:[^\]]+\]/g, '');
+  if (tags.length > 0) {
+    cleanTitle = cleanTitle.replace(TAG_WITH_PUNCTUATION, '').replace(ORPHANED_SEPARATORS, '');
+  }
+  cleanTitle = cleanTitle.replace(/\s{2,}/g, ' ').trim();
+
+  return {
+    cleanTitle,
+    tags,
+    emoji: emojiMatch ? emojiMatch[1] : '',
+    faviconUrl: faviconMatch ? faviconMatch[1] : ''
+  };
+};
+
+/**
+ * Build a title with tags and icon markers embedded, the inverse of parseTitle
+ * @param {string} cleanTitle Title without markers
+ * @param {Object} metadata Metadata {tags, emoji, faviconUrl}
+ * @returns {string} Title with markers
+ */
+export const buildTitle = (cleanTitle, { tags = [], emoji = '', faviconUrl = '' } = {}) => {
+  const parts = [cleanTitle.trim(), ...tags];
+
+  // Emoji takes priority over the favicon URL
+  if (emoji) {
+    parts.push(`[emoji:${emoji}]`);
+  } else if (faviconUrl) {
+    parts.push(`[favicon:${faviconUrl}]`);
+  }
+  return parts.filter(Boolean).join(' ');
+};
+
+/**
+ * Normalize a user-entered tag to "#tag" form
+ * The leading # is optional and empty hierarchy levels are dropped; anything else
+ * outside the tag grammar makes the tag invalid rather than being rewritten.
+ * @param {string} tag User-entered tag
+ * @returns {string} Tag with a leading #, or '' if it isn't valid (e.g. "C#")
+ */
+export const normalizeTag = (tag) => {
+  const normalized = `#${tag.trim().replace(/^#+/, '').split('/').filter(Boolean).join('/')}`;
+  return TAG_EXACT.test(normalized) ? normalized : '';
+};
+
+/**
+ * Normalize user-entered tags to "#tag" form, leaving out invalid ones
+ * @param {Array|string} tags Tags, or a string of tags separated by spaces or commas
+ * @returns {string[]} Valid, unique tags with a leading #
+ */
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : tags.split(/[\s,]+/);
+  return [...new Set(list.map(normalizeTag).filter(Boolean))];
+};
 
-  return { cleanTitle, tags };
+/**
+ * Find the user-entered tags normalizeTags would leave out
+ * @param {Array|string} tags Tags, or a string of tags separated by spaces or commas
+ * @returns {string[]} Invalid tags as entered
+ */
+export const findInvalidTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : tags.split(/[\s,]+/);
+  return list.map(tag => tag.trim()).filter(tag => tag && !normalizeTag(tag));
+};
+
+/**
+ * Explain why a user-entered tag is invalid
+ * @param {string} tag Invalid tag as entered
+ * @returns {string} Message to show the user
+ */
+export const describeInvalidTag = (tag) =>
+  `"${tag}" isn't a valid tag. Use letters, digits, _ and +, joined by - . or / (lang/rust)`;
+
+/**
+ * Check whether a tag matches a filter tag: the tag itself or one of its children
+ * (#lang matches #lang/rust but not #language)
+ * @param {string} tag Tag with leading #
+ * @param {string} filter Tag to match against
+ * @returns {boolean} True if the tag is the filter tag or below it
+ */
+export const tagMatches = (tag, filter) => tag === filter || tag.startsWith(`${filter}/`);
+
+/**
+ * Get a tag and its parents, outermost first
+ * @param {string} tag Tag with leading # (#lang/rust)
+ * @returns {string[]} Tags (#lang, #lang/rust)
+ */
+export const getTagAncestors = (tag) => {
+  const segments = tag.split('/');
+  return segments.map((segment, i) => segments.slice(0, i + 1).join('/'));
+};
+
+/**
+ * Split a tag into its parent path and its own name for compact display
+ * @param {string} tag Tag with leading # (#dev/lang/rust)
+ * @returns {{parent: string, name: string, depth: number}} Parent without # ("dev/lang"), name ("rust") and nesting depth (2)
+ */
+export const splitTag = (tag) => {
+  const segments = tag.substring(1).split('/');
+  return {
+    parent: segments.slice(0, -1).join('/'),
+    name: segments[segments.length - 1],
+    depth: segments.length - 1
+  };
+};
+
+/**
+ * Compare tags segment by segment, so children sort right after their parent
+ * (#lang, #lang/rust, #lang-x rather than #lang, #lang-x, #lang/rust)
+ * @param {string} a Tag with leading #
+ * @param {string} b Tag with leading #
+ * @returns {number} Negative, zero or positive, as for Array.prototype.sort
+ */
+export const compareTags = (a, b) => {
+  const aSegments = a.split('/');
+  const bSegments = b.split('/');
+  for (let i = 0; i < Math.min(aSegments.length, bSegments.length); i++) {
+    const order = aSegments[i].localeCompare(bSegments[i]);
+    if (order !== 0) return order;
+  }
+  return aSegments.length - bSegments.length;
 };
 
 /**
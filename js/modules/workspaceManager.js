@@ -0,0 +1,175 @@
+// js/modules/workspaceManager.js
+import { storageManager } from './storageManager.js';
+import { themeManager } from './themeManager.js';
+import { displayManager } from './displayManager.js';
+import { generateId } from './utils.js';
+
+/**
+ * Workspace Manager
+ * Handles named boards, each with its own root, column set, layout and appearance
+ */
+export class WorkspaceManager {
+  constructor() {
+    this.workspaces = [];
+    this.activeId = storageManager.DEFAULT_WORKSPACE;
+  }
+
+  /**
+   * Load workspaces, migrating the single legacy layout on first run
+   */
+  async initialize() {
+    this.workspaces = await storageManager.migrateToWorkspaces(this.createRecord({
+      id: storageManager.DEFAULT_WORKSPACE,
+      name: 'Default',
+      theme: themeManager.getCurrentTheme(),
+      displayMode: displayManager.getCurrentDisplayMode()
+    }));
+
+    const activeId = await storageManager.loadActiveWorkspace();
+    this.activeId = this.workspaces.some(ws => ws.id === activeId) ? activeId : this.workspaces[0].id;
+    storageManager.setWorkspace(this.activeId);
+  }
+
+  /**
+   * Build a workspace record with defaults
+   * @param {Object} data Workspace fields
+   * @returns {Object} Workspace record
+   */
+  createRecord(data) {
+    return {
+      id: data.id || generateId(),
+      name: data.name || 'Untitled',
+      rootId: data.rootId || null,       // null = bookmark bar
+      folderIds: data.folderIds && data.folderIds.length > 0 ? data.folderIds : null, // null = root's subfolders
+      theme: data.theme || null,
+      displayMode: data.displayMode || null
+    };
+  }
+
+  /**
+   * Get all workspaces
+   * @returns {Array} Workspace records
+   */
+  getWorkspaces() {
+    return [...this.workspaces];
+  }
+
+  /**
+   * Get the active workspace
+   * @returns {Object} Workspace record
+   */
+  getActiveWorkspace() {
+    return this.workspaces.find(ws => ws.id === this.activeId) || this.workspaces[0];
+  }
+
+  /**
+   * Create a workspace
+   * @param {Object} data Workspace fields {name, rootId, folderIds}
+   * @returns {Promise<Object>} Created workspace
+   */
+  async createWorkspace(data) {
+    const workspace = this.createRecord({
+      theme: themeManager.getCurrentTheme(),
+      displayMode: displayManager.getCurrentDisplayMode(),
+      ...data,
+      id: null
+    });
+    this.workspaces.push(workspace);
+    await this.save();
+    return workspace;
+  }
+
+  /**
+   * Update a workspace
+   * @param {string} id Workspace ID
+   * @param {Object} changes Fields to update
+   * @returns {Promise<Object>} Updated workspace
+   */
+  async updateWorkspace(id, changes) {
+    const index = this.workspaces.findIndex(ws => ws.id === id);
+    if (index === -1) {
+      throw new Error(`Unknown workspace: ${id}`);
+    }
+
+    this.workspaces[index] = this.createRecord({ ...this.workspaces[index], ...changes, id });
+    await this.save();
+    return this.workspaces[index];
+  }
+
+  /**
+   * Delete a workspace and its saved layout
+   * @param {string} id Workspace ID
+   */
+  async deleteWorkspace(id) {
+    if (this.workspaces.length <= 1) {
+      throw new Error('The last workspace cannot be deleted');
+    }
+
+    this.workspaces = this.workspaces.filter(ws => ws.id !== id);
+    if (this.activeId === id) {
+      this.activeId = this.workspaces[0].id;
+      storageManager.setWorkspace(this.activeId);
+    }
+    await this.save();
+    storageManager.clearWorkspaceData(id);
+  }
+
+  /**
+   * Switch to another workspace and apply its appearance
+   * @param {string} id Workspace ID
+   * @returns {Promise<Object>} Active workspace
+   */
+  async switchWorkspace(id) {
+    if (!this.workspaces.some(ws => ws.id === id)) {
+      throw new Error(`Unknown workspace: ${id}`);
+    }
+
+    this.activeId = id;
+    storageManager.setWorkspace(id);
+    await this.save();
+
+    const workspace = this.getActiveWorkspace();
+    if (workspace.theme) {
+      await themeManager.switchTheme(workspace.theme);
+    }
+    if (workspace.displayMode) {
+      await displayManager.switchDisplayMode(workspace.displayMode);
+    }
+    return workspace;
+  }
+
+  /**
+   * Apply the active workspace's appearance without saving it again
+   */
+  applyAppearance() {
+    const workspace = this.getActiveWorkspace();
+    if (workspace.theme) {
+      themeManager.applyTheme(workspace.theme);
+    }
+    if (workspace.displayMode) {
+      displayManager.applyDisplayMode(workspace.displayMode);
+    }
+  }
+
+  /**
+   * Remember appearance changes in the active workspace
+   * @param {Object} appearance {theme, displayMode}
+   */
+  async rememberAppearance(appearance) {
+    try {
+      await this.updateWorkspace(this.activeId, appearance);
+    } catch (error) {
+      console.error('Failed to save workspace appearance:', error);
+    }
+  }
+
+  /**
+   * Persist workspaces
+   */
+  save() {
+    return storageManager.saveWorkspaces(this.workspaces, this.activeId);
+  }
+}
+
+// Export singleton
+export const workspaceManager = new WorkspaceManager();
@@ -179,7 +179,8 @@ class PopupManager {
     try {
       // Confirmation dialog
       if (confirm('Are you sure you want to reset the board layout? This will restore the default order of columns and bookmarks.')) {
-        // Clear all layout data
+        // Clear the active workspace's layout data
+        await storageManager.loadActiveWorkspace();
         storageManager.clearAllOrderData();
 
         // Refresh current tab